@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/* NANOHASH INVOICE COMMAND LINE */
+
+/* Seals invoice JSON files into hashed history records and draws their PDFs
+ * with nanohash-core.js, the same code the page runs, so a record gets the
+ * hash the browser computes for the same invoice.
+ *
+ * Usage: node nanohash-cli.js [options] <invoice.json>...
+ *   --settings <file>       NanoHash backup, or a settings JSON file, supplying the
+ *                           currencies, taxes, rounding, issuer profile and PDF options
+ *   --out <dir>             Output directory (default: the current directory)
+ *   --previous-hash <hash>  Hash of the block the first invoice links to
+ *   --index <n>             Index of that block (required with --previous-hash)
+ *   --no-pdf                Write records only
+ *
+ * Each file holds one invoice object or an array of them, shaped as for
+ * buildInvoiceRecord() plus invoiceNumber, an optional ISO timestamp and the
+ * optional series, period and sequence of the number.
+ * Invoices are sealed in the order given, each linked to the one before,
+ * starting from the genesis block unless --previous-hash is given. Records
+ * are not signed: signing keys never leave the browser. */
+
+var fs = require('fs');
+var path = require('path');
+var core = require('./nanohash-core.js');
+
+// Settings of a fresh page, used for anything the settings file leaves out
+var DEFAULT_SETTINGS = {
+    currencies: {
+        USD: { name: 'US Dollar', decimals: 2, rate: 1, rateDate: null, rateSource: 'Built-in' },
+        EUR: { name: 'Euro', decimals: 2, rate: 0.92, rateDate: null, rateSource: 'Built-in' },
+        BOB: { name: 'Boliviano', decimals: 2, rate: 6.91, rateDate: null, rateSource: 'Built-in' }
+    },
+    taxRates: [
+        { id: 'vat', name: 'VAT', rate: 13, compound: false }
+    ],
+    taxCategories: [
+        { id: 'standard', name: 'Standard', taxes: ['vat'] },
+        { id: 'exempt', name: 'Exempt', taxes: [] }
+    ],
+    rounding: { mode: 'half-up', strategy: 'line' },
+    issuer: null,
+    pdf: { template: 'classic', pageSize: 'a4' },
+    branding: { logo: null, primaryColor: '#667eea', accentColor: '#11998e' }
+};
+
+/* ARGUMENT FUNCTIONS */
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { settings, out, previousHash, index, pdf, files }
+ */
+function parseArguments(args) {
+    var options = { settings: null, out: '.', previousHash: null, index: null, pdf: true, files: [] };
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (arg === '--no-pdf') {
+            options.pdf = false;
+        } else if (['--settings', '--out', '--previous-hash', '--index'].indexOf(arg) !== -1) {
+            if (i + 1 >= args.length) {
+                throw new Error(arg + ' needs a value');
+            }
+            var value = args[++i];
+            if (arg === '--settings') options.settings = value;
+            if (arg === '--out') options.out = value;
+            if (arg === '--previous-hash') options.previousHash = value;
+            if (arg === '--index') options.index = parseInt(value, 10);
+        } else if (arg.indexOf('--') === 0) {
+            throw new Error('unknown option ' + arg);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (options.files.length === 0) {
+        throw new Error('no invoice files given\nUsage: node nanohash-cli.js [--settings file] [--out dir] ' +
+            '[--previous-hash hash --index n] [--no-pdf] invoice.json...');
+    }
+    if ((options.previousHash === null) !== (options.index === null)) {
+        throw new Error('--previous-hash and --index go together');
+    }
+    if (options.previousHash !== null && (!/^[0-9a-f]{64}$/.test(options.previousHash) || !(options.index >= 0))) {
+        throw new Error('--previous-hash must be a SHA-256 hash and --index a block number');
+    }
+    return options;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @returns {*} Parsed contents
+ */
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(file + ': ' + e.message);
+    }
+}
+
+/* SETTINGS FUNCTIONS */
+
+/**
+ * Load settings from a NanoHash backup or a plain settings file. A backup's
+ * checksum is checked first, as the page does before importing it.
+ * @param {string|null} file - Settings file, or null for the defaults
+ * @returns {Promise<Object>} Settings shaped like DEFAULT_SETTINGS
+ */
+function loadSettings(file) {
+    if (!file) return Promise.resolve(Object.assign({}, DEFAULT_SETTINGS));
+
+    var contents = readJSON(file);
+    if (contents.format !== 'nanohash-backup') {
+        return Promise.resolve(Object.assign({}, DEFAULT_SETTINGS, contents));
+    }
+
+    return core.generateHash(contents.data).then(function(checksum) {
+        if (checksum !== contents.checksum) {
+            throw new Error(file + ': checksum mismatch, the backup was modified or damaged');
+        }
+        // The backup stores the page's localStorage entries as raw text
+        var storage = contents.data.storage || {};
+        function stored(key) {
+            return storage[key] ? JSON.parse(storage[key]) : null;
+        }
+        var taxSettings = stored('taxSettings');
+        var profile = stored('issuerProfile');
+
+        return {
+            currencies: stored('currencies') || DEFAULT_SETTINGS.currencies,
+            taxRates: taxSettings ? taxSettings.rates : DEFAULT_SETTINGS.taxRates,
+            taxCategories: taxSettings ? taxSettings.categories : DEFAULT_SETTINGS.taxCategories,
+            rounding: stored('roundingSettings') || DEFAULT_SETTINGS.rounding,
+            issuer: core.snapshotIssuer(profile),
+            pdf: stored('pdfSettings') || DEFAULT_SETTINGS.pdf,
+            branding: profile ? Object.assign({}, DEFAULT_SETTINGS.branding, profile) : DEFAULT_SETTINGS.branding
+        };
+    });
+}
+
+/* INVOICE FUNCTIONS */
+
+/**
+ * Read the invoices of every input file, in order
+ * @param {Array<string>} files - Invoice files
+ * @param {Object} settings - Loaded settings
+ * @returns {Array<Object>} { file, invoice } with defaults filled in
+ */
+function readInvoices(files, settings) {
+    var invoices = [];
+    files.forEach(function(file) {
+        var contents = readJSON(file);
+        (Array.isArray(contents) ? contents : [contents]).forEach(function(invoice) {
+            invoices.push({
+                file: file,
+                invoice: Object.assign({ baseCurrency: 'USD', issuer: settings.issuer }, invoice, {
+                    // Lines need an id like the editor's; the page numbers documents as text
+                    items: (invoice.items || []).map(function(item, index) {
+                        return Object.assign({ id: index + 1 }, item);
+                    }),
+                    invoiceNumber: invoice.invoiceNumber === undefined || invoice.invoiceNumber === null ?
+                        invoice.invoiceNumber : String(invoice.invoiceNumber)
+                })
+            });
+        });
+    });
+    return invoices;
+}
+
+/**
+ * Build an invoice's record and seal it into the block after the chain tip
+ * @param {Object} invoice - Validated invoice
+ * @param {Object} tip - Block to link to, { index, hash }
+ * @param {Object} calculation - Calculation settings
+ * @returns {Promise<Object>} Hashed history record
+ */
+function sealInvoice(invoice, tip, calculation) {
+    var record = { invoiceNumber: invoice.invoiceNumber };
+    // Keep the numbering series when the input was numbered by one
+    ['series', 'period', 'sequence'].forEach(function(field) {
+        if (invoice[field] !== undefined) record[field] = invoice[field];
+    });
+    Object.assign(record, core.buildInvoiceRecord(invoice, calculation));
+    var linked = Object.assign({}, record, { index: tip.index + 1, previousHash: tip.hash });
+
+    return core.generateBlockchainData(linked, invoice.timestamp).then(function(blockData) {
+        return Object.assign(record, {
+            hash: blockData.hash,
+            timestamp: blockData.timestamp,
+            index: blockData.data.index,
+            previousHash: blockData.data.previousHash
+        });
+    });
+}
+
+/**
+ * Write a record and, unless disabled, its PDF
+ * @param {Object} record - Hashed history record
+ * @param {Object} options - Parsed arguments
+ * @param {Object} settings - Loaded settings
+ * @param {Object} calculation - Calculation settings
+ * @param {Function} jsPDF - jsPDF constructor, or null without PDF output
+ * @returns {Array<string>} Written files
+ */
+function writeOutputs(record, options, settings, calculation, jsPDF) {
+    var baseName = 'NanoHash_' + core.getDocumentLabel(record).replace(' ', '_') + '_' +
+        String(record.invoiceNumber).replace(/[^\w.-]+/g, '_');
+    var written = [path.join(options.out, baseName + '_record.json')];
+    fs.writeFileSync(written[0], JSON.stringify(record, null, 2));
+
+    if (jsPDF) {
+        var doc = core.drawInvoicePDF(record, {
+            jsPDF: jsPDF,
+            settings: calculation,
+            pdf: settings.pdf,
+            branding: settings.branding,
+            qrImage: null
+        });
+        written.push(path.join(options.out, baseName + '.pdf'));
+        fs.writeFileSync(written[1], Buffer.from(doc.output('arraybuffer')));
+    }
+    return written;
+}
+
+/**
+ * Load the jsPDF bundled in the lib folder, the same build the page uses
+ * @returns {Function} jsPDF constructor
+ */
+function loadJsPDF() {
+    try {
+        return require('./lib/jspdf.umd.min.js').jsPDF;
+    } catch (e) {
+        throw new Error('PDF output needs lib/jspdf.umd.min.js next to nanohash-cli.js, or pass --no-pdf');
+    }
+}
+
+/* MAIN */
+
+/**
+ * Validate every invoice, then seal and write them in order
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise} Resolves once all files are written
+ */
+function main(args) {
+    var options = parseArguments(args);
+    var jsPDF = options.pdf ? loadJsPDF() : null;
+
+    return loadSettings(options.settings).then(function(settings) {
+        var calculation = {
+            currencies: settings.currencies,
+            taxRates: settings.taxRates,
+            taxCategories: settings.taxCategories,
+            rounding: settings.rounding
+        };
+        var invoices = readInvoices(options.files, settings);
+
+        // Nothing is sealed unless the whole batch is valid, so the chain has no holes
+        var problems = [];
+        var seen = {};
+        invoices.forEach(function(entry) {
+            var number = entry.invoice.invoiceNumber;
+            core.validateInvoice(entry.invoice, calculation).forEach(function(problem) {
+                problems.push(entry.file + ' #' + number + ': ' + problem);
+            });
+            if (seen[number]) {
+                problems.push(entry.file + ' #' + number + ': Number already used in ' + seen[number]);
+            }
+            seen[number] = entry.file;
+        });
+        if (problems.length) {
+            throw new Error('invalid invoices, nothing was written\n  ' + problems.join('\n  '));
+        }
+        fs.mkdirSync(options.out, { recursive: true });
+
+        var start = options.previousHash !== null ?
+            Promise.resolve({ index: options.index, hash: options.previousHash }) :
+            core.getGenesisHash().then(function(hash) {
+                return { index: core.GENESIS_BLOCK.index, hash: hash };
+            });
+
+        return invoices.reduce(function(chain, entry) {
+            return chain.then(function(tip) {
+                return sealInvoice(entry.invoice, tip, calculation).then(function(record) {
+                    var written = writeOutputs(record, options, settings, calculation, jsPDF);
+                    console.log(entry.file + ': ' + core.getDocumentLabel(record) + ' #' + record.invoiceNumber +
+                        ' block #' + record.index + ' ' + record.hash + '\n  ' + written.join('\n  '));
+                    return { index: record.index, hash: record.hash };
+                });
+            });
+        }, start).then(function(tip) {
+            console.log('Chain head: block #' + tip.index + ' ' + tip.hash +
+                '\nContinue with: --previous-hash ' + tip.hash + ' --index ' + tip.index);
+        });
+    });
+}
+
+Promise.resolve().then(function() {
+    return main(process.argv.slice(2));
+}).catch(function(error) {
+    console.error('nanohash: ' + error.message);
+    process.exitCode = 1;
+});
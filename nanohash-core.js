@@ -0,0 +1,1637 @@
+/* NANOHASH INVOICE CORE */
+
+/* Calculation, validation, hashing and PDF rendering of plain invoice objects.
+ * Nothing in this file touches the page or its global state, so it runs the
+ * same in the browser, where it is loaded before script.js, and in Node,
+ * where nanohash-cli.js requires it.
+ *
+ * Functions that depend on the app's configuration take a settings object
+ * { currencies, taxRates, taxCategories, rounding, pinnedRate, language } shaped
+ * like the page's globals of the same names (rounding is roundingSettings,
+ * pinnedRate is optional, language picks the number format and defaults to
+ * English). Text for display takes a language code the same way. */
+
+// Locale tables: page globals loaded before this file, or their module in Node
+var locales = typeof module !== 'undefined' && module.exports ? require('./nanohash-locales.js') : {
+    LANGUAGES: LANGUAGES,
+    getLanguageLocale: getLanguageLocale,
+    translate: translate,
+    translatePlural: translatePlural
+};
+
+/* DATE FUNCTIONS */
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+function toISODate(date) {
+    return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+}
+
+/**
+ * Get today's date as YYYY-MM-DD in local time
+ * @returns {string} ISO calendar date
+ */
+function getTodayISO() {
+    return toISODate(new Date());
+}
+
+/**
+ * Parse a YYYY-MM-DD calendar date as local midnight
+ * @param {string} isoDate - ISO calendar date
+ * @returns {Date} Date
+ */
+function parseISODate(isoDate) {
+    var parts = isoDate.split('-');
+    return new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} isoDate - ISO calendar date
+ * @param {number} days - Days to add
+ * @returns {string} ISO calendar date
+ */
+function addDays(isoDate, days) {
+    var date = parseISODate(isoDate);
+    date.setDate(date.getDate() + days);
+    return toISODate(date);
+}
+
+/**
+ * Format a calendar date for display
+ * @param {string} isoDate - ISO calendar date
+ * @param {string} language - Language code (default English)
+ * @returns {string} e.g. "10/18/2026", or "18/10/2026" in Spanish
+ */
+function formatDate(isoDate, language) {
+    return parseISODate(isoDate).toLocaleDateString(locales.getLanguageLocale(language));
+}
+
+/**
+ * Format a plain number for display, e.g. a quantity or a percentage
+ * @param {number} value - Number
+ * @param {string} language - Language code (default English)
+ * @returns {string} e.g. "1,234.5", or "1.234,5" in Spanish
+ */
+function formatNumber(value, language) {
+    return new Intl.NumberFormat(locales.getLanguageLocale(language), { maximumFractionDigits: 10 }).format(value);
+}
+
+/* MONEY FUNCTIONS */
+
+/* Amounts are computed as exact decimals { int: BigInt, scale: number },
+ * meaning int / 10^scale, and rounded to each currency's minor unit with
+ * the configured rounding mode. Results are exposed as plain numbers that
+ * are exact to the currency's decimal places. */
+
+/**
+ * Get 10^exponent as a BigInt
+ * @param {number} exponent - Non-negative exponent
+ * @returns {BigInt} Power of ten
+ */
+function powerOfTen(exponent) {
+    return BigInt('1' + new Array(exponent + 1).join('0'));
+}
+
+/**
+ * Convert a number or numeric string to an exact decimal.
+ * Numbers are read through their shortest string form, so 0.1 stays 0.1.
+ * @param {number|string|Object} value - Value to convert
+ * @returns {Object} Decimal { int, scale }
+ */
+function toDecimal(value) {
+    if (value !== null && typeof value === 'object') return value;
+
+    var text = String(value);
+    var exponent = 0;
+    var scientific = text.match(/^(.*)e([+-]?\d+)$/i);
+    if (scientific) {
+        text = scientific[1];
+        exponent = parseInt(scientific[2], 10);
+    }
+
+    var match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+    if (!match) {
+        throw new Error('Invalid amount: ' + value);
+    }
+    var fraction = match[3] || '';
+    var int = BigInt(match[1] + (match[2] || '0') + fraction);
+    var scale = fraction.length - exponent;
+    if (scale < 0) {
+        return { int: int * powerOfTen(-scale), scale: 0 };
+    }
+    return { int: int, scale: scale };
+}
+
+/**
+ * Express a decimal with a larger scale without changing its value
+ * @param {Object} value - Decimal
+ * @param {number} scale - Target scale (>= current scale)
+ * @returns {BigInt} Integer at the target scale
+ */
+function scaleDecimal(value, scale) {
+    return value.int * powerOfTen(scale - value.scale);
+}
+
+/**
+ * Add two decimals
+ * @param {Object} a - Decimal
+ * @param {Object} b - Decimal
+ * @returns {Object} Exact sum
+ */
+function decimalAdd(a, b) {
+    var scale = Math.max(a.scale, b.scale);
+    return { int: scaleDecimal(a, scale) + scaleDecimal(b, scale), scale: scale };
+}
+
+/**
+ * Subtract one decimal from another
+ * @param {Object} a - Decimal
+ * @param {Object} b - Decimal to subtract
+ * @returns {Object} Exact difference
+ */
+function decimalSubtract(a, b) {
+    return decimalAdd(a, { int: -b.int, scale: b.scale });
+}
+
+/**
+ * Multiply two decimals
+ * @param {Object} a - Decimal
+ * @param {Object} b - Decimal
+ * @returns {Object} Exact product
+ */
+function decimalMultiply(a, b) {
+    return { int: a.int * b.int, scale: a.scale + b.scale };
+}
+
+/**
+ * Take a percentage of a decimal
+ * @param {Object} amount - Decimal amount
+ * @param {number} rate - Percentage, e.g. 13 for 13%
+ * @returns {Object} Exact result
+ */
+function decimalPercent(amount, rate) {
+    var product = decimalMultiply(amount, toDecimal(rate));
+    return { int: product.int, scale: product.scale + 2 };
+}
+
+/**
+ * Compare two decimals
+ * @param {Object} a - Decimal
+ * @param {Object} b - Decimal
+ * @returns {number} -1, 0 or 1
+ */
+function compareDecimals(a, b) {
+    var difference = decimalSubtract(a, b).int;
+    return difference < BigInt(0) ? -1 : (difference > BigInt(0) ? 1 : 0);
+}
+
+/**
+ * Round a decimal to a number of places
+ * @param {Object} value - Decimal
+ * @param {number} places - Decimal places to keep
+ * @param {string} mode - 'half-up' or 'half-even'
+ * @returns {Object} Rounded decimal with the given scale
+ */
+function roundDecimal(value, places, mode) {
+    if (value.scale <= places) {
+        return { int: scaleDecimal(value, places), scale: places };
+    }
+
+    var divisor = powerOfTen(value.scale - places);
+    var quotient = value.int / divisor;
+    var remainder = value.int % divisor;
+    var twiceRemainder = (remainder < BigInt(0) ? -remainder : remainder) * BigInt(2);
+    var isTie = twiceRemainder === divisor;
+    var isOdd = quotient % BigInt(2) !== BigInt(0);
+
+    if (twiceRemainder > divisor || (isTie && (mode === 'half-up' || isOdd))) {
+        quotient += value.int < BigInt(0) ? BigInt(-1) : BigInt(1);
+    }
+    return { int: quotient, scale: places };
+}
+
+/**
+ * Convert a rounded decimal to a plain number
+ * @param {Object} value - Decimal with a small scale
+ * @returns {number} Number
+ */
+function decimalToNumber(value) {
+    return Number(value.int) / Math.pow(10, value.scale);
+}
+
+/**
+ * Render a decimal as a plain string with exactly its scale in fraction digits
+ * @param {Object} value - Decimal
+ * @returns {string} e.g. "-1234.50"
+ */
+function decimalToString(value) {
+    var negative = value.int < BigInt(0);
+    var digits = String(negative ? -value.int : value.int).padStart(value.scale + 1, '0');
+    var whole = digits.slice(0, digits.length - value.scale);
+    var fraction = value.scale > 0 ? '.' + digits.slice(digits.length - value.scale) : '';
+    return (negative ? '-' : '') + whole + fraction;
+}
+
+/**
+ * Split an amount over weights in proportion, without losing a minor unit.
+ * Leftover units go to the largest remainders (largest remainder method).
+ * @param {Object} amount - Rounded decimal to split
+ * @param {Array<Object>} weights - Rounded decimals with the same scale
+ * @returns {Array<Object>} Shares that add up exactly to the amount
+ */
+function allocateAmount(amount, weights) {
+    var totalWeight = weights.reduce(function(sum, weight) {
+        return sum + weight.int;
+    }, BigInt(0));
+    if (totalWeight === BigInt(0)) {
+        return weights.map(function() {
+            return { int: BigInt(0), scale: amount.scale };
+        });
+    }
+
+    var allocated = BigInt(0);
+    var shares = weights.map(function(weight, index) {
+        var product = amount.int * weight.int;
+        var share = product / totalWeight;
+        allocated += share;
+        return { index: index, int: share, remainder: product % totalWeight };
+    });
+
+    var leftover = amount.int - allocated;
+    shares.slice().sort(function(a, b) {
+        return a.remainder === b.remainder ? a.index - b.index : (a.remainder > b.remainder ? -1 : 1);
+    }).forEach(function(share) {
+        if (leftover > BigInt(0)) {
+            share.int += BigInt(1);
+            leftover -= BigInt(1);
+        }
+    });
+
+    return shares.map(function(share) {
+        return { int: share.int, scale: amount.scale };
+    });
+}
+
+/**
+ * Get the number of decimal places of a currency's minor unit
+ * @param {string} currency - Currency code
+ * @param {Object} settings - Calculation settings
+ * @returns {number} Decimal places (0, 2 or 3)
+ */
+function getCurrencyPlaces(currency, settings) {
+    if (settings.currencies[currency]) return settings.currencies[currency].decimals;
+    if (settings.pinnedRate && settings.pinnedRate.currency === currency) return settings.pinnedRate.decimals;
+    return 2;
+}
+
+/**
+ * Round a decimal to a currency's minor unit with the configured mode
+ * @param {Object} value - Decimal
+ * @param {string} currency - Currency code
+ * @param {Object} settings - Calculation settings
+ * @returns {Object} Rounded decimal
+ */
+function roundAmount(value, currency, settings) {
+    return roundDecimal(value, getCurrencyPlaces(currency, settings), settings.rounding.mode);
+}
+
+/**
+ * Round a line-level amount when rounding per line, otherwise keep it exact
+ * @param {Object} value - Decimal
+ * @param {string} currency - Currency code
+ * @param {Object} settings - Calculation settings
+ * @returns {Object} Decimal
+ */
+function roundLineValue(value, currency, settings) {
+    return settings.rounding.strategy === 'line' ? roundAmount(value, currency, settings) : value;
+}
+
+/**
+ * Format an amount in a currency with Intl.NumberFormat, after rounding it
+ * to the currency's decimal places with the configured mode
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @param {Object} settings - Calculation settings
+ * @param {boolean} keepPrecision - Show extra decimals (e.g. unit prices) instead of rounding them
+ * @returns {string} Formatted amount, e.g. "$1,234.50" or "-€14.00"
+ */
+function formatAmount(amount, currency, settings, keepPrecision) {
+    var decimals = getCurrencyPlaces(currency, settings);
+    var value = toDecimal(amount);
+    if (!keepPrecision || value.scale <= decimals) {
+        value = roundDecimal(value, decimals, settings.rounding.mode);
+    }
+    // Intl formats numeric strings exactly where supported, and as Numbers elsewhere
+    return new Intl.NumberFormat(locales.getLanguageLocale(settings.language), {
+        style: 'currency',
+        currency: currency,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: Math.min(Math.max(value.scale, decimals), 20)
+    }).format(decimalToString(value));
+}
+
+/**
+ * Get the registry rate between two currencies. Registry rates are quoted
+ * per USD, so other pairs use the cross rate and carry the newest date and
+ * the sources of both legs.
+ * @param {Object} currencies - Currency registry
+ * @param {string} base - Currency converted from
+ * @param {string} currency - Currency converted to
+ * @returns {Object} Snapshot { base, currency, rate, decimals, date, source }
+ */
+function getCrossRate(currencies, base, currency) {
+    var legs = [base, currency].filter(function(code) {
+        return code !== 'USD';
+    }).map(function(code) {
+        return currencies[code];
+    });
+    var dates = legs.map(function(leg) { return leg.rateDate; }).filter(Boolean).sort();
+    var sources = legs.map(function(leg) { return leg.rateSource; }).filter(function(source, index, all) {
+        return all.indexOf(source) === index;
+    });
+
+    return {
+        base: base,
+        currency: currency,
+        rate: Number((currencies[currency].rate / currencies[base].rate).toPrecision(10)),
+        decimals: currencies[currency].decimals,
+        date: dates.length ? dates[dates.length - 1] : null,
+        source: sources.join(' / ') || 'Built-in'
+    };
+}
+
+/**
+ * Describe an exchange rate snapshot, e.g. for the summary card and PDF
+ * @param {Object} rate - Snapshot from getCrossRate() or a pinned rate
+ * @param {string} language - Language code (default English)
+ * @returns {string} e.g. "1 USD = 0.92 EUR (2026-10-01, ECB)"
+ */
+function describeRate(rate, language) {
+    return '1 ' + (rate.base || 'USD') + ' = ' + formatNumber(rate.rate, language) + ' ' + rate.currency +
+        ' (' + (rate.date ? rate.date + ', ' : '') + locales.translate(language, rate.source) + ')';
+}
+
+/* CALCULATION FUNCTIONS */
+
+/**
+ * Find a tax category by id, falling back to the first (default) category
+ * @param {string} id - Tax category id
+ * @param {Object} settings - Calculation settings
+ * @returns {Object} Tax category
+ */
+function findTaxCategory(id, settings) {
+    return settings.taxCategories.filter(function(category) {
+        return category.id === id;
+    })[0] || settings.taxCategories[0];
+}
+
+/**
+ * Resolve the tax rates that apply to an item or charge. Items restored from
+ * history carry a frozen snapshot of their rates, so old invoices reproduce exactly.
+ * @param {Object} item - Invoice line item or charge
+ * @param {Object} settings - Calculation settings
+ * @returns {Array<Object>} Tax rates in application order
+ */
+function resolveTaxes(item, settings) {
+    if (item.taxes) return item.taxes;
+
+    return findTaxCategory(item.taxCategory, settings).taxes.map(function(rateId) {
+        var rate = settings.taxRates.filter(function(candidate) {
+            return candidate.id === rateId;
+        })[0];
+        return rate && { id: rate.id, name: rate.name, rate: rate.rate, compound: rate.compound };
+    }).filter(Boolean);
+}
+
+/**
+ * Format a tax rate label for display, e.g. "VAT (13%)"
+ * @param {Object} tax - Tax rate or breakdown entry
+ * @param {string} language - Language code (default English)
+ * @returns {string} Label
+ */
+function formatTaxLabel(tax, language) {
+    if (tax.id === 'exempt') return locales.translate(language, 'Exempt');
+    return tax.name + ' (' + formatNumber(tax.rate, language) + '%' +
+        (tax.compound ? locales.translate(language, ', compound') : '') + ')';
+}
+
+/**
+ * Calculate the amount taken off by a discount, never more than the amount itself
+ * @param {Object|null} discount - Percentage or fixed discount
+ * @param {Object} amount - Decimal amount the discount applies to
+ * @returns {Object} Decimal discount amount
+ */
+function calculateDiscount(discount, amount) {
+    if (!discount) return toDecimal(0);
+    var value = discount.type === 'percent' ?
+        decimalPercent(amount, discount.value) :
+        toDecimal(discount.value);
+    if (compareDecimals(value, toDecimal(0)) < 0) return toDecimal(0);
+    return compareDecimals(value, amount) > 0 ? amount : value;
+}
+
+/**
+ * Format a discount for display, e.g. "-10%" or "-$5.00"
+ * @param {Object} discount - Percentage or fixed discount
+ * @param {string} currency - Invoice currency of a fixed discount
+ * @param {Object} settings - Calculation settings
+ * @returns {string} Label
+ */
+function describeDiscount(discount, currency, settings) {
+    return discount.type === 'percent' ?
+        '-' + formatNumber(discount.value, settings.language) + '%' :
+        formatAmount(-discount.value, currency, settings);
+}
+
+/**
+ * Calculate a line's gross amount, discount and net amount as decimals.
+ * With per-line rounding each value is rounded to the currency's minor unit.
+ * @param {Object} item - Invoice line item
+ * @param {string} currency - Invoice currency
+ * @param {Object} settings - Calculation settings
+ * @returns {Object} Decimals { gross, discount, net }
+ */
+function computeLine(item, currency, settings) {
+    var gross = roundLineValue(decimalMultiply(toDecimal(item.quantity), toDecimal(item.price)), currency, settings);
+    var discount = roundLineValue(calculateDiscount(item.discount, gross), currency, settings);
+    return { gross: gross, discount: discount, net: decimalSubtract(gross, discount) };
+}
+
+/**
+ * Calculate a line's amount after its own discount, rounded for display
+ * @param {Object} item - Invoice line item
+ * @param {string} currency - Invoice currency
+ * @param {Object} settings - Calculation settings
+ * @returns {number} Net line amount
+ */
+function computeLineAmount(item, currency, settings) {
+    return decimalToNumber(roundAmount(computeLine(item, currency, settings).net, currency, settings));
+}
+
+/**
+ * Calculate an invoice's totals in its currency, including subtotal,
+ * discounts, charges, per-rate tax breakdown, and the reference currency total
+ * @param {Object} invoice - { items, discount, charges, baseCurrency, currency, exchangeRate };
+ *     without an exchangeRate snapshot the reference total uses the registry rate
+ * @param {Object} settings - Calculation settings
+ * @returns {Object} Calculation results with all financial data
+ */
+function computeTotals(invoice, settings) {
+    var baseCurrency = invoice.baseCurrency;
+    var invoiceCharges = invoice.charges || [];
+    var breakdown = [];
+    var zero = toDecimal(0);
+
+    function addToBreakdown(tax, taxableBase, amount) {
+        var entry = breakdown.filter(function(candidate) {
+            return candidate.id === tax.id && candidate.rate === tax.rate && candidate.compound === tax.compound;
+        })[0];
+        if (!entry) {
+            entry = { id: tax.id, name: tax.name, rate: tax.rate, compound: tax.compound, taxableBase: zero, amount: zero };
+            breakdown.push(entry);
+        }
+        entry.taxableBase = decimalAdd(entry.taxableBase, taxableBase);
+        entry.amount = decimalAdd(entry.amount, amount);
+    }
+
+    function applyTaxes(lineAmount, lineTaxes) {
+        var appliedTax = zero;
+        if (lineTaxes.length === 0) {
+            addToBreakdown({ id: 'exempt', name: 'Exempt', rate: 0, compound: false }, lineAmount, zero);
+        }
+        lineTaxes.forEach(function(tax) {
+            var taxableBase = tax.compound ? decimalAdd(lineAmount, appliedTax) : lineAmount;
+            var amount = roundLineValue(decimalPercent(taxableBase, tax.rate), baseCurrency, settings);
+            appliedTax = decimalAdd(appliedTax, amount);
+            addToBreakdown(tax, taxableBase, amount);
+        });
+    }
+
+    var lines = invoice.items.map(function(item) {
+        return computeLine(item, baseCurrency, settings);
+    });
+    var subtotal = roundAmount(lines.reduce(function(sum, line) {
+        return decimalAdd(sum, line.net);
+    }, zero), baseCurrency, settings);
+    var discount = roundAmount(calculateDiscount(invoice.discount, subtotal), baseCurrency, settings);
+
+    // Spread the invoice discount over the lines pro rata so each tax base shrinks with it
+    var discountShares = allocateAmount(discount, lines.map(function(line) {
+        return roundAmount(line.net, baseCurrency, settings);
+    }));
+    invoice.items.forEach(function(item, index) {
+        applyTaxes(decimalSubtract(lines[index].net, discountShares[index]), resolveTaxes(item, settings));
+    });
+
+    var chargesTotal = roundAmount(invoiceCharges.reduce(function(sum, charge) {
+        var amount = toDecimal(charge.amount);
+        applyTaxes(amount, resolveTaxes(charge, settings));
+        return decimalAdd(sum, amount);
+    }, zero), baseCurrency, settings);
+
+    // Totals are rounded once here; with per-line rounding they are already exact
+    var tax = zero;
+    breakdown.forEach(function(entry) {
+        entry.taxableBase = roundAmount(entry.taxableBase, baseCurrency, settings);
+        entry.amount = roundAmount(entry.amount, baseCurrency, settings);
+        tax = decimalAdd(tax, entry.amount);
+    });
+    var total = decimalAdd(decimalSubtract(subtotal, discount), decimalAdd(chargesTotal, tax));
+    
+    // The optional reference currency shows the total converted at the snapshot rate
+    var currency = invoice.currency;
+    var rate = null;
+    var convertedTotal = null;
+    if (currency && currency !== baseCurrency) {
+        rate = invoice.exchangeRate || getCrossRate(settings.currencies, baseCurrency, currency);
+        convertedTotal = roundAmount(decimalMultiply(total, toDecimal(rate.rate)), currency, settings);
+    } else {
+        currency = null;
+    }
+
+    return { 
+        subtotal: decimalToNumber(subtotal), 
+        discount: decimalToNumber(discount),
+        charges: decimalToNumber(chargesTotal),
+        tax: decimalToNumber(tax), 
+        taxes: breakdown.map(function(entry) {
+            return Object.assign({}, entry, {
+                taxableBase: decimalToNumber(entry.taxableBase),
+                amount: decimalToNumber(entry.amount)
+            });
+        }),
+        total: decimalToNumber(total), 
+        baseCurrency: baseCurrency,
+        convertedTotal: convertedTotal && decimalToNumber(convertedTotal), 
+        currency: currency,
+        rate: rate
+    };
+}
+
+/**
+ * Format an item's quantity with its unit of measure, if any
+ * @param {Object} item - Invoice line item
+ * @param {string} language - Language code (default English)
+ * @returns {string} e.g. "2.5 h" or "3"
+ */
+function formatQuantity(item, language) {
+    return formatNumber(item.quantity, language) + (item.unit ? ' ' + item.unit : '');
+}
+
+/* VALIDATION FUNCTIONS */
+
+/**
+ * Validate a discount against the amount it applies to
+ * @param {Object|null} discount - Discount to check
+ * @param {number} amount - Amount the discount reduces
+ * @param {string} language - Language of the message (default English)
+ * @returns {string} Error message, empty when valid
+ */
+function validateDiscount(discount, amount, language) {
+    if (!discount) return '';
+    if (isNaN(discount.value) || discount.value < 0) {
+        return locales.translate(language, 'Discount cannot be negative');
+    }
+    if (discount.type === 'percent' && discount.value > 100) {
+        return locales.translate(language, 'Discount cannot exceed 100%');
+    }
+    if (discount.type === 'fixed' && amount > 0 && discount.value > amount) {
+        return locales.translate(language, 'Discount cannot exceed the line amount');
+    }
+    return '';
+}
+
+/**
+ * Validate a line item
+ * @param {Object} item - { name, quantity, price, discount }
+ * @param {string} language - Language of the messages (default English)
+ * @returns {Object} Error messages keyed by field (name, quantity, price,
+ *     discount); empty when the item is valid
+ */
+function validateLineItem(item, language) {
+    var errors = {};
+
+    // Validate item name is not empty
+    if (!item.name) {
+        errors.name = locales.translate(language, 'Item name is required');
+    }
+
+    // Validate quantity is positive
+    if (!item.quantity || item.quantity <= 0) {
+        errors.quantity = locales.translate(language, 'Quantity must be greater than 0');
+    }
+
+    // Validate price is positive
+    if (!item.price || item.price <= 0) {
+        errors.price = locales.translate(language, 'Price must be greater than 0');
+    }
+
+    // Validate discount does not exceed the line amount
+    var discountError = validateDiscount(item.discount, item.quantity * item.price, language);
+    if (discountError) {
+        errors.discount = discountError;
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a whole invoice before it is sealed: its number, currencies,
+ * dates, lines, adjustments and tax categories. Amounts must be JSON
+ * numbers, as the page seals them, so the hash comes out the same.
+ * @param {Object} invoice - Plain invoice object (see buildInvoiceRecord)
+ * @param {Object} settings - Calculation settings
+ * @returns {Array<string>} Problems, empty when the invoice is valid
+ */
+function validateInvoice(invoice, settings) {
+    var problems = [];
+    function checkTaxCategory(entry, label) {
+        if (entry.taxCategory !== undefined && findTaxCategory(entry.taxCategory, settings).id !== entry.taxCategory) {
+            problems.push(label + ' has unknown tax category "' + entry.taxCategory + '"');
+        }
+    }
+
+    if (invoice.invoiceNumber === undefined || invoice.invoiceNumber === null || String(invoice.invoiceNumber).trim() === '') {
+        problems.push('Invoice number is required');
+    }
+    if (!settings.currencies[invoice.baseCurrency]) {
+        problems.push('Unknown invoice currency "' + invoice.baseCurrency + '"');
+    }
+    if (invoice.currency && !settings.currencies[invoice.currency] && !invoice.exchangeRate) {
+        problems.push('Unknown reference currency "' + invoice.currency + '"');
+    }
+    if (invoice.issueDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(invoice.issueDate)) {
+        problems.push('Issue date must be a YYYY-MM-DD date');
+    }
+    if (invoice.language !== undefined && !locales.LANGUAGES[invoice.language]) {
+        problems.push('Unknown document language "' + invoice.language + '"');
+    }
+    if (invoice.paymentTerms !== undefined && invoice.paymentTerms !== null &&
+        !(typeof invoice.paymentTerms === 'number' && invoice.paymentTerms >= 0 && invoice.paymentTerms % 1 === 0)) {
+        problems.push('Payment terms must be a whole number of days');
+    }
+    if (invoice.documentType === 'credit-note' && !(invoice.creditFor && invoice.creditFor.invoiceNumber !== undefined && invoice.creditFor.hash)) {
+        problems.push('A credit note needs the number and hash of the invoice it credits');
+    }
+
+    if (!Array.isArray(invoice.items) || invoice.items.length === 0) {
+        problems.push('Add at least one item');
+    } else {
+        invoice.items.forEach(function(item, index) {
+            var label = 'Item ' + (index + 1);
+            if (typeof item.quantity !== 'number' || typeof item.price !== 'number') {
+                problems.push(label + ': quantity and price must be numbers');
+                return;
+            }
+            var errors = validateLineItem(item);
+            Object.keys(errors).forEach(function(field) {
+                problems.push(label + ': ' + errors[field]);
+            });
+            checkTaxCategory(item, label);
+        });
+    }
+
+    var discountError = validateDiscount(invoice.discount, 0);
+    if (discountError) {
+        problems.push('Invoice discount: ' + discountError);
+    }
+    (invoice.charges || []).forEach(function(charge, index) {
+        var label = 'Charge ' + (index + 1);
+        if (!charge.name || typeof charge.amount !== 'number' || !(charge.amount > 0)) {
+            problems.push(label + ': enter a charge name and an amount greater than 0');
+        }
+        checkTaxCategory(charge, label);
+    });
+    return problems;
+}
+
+/* BLOCKCHAIN FUNCTIONS */
+
+/**
+ * Generate SHA-256 hash using Web Crypto API
+ * @param {string} message - Message to hash
+ * @returns {Promise<string>} Hexadecimal hash string
+ */
+function generateHash(message) {
+    var msgBuffer = new TextEncoder().encode(JSON.stringify(message));
+    return crypto.subtle.digest('SHA-256', msgBuffer).then(function(hashBuffer) {
+        var hashArray = Array.from(new Uint8Array(hashBuffer));
+        var hashHex = hashArray.map(function(b) {
+            return b.toString(16).padStart(2, '0');
+        }).join('');
+        return hashHex;
+    });
+}
+
+/**
+ * Build the canonical block that gets hashed for an invoice.
+ * Field order matters: the hash is computed over the JSON serialization.
+ * Invoices issued before chaining have no index/previousHash and keep
+ * their original block layout so they remain verifiable.
+ * @param {Object} invoiceData - Invoice information
+ * @param {string} timestamp - ISO timestamp sealed into the block
+ * @returns {Object} Canonical block data
+ */
+function buildBlockData(invoiceData, timestamp) {
+    var block = {};
+    if (invoiceData.previousHash !== undefined) {
+        block.index = invoiceData.index;
+        block.previousHash = invoiceData.previousHash;
+    }
+    Object.assign(block, {
+        invoiceNumber: invoiceData.invoiceNumber,
+        clientName: invoiceData.clientName,
+        total: invoiceData.total,
+        timestamp: timestamp,
+        items: invoiceData.items.map(function(item) {
+            var entry = {
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price
+            };
+            if (item.sku) {
+                entry.sku = item.sku;
+            }
+            if (item.discount) {
+                entry.discount = { type: item.discount.type, value: item.discount.value };
+            }
+            return entry;
+        })
+    });
+
+    // Issuer, adjustments, a non-USD currency, dates and credit note references are
+    // only sealed when present, keeping older blocks verifiable
+    if (invoiceData.issuer) {
+        block.issuer = {
+            legalName: invoiceData.issuer.legalName,
+            address: invoiceData.issuer.address,
+            taxId: invoiceData.issuer.taxId,
+            email: invoiceData.issuer.email,
+            phone: invoiceData.issuer.phone,
+            website: invoiceData.issuer.website,
+            paymentInstructions: invoiceData.issuer.paymentInstructions
+        };
+    }
+    if (invoiceData.baseCurrency && invoiceData.baseCurrency !== 'USD') {
+        block.currency = invoiceData.baseCurrency;
+    }
+    if (invoiceData.discount) {
+        block.discount = { type: invoiceData.discount.type, value: invoiceData.discount.value };
+    }
+    if (invoiceData.charges && invoiceData.charges.length) {
+        block.charges = invoiceData.charges.map(function(charge) {
+            return { name: charge.name, amount: charge.amount };
+        });
+    }
+    if (invoiceData.issueDate) {
+        block.issueDate = invoiceData.issueDate;
+        block.dueDate = invoiceData.dueDate || null;
+    }
+    if (invoiceData.documentType === 'credit-note') {
+        block.documentType = invoiceData.documentType;
+        block.creditFor = { invoiceNumber: invoiceData.creditFor.invoiceNumber, hash: invoiceData.creditFor.hash };
+    }
+    return block;
+}
+
+/**
+ * Create blockchain data structure for invoice
+ * @param {Object} invoiceData - Invoice information
+ * @param {string} timestamp - ISO timestamp to seal, now when omitted
+ * @returns {Promise<Object>} Block with hash and timestamp
+ */
+function generateBlockchainData(invoiceData, timestamp) {
+    timestamp = timestamp || new Date().toISOString();
+    var blockData = buildBlockData(invoiceData, timestamp);
+    
+    return generateHash(blockData).then(function(hash) {
+        return {
+            hash: hash,
+            timestamp: timestamp,
+            data: blockData
+        };
+    });
+}
+
+/**
+ * Build the QR payload for an invoice block. It carries the full hash and
+ * the sealing timestamp so a verifier can rebuild and recompute the block.
+ * Signed blocks use version 2, which appends the key fingerprint and signature.
+ * @param {Object} blockData - Block returned by generateBlockchainData()
+ * @returns {string} Payload in the form NHI|<version>|<number>|<timestamp>|<hash>[|<fingerprint>|<signature>]
+ */
+function buildQRPayload(blockData) {
+    var fields = ['NHI', 1, blockData.data.invoiceNumber, blockData.timestamp, blockData.hash];
+    if (blockData.signature) {
+        fields[1] = 2;
+        fields.push(blockData.keyFingerprint, blockData.signature);
+    }
+    return fields.join('|');
+}
+
+// Fixed first block of every chain; its hash is the first invoice's previousHash
+var GENESIS_BLOCK = {
+    index: 0,
+    previousHash: '0000000000000000000000000000000000000000000000000000000000000000',
+    timestamp: '1970-01-01T00:00:00.000Z',
+    data: 'NanoHash Invoice Genesis Block'
+};
+
+// Cached promise for the genesis block hash
+var genesisHashPromise = null;
+
+/**
+ * Get the hash of the genesis block
+ * @returns {Promise<string>} Genesis block hash
+ */
+function getGenesisHash() {
+    if (!genesisHashPromise) {
+        genesisHashPromise = generateHash(GENESIS_BLOCK);
+    }
+    return genesisHashPromise;
+}
+
+/**
+ * Check whether a history entry is a deletion tombstone
+ * @param {Object} entry - History entry
+ * @returns {boolean} True for tombstone blocks
+ */
+function isTombstone(entry) {
+    return entry.type === 'tombstone';
+}
+
+/**
+ * Check whether a history entry is a lifecycle event (payment, void or
+ * tombstone) rather than an invoice or credit note
+ * @param {Object} entry - History entry
+ * @returns {boolean} True for event blocks
+ */
+function isChainEvent(entry) {
+    return entry.type !== undefined;
+}
+
+/**
+ * Build the canonical data of a tombstone block
+ * @param {Object} tombstone - Tombstone history entry
+ * @returns {Object} Canonical block data
+ */
+function buildTombstoneData(tombstone) {
+    return {
+        index: tombstone.index,
+        previousHash: tombstone.previousHash,
+        type: 'tombstone',
+        invoiceNumber: tombstone.invoiceNumber,
+        deletedHash: tombstone.deletedHash,
+        timestamp: tombstone.timestamp
+    };
+}
+
+/**
+ * Build the canonical data of a payment or void event block
+ * @param {Object} event - Event history entry
+ * @returns {Object} Canonical block data
+ */
+function buildEventData(event) {
+    var data = {
+        index: event.index,
+        previousHash: event.previousHash,
+        type: event.type,
+        invoiceNumber: event.invoiceNumber,
+        invoiceHash: event.invoiceHash
+    };
+    if (event.type === 'payment') {
+        data.amount = event.amount;
+        data.currency = event.currency;
+        data.date = event.date;
+        data.reference = event.reference;
+    }
+    data.timestamp = event.timestamp;
+    return data;
+}
+
+/**
+ * Recompute the hash of any chain entry (invoice, credit note or event)
+ * @param {Object} entry - History entry
+ * @returns {Promise<string>} Recomputed hash
+ */
+function hashChainEntry(entry) {
+    if (isTombstone(entry)) {
+        return generateHash(buildTombstoneData(entry));
+    }
+    if (isChainEvent(entry)) {
+        return generateHash(buildEventData(entry));
+    }
+    return generateHash(buildBlockData(entry, entry.timestamp));
+}
+
+/**
+ * Format a fingerprint for display (first 16 hex characters in groups of 4)
+ * @param {string} fingerprint - Hexadecimal fingerprint
+ * @returns {string} Short fingerprint
+ */
+function formatFingerprint(fingerprint) {
+    return fingerprint.substring(0, 16).match(/.{4}/g).join(':');
+}
+
+/* RECORD FUNCTIONS */
+
+// Issuer profile fields sealed into invoice blocks, in snapshot order
+var ISSUER_SNAPSHOT_FIELDS = ['legalName', 'taxId', 'address', 'email', 'phone', 'website', 'paymentInstructions'];
+
+/**
+ * Take the issuer identity sealed into invoice blocks from a seller profile
+ * @param {Object} profile - Seller profile (see issuerProfile in script.js)
+ * @returns {Object|null} Identity fields, or null until a legal name is set
+ */
+function snapshotIssuer(profile) {
+    if (!profile || !profile.legalName) return null;
+    var snapshot = {};
+    ISSUER_SNAPSHOT_FIELDS.forEach(function(field) {
+        snapshot[field] = profile[field];
+    });
+    return snapshot;
+}
+
+/**
+ * Build the history record of a plain invoice object, without the number
+ * and the block fields (hash, timestamp, index, previousHash, signature)
+ * it only gets when issued.
+ * @param {Object} invoice - { issuer, clientName, fiscalField, clientId, clientDetails,
+ *     language, documentType, creditFor, issueDate, paymentTerms, baseCurrency,
+ *     currency, exchangeRate, items, discount, charges }
+ * @param {Object} settings - Calculation settings
+ * @returns {Object} Record fields
+ */
+function buildInvoiceRecord(invoice, settings) {
+    var totals = computeTotals(invoice, settings);
+    var isCredit = invoice.documentType === 'credit-note';
+    var issueDate = invoice.issueDate || getTodayISO();
+    // Credit notes are not payable, so they carry no terms or due date
+    var terms = isCredit ? null : (invoice.paymentTerms > 0 ? invoice.paymentTerms : 0);
+
+    return {
+        issuer: invoice.issuer || null,
+        clientName: invoice.clientName || 'General Client',
+        fiscalField: invoice.fiscalField || '',
+        clientId: invoice.clientId || null,
+        // Keep the billing details printed on the invoice even if the client is edited later
+        clientDetails: invoice.clientDetails || null,
+        // Language the document is printed in, which may differ from the interface's
+        language: invoice.language || 'en',
+        documentType: isCredit ? 'credit-note' : 'invoice',
+        creditFor: isCredit ? invoice.creditFor : null,
+        issueDate: issueDate,
+        paymentTerms: terms,
+        dueDate: isCredit ? null : addDays(issueDate, terms),
+        baseCurrency: totals.baseCurrency,
+        subtotal: totals.subtotal,
+        discount: invoice.discount || null,
+        discountAmount: totals.discount,
+        charges: JSON.parse(JSON.stringify((invoice.charges || []).map(function(charge) {
+            return Object.assign({}, charge, { taxes: resolveTaxes(charge, settings) });
+        }))),
+        tax: totals.tax,
+        taxes: totals.taxes,
+        total: totals.total,
+        currency: totals.currency,
+        convertedTotal: totals.convertedTotal,
+        // Freeze the exchange rate so regenerating converts the same way months later
+        exchangeRate: totals.rate,
+        rounding: Object.assign({}, settings.rounding),
+        date: formatDate(issueDate),
+        // Freeze each item's tax rates so the invoice reproduces after settings change
+        items: JSON.parse(JSON.stringify(invoice.items.map(function(item) {
+            return Object.assign({}, item, { taxes: resolveTaxes(item, settings) });
+        })))
+    };
+}
+
+/**
+ * Check whether a history record is a credit note
+ * @param {Object} record - Invoice history record
+ * @returns {boolean} True for credit notes
+ */
+function isCreditNote(record) {
+    return record.documentType === 'credit-note';
+}
+
+/**
+ * Get the document name of a history record
+ * @param {Object} record - Invoice history record
+ * @param {string} language - Language code (default English, as in file names)
+ * @returns {string} "Invoice" or "Credit Note"
+ */
+function getDocumentLabel(record, language) {
+    return locales.translate(language, isCreditNote(record) ? 'Credit Note' : 'Invoice');
+}
+
+/**
+ * Get the currency an invoice record was billed in; records from before
+ * base currencies were introduced are in USD
+ * @param {Object} invoice - Invoice history record
+ * @returns {string} Currency code
+ */
+function getRecordCurrency(invoice) {
+    return invoice.baseCurrency || 'USD';
+}
+
+/**
+ * Get a record's issue date; older records fall back to the sealing timestamp
+ * @param {Object} invoice - Invoice history record
+ * @returns {string} ISO calendar date
+ */
+function getRecordIssueDate(invoice) {
+    return invoice.issueDate || toISODate(new Date(invoice.timestamp));
+}
+
+/**
+ * Get the date an invoice is due. Records from before due dates were sealed
+ * use the payment terms of their client snapshot and otherwise have none.
+ * @param {Object} invoice - Invoice history record
+ * @returns {string|null} ISO calendar date
+ */
+function getInvoiceDueDate(invoice) {
+    if (invoice.dueDate !== undefined) return invoice.dueDate;
+    if (invoice.clientDetails && invoice.clientDetails.paymentTerms) {
+        return addDays(getRecordIssueDate(invoice), invoice.clientDetails.paymentTerms);
+    }
+    return null;
+}
+
+/**
+ * Describe payment terms in days
+ * @param {number} days - Days until payment is due
+ * @param {string} language - Language code (default English)
+ * @returns {string} e.g. "Net 30 days" or "Due on receipt"
+ */
+function formatPaymentTerms(days, language) {
+    return days ? locales.translatePlural(language, 'Net {count} day', 'Net {count} days', days) :
+        locales.translate(language, 'Due on receipt');
+}
+
+// Marker that prefixes the invoice record embedded in PDF metadata
+var PDF_RECORD_MARKER = 'NHI-RECORD:';
+
+/**
+ * Encode an invoice record for the PDF keywords property.
+ * Base64 keeps the payload free of characters PDF strings must escape.
+ * @param {Object} record - Invoice history record
+ * @returns {string} Marker followed by the base64-encoded JSON record
+ */
+function encodeRecordForPDF(record) {
+    return PDF_RECORD_MARKER + btoa(unescape(encodeURIComponent(JSON.stringify(record))));
+}
+
+/* PDF FUNCTIONS */
+
+// Layout templates: "filled" draws solid colored panels and shaded rows,
+// otherwise panels are outlined; rowPadding is the space below each item row (mm)
+var PDF_TEMPLATES = {
+    classic: { label: 'Classic', filled: true, rowPadding: 5.5 },
+    compact: { label: 'Compact', filled: false, rowPadding: 3.5 }
+};
+
+// Supported paper sizes, as jsPDF format names
+var PDF_PAGE_SIZES = {
+    a4: 'A4 (210 × 297 mm)',
+    letter: 'US Letter (8.5 × 11 in)'
+};
+
+/**
+ * Convert a #rrggbb color to RGB components for jsPDF
+ * @param {string} hex - Color such as "#667eea"
+ * @returns {Array<number>} [r, g, b]
+ */
+function hexToRgb(hex) {
+    var value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Start a PDF layout: the document plus the state needed to paginate it
+ * @param {Object} options - PDF options, see drawInvoicePDF()
+ * @param {string} title - Heading repeated on continuation pages
+ * @param {string} language - Language the document is printed in
+ * @returns {Object} Layout { doc, template, format, pageWidth, pageHeight, bottom, y, title,
+ *     colors, language, settings }; settings format amounts in the document's language
+ */
+function createPdfLayout(options, title, language) {
+    var format = PDF_PAGE_SIZES[options.pdf.pageSize] ? options.pdf.pageSize : 'a4';
+    var doc = new options.jsPDF({ format: format });
+    var pageHeight = doc.internal.pageSize.getHeight();
+
+    return {
+        doc: doc,
+        template: PDF_TEMPLATES[options.pdf.template] || PDF_TEMPLATES.classic,
+        format: format,
+        pageWidth: doc.internal.pageSize.getWidth(),
+        pageHeight: pageHeight,
+        // Content stops above the footer drawn on every page
+        bottom: pageHeight - 28,
+        y: 0,
+        title: title,
+        colors: {
+            primary: hexToRgb(options.branding.primaryColor),
+            accent: hexToRgb(options.branding.accentColor),
+            signature: [118, 75, 162],
+            panel: [248, 249, 250]
+        },
+        language: language,
+        settings: Object.assign({}, options.settings, { language: language })
+    };
+}
+
+/**
+ * Draw a panel: filled in the "filled" template, outlined otherwise
+ * @param {Object} layout - PDF layout
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ * @param {Array<number>} rgb - Panel color
+ */
+function drawPdfPanel(layout, x, y, width, height, radius, rgb) {
+    var doc = layout.doc;
+    if (layout.template.filled) {
+        doc.setFillColor(rgb[0], rgb[1], rgb[2]);
+        doc.roundedRect(x, y, width, height, radius, radius, 'F');
+    } else {
+        // Light panels get a neutral outline so they stay visible on white
+        var stroke = rgb === layout.colors.panel ? [220, 220, 220] : rgb;
+        doc.setDrawColor(stroke[0], stroke[1], stroke[2]);
+        doc.setLineWidth(0.4);
+        doc.roundedRect(x, y, width, height, radius, radius, 'S');
+    }
+}
+
+/**
+ * Set the text color for content on a colored panel: white on filled
+ * panels, the panel color itself on outlined ones
+ * @param {Object} layout - PDF layout
+ * @param {Array<number>} rgb - Panel color
+ */
+function setPdfPanelTextColor(layout, rgb) {
+    if (layout.template.filled) {
+        layout.doc.setTextColor(255, 255, 255);
+    } else {
+        layout.doc.setTextColor(rgb[0], rgb[1], rgb[2]);
+    }
+}
+
+/**
+ * Start a new page with a short continuation heading
+ * @param {Object} layout - PDF layout
+ */
+function addPdfPage(layout) {
+    var doc = layout.doc;
+    var primary = layout.colors.primary;
+    doc.addPage(layout.format);
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(primary[0], primary[1], primary[2]);
+    doc.text(locales.translate(layout.language, '{title} (continued)', { title: layout.title }), 15, 18);
+    doc.setDrawColor(primary[0], primary[1], primary[2]);
+    doc.setLineWidth(0.5);
+    doc.line(15, 21, 195, 21);
+    layout.y = 30;
+}
+
+/**
+ * Start a new page if the next block does not fit above the footer
+ * @param {Object} layout - PDF layout
+ * @param {number} height - Height of the next block
+ * @returns {boolean} True if a page was added
+ */
+function ensurePdfSpace(layout, height) {
+    if (layout.y + height <= layout.bottom) return false;
+    addPdfPage(layout);
+    return true;
+}
+
+/**
+ * Draw the items table header row
+ * @param {Object} layout - PDF layout
+ */
+function drawPdfTableHeader(layout) {
+    var doc = layout.doc;
+    var primary = layout.colors.primary;
+    var y = layout.y;
+
+    if (layout.template.filled) {
+        doc.setFillColor(primary[0], primary[1], primary[2]);
+        doc.roundedRect(15, y, 180, 10, 2, 2, 'F');
+        doc.setTextColor(255, 255, 255);
+    } else {
+        doc.setDrawColor(primary[0], primary[1], primary[2]);
+        doc.setLineWidth(0.5);
+        doc.line(15, y + 10, 195, y + 10);
+        doc.setTextColor(primary[0], primary[1], primary[2]);
+    }
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    ['SKU', 'Item', 'Tax', 'Quantity', 'Price', 'Disc.', 'Subtotal'].forEach(function(heading, column) {
+        doc.text(locales.translate(layout.language, heading), [20, 42, 82, 102, 122, 145, 170][column], y + 7);
+    });
+
+    doc.setTextColor(0, 0, 0);
+    doc.setFont(undefined, 'normal');
+    layout.y = y + 15;
+}
+
+/**
+ * Draw a running subtotal row, e.g. "Carried forward" at the bottom of a page
+ * @param {Object} layout - PDF layout
+ * @param {string} label - Row label
+ * @param {string} amount - Formatted amount
+ */
+function drawPdfRunningTotal(layout, label, amount) {
+    var doc = layout.doc;
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'bolditalic');
+    doc.setTextColor(90, 90, 90);
+    doc.text(label, 122, layout.y);
+    doc.text(amount, 170, layout.y);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(0, 0, 0);
+    layout.y += 8;
+}
+
+/**
+ * Draw the items table, breaking pages with repeated headers and
+ * carried-forward subtotals. Long names and descriptions wrap.
+ * @param {Object} layout - PDF layout
+ * @param {Array<Object>} lineItems - Invoice items
+ * @param {string} currency - Invoice currency
+ */
+function drawPdfItems(layout, lineItems, currency) {
+    var doc = layout.doc;
+    var lineHeight = 4.5;
+    var running = toDecimal(0);
+
+    drawPdfTableHeader(layout);
+    lineItems.forEach(function(item, index) {
+        doc.setFontSize(10);
+        var nameLines = doc.splitTextToSize(item.name, 38);
+        var skuLines = doc.splitTextToSize(item.sku || '-', 20);
+        doc.setFontSize(8);
+        var descriptionLines = item.description ? doc.splitTextToSize(item.description, 38) : [];
+        var rowHeight = Math.max(nameLines.length, skuLines.length) * lineHeight + descriptionLines.length * 3.8 + layout.template.rowPadding;
+
+        // Leave room for the carried-forward row under the last item of a page
+        if (index > 0 && layout.y + rowHeight + 8 > layout.bottom) {
+            drawPdfRunningTotal(layout, locales.translate(layout.language, 'Carried forward:'), formatAmount(decimalToNumber(running), currency, layout.settings));
+            addPdfPage(layout);
+            drawPdfTableHeader(layout);
+            drawPdfRunningTotal(layout, locales.translate(layout.language, 'Brought forward:'), formatAmount(decimalToNumber(running), currency, layout.settings));
+        }
+
+        if (layout.template.filled && index % 2 === 0) {
+            doc.setFillColor(layout.colors.panel[0], layout.colors.panel[1], layout.colors.panel[2]);
+            doc.roundedRect(15, layout.y - 4, 180, rowHeight - 2, 1, 1, 'F');
+        }
+
+        var itemRates = resolveTaxes(item, layout.settings).map(function(tax) {
+            return formatNumber(tax.rate, layout.language) + '%';
+        }).join('+');
+        var lineAmount = computeLineAmount(item, currency, layout.settings);
+
+        doc.setFontSize(10);
+        doc.setTextColor(0, 0, 0);
+        doc.text(skuLines, 20, layout.y);
+        doc.text(nameLines, 42, layout.y);
+        doc.text(itemRates || locales.translate(layout.language, 'Exempt'), 82, layout.y);
+        doc.text(formatQuantity(item, layout.language), 102, layout.y);
+        doc.text(formatAmount(item.price, currency, layout.settings, true), 122, layout.y);
+        doc.text(item.discount ? describeDiscount(item.discount, currency, layout.settings) : '-', 145, layout.y);
+        doc.text(formatAmount(lineAmount, currency, layout.settings), 170, layout.y);
+        if (descriptionLines.length) {
+            doc.setFontSize(8);
+            doc.setTextColor(110, 110, 110);
+            doc.text(descriptionLines, 42, layout.y + nameLines.length * lineHeight);
+            doc.setTextColor(0, 0, 0);
+        }
+
+        running = decimalAdd(running, toDecimal(lineAmount));
+        layout.y += rowHeight;
+    });
+}
+
+/**
+ * Draw the footer on every page: issuer contact line, tagline and page numbers
+ * @param {Object} layout - PDF layout
+ * @param {Object|null} issuer - Sealed issuer snapshot
+ */
+function drawPdfFooters(layout, issuer) {
+    var doc = layout.doc;
+    var pageCount = doc.getNumberOfPages();
+    var center = layout.pageWidth / 2;
+
+    for (var page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setTextColor(150, 150, 150);
+        if (issuer) {
+            var contactLine = [issuer.legalName, issuer.email, issuer.phone, issuer.website].filter(Boolean).join(' | ');
+            doc.setFontSize(8);
+            doc.setFont(undefined, 'normal');
+            doc.text(doc.splitTextToSize(contactLine, 180)[0], center, layout.pageHeight - 18, { align: 'center' });
+        }
+        doc.setFontSize(9);
+        doc.setFont(undefined, 'italic');
+        doc.text(locales.translate(layout.language, 'NanoHash Invoice - Blockchain Verified & Cryptographically Secured'), center, layout.pageHeight - 12, { align: 'center' });
+        doc.setFontSize(8);
+        doc.setFont(undefined, 'normal');
+        doc.text(locales.translate(layout.language, 'Page {page} of {count}', { page: page, count: pageCount }), 195, layout.pageHeight - 6, { align: 'right' });
+    }
+}
+
+/**
+ * Draw an invoice or credit note PDF from its history record using jsPDF.
+ * Everything printed comes from the record, so a regenerated PDF matches the
+ * original, in the language sealed with it (English for older records).
+ * @param {Object} record - Invoice history record
+ * @param {Object} options - { jsPDF, settings, pdf: { template, pageSize },
+ *     branding: { logo, primaryColor, accentColor }, qrImage }; qrImage is a
+ *     PNG data URL of the verification QR code, left out when missing
+ * @returns {Object} jsPDF document with the record embedded in its metadata
+ */
+function drawInvoicePDF(record, options) {
+    var baseCurrency = getRecordCurrency(record);
+    var details = record.clientDetails;
+    var dueDate = getInvoiceDueDate(record);
+    var creditFor = record.creditFor;
+    var language = locales.LANGUAGES[record.language] ? record.language : 'en';
+    var documentLabel = getDocumentLabel(record, language);
+    var invoiceNumber = record.invoiceNumber;
+
+    var issuer = record.issuer;
+    var logo = options.branding.logo;
+    var layout = createPdfLayout(options, documentLabel + ' #' + invoiceNumber, language);
+    var settings = layout.settings;
+    var doc = layout.doc;
+    var colors = layout.colors;
+    var center = layout.pageWidth / 2;
+
+    // PDF Header - Rounded gradient banner with the issuer's logo and identity
+    drawPdfPanel(layout, 10, 10, layout.pageWidth - 20, 35, 5, colors.primary);
+
+    if (logo) {
+        var logoProperties = doc.getImageProperties(logo);
+        var logoScale = Math.min(29 / logoProperties.width, 29 / logoProperties.height);
+        doc.addImage(logo, logoProperties.fileType, 14, 13, logoProperties.width * logoScale, logoProperties.height * logoScale);
+    }
+    
+    setPdfPanelTextColor(layout, colors.primary);
+    doc.setFontSize(issuer ? 22 : 28);
+    doc.setFont(undefined, 'bold');
+    doc.text(issuer ? doc.splitTextToSize(issuer.legalName, 120)[0] : 'NanoHash Invoice', center, issuer ? 23 : 25, { align: 'center' });
+    
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'normal');
+    doc.text(documentLabel + ' #' + invoiceNumber, center, issuer ? 31 : 35, { align: 'center' });
+
+    if (issuer) {
+        var issuerLine = [issuer.taxId ? locales.translate(language, 'Tax ID: {taxId}', { taxId: issuer.taxId }) : '', issuer.address.replace(/\r?\n/g, ', ')].filter(Boolean).join(' | ');
+        doc.setFontSize(8);
+        doc.text(doc.splitTextToSize(issuerLine, 130)[0] || '', center, 39, { align: 'center' });
+    }
+
+    // Client Information Section with rounded container
+    doc.setFontSize(11);
+    var clientRows = [];
+    function addClientRow(label, value) {
+        doc.splitTextToSize(value, 130).forEach(function(line, index) {
+            if (line) clientRows.push([index === 0 ? locales.translate(language, label) : '', line]);
+        });
+    }
+    addClientRow('Client Information:', record.clientName);
+    if (record.fiscalField) {
+        addClientRow('Fiscal Field:', record.fiscalField);
+    }
+    if (details) {
+        if (details.address) {
+            addClientRow('Address:', details.address.replace(/\r?\n/g, ', '));
+        }
+        if (details.email) {
+            addClientRow('Email:', details.email);
+        }
+    }
+    addClientRow('Issue Date:', formatDate(getRecordIssueDate(record), language));
+    if (creditFor) {
+        addClientRow('Credits Invoice:', '#' + creditFor.invoiceNumber);
+    } else if (dueDate) {
+        addClientRow('Payment Terms:', formatPaymentTerms(record.paymentTerms !== undefined ? record.paymentTerms : details.paymentTerms, language));
+        addClientRow('Due Date:', formatDate(dueDate, language));
+    }
+
+    layout.y = 55;
+    drawPdfPanel(layout, 15, layout.y - 5, 180, clientRows.length * 10 + 5, 3, colors.panel);
+    
+    doc.setTextColor(0, 0, 0);
+    clientRows.forEach(function(row) {
+        doc.setFont(undefined, 'bold');
+        doc.text(row[0], 20, layout.y + 3);
+        doc.setFont(undefined, 'normal');
+        doc.text(row[1], 60, layout.y + 3);
+        layout.y += 8;
+    });
+
+    // Security Badge - Rounded box
+    layout.y += 7;
+    drawPdfPanel(layout, 15, layout.y, 180, 20, 3, colors.accent);
+    
+    doc.setFontSize(10);
+    setPdfPanelTextColor(layout, colors.accent);
+    doc.setFont(undefined, 'bold');
+    doc.text(locales.translate(language, 'Blockchain Verified | SHA-256 Hash:'), 20, layout.y + 7);
+    
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    var hash = record.hash;
+    doc.text(hash.substring(0, 65), 20, layout.y + 13);
+    doc.text(hash.substring(65), 20, layout.y + 17);
+
+    // Digital Signature - Rounded box; invoices issued before signing have none
+    if (record.signature) {
+        layout.y += 25;
+        drawPdfPanel(layout, 15, layout.y, 180, 20, 3, colors.signature);
+        setPdfPanelTextColor(layout, colors.signature);
+
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'bold');
+        doc.text(locales.translate(language, 'ECDSA P-256 Signature | Key {fingerprint}', { fingerprint: formatFingerprint(record.keyFingerprint) }), 20, layout.y + 7);
+
+        doc.setFontSize(8);
+        doc.setFont(undefined, 'normal');
+        doc.text(record.signature.substring(0, 44), 20, layout.y + 13);
+        doc.text(record.signature.substring(44), 20, layout.y + 17);
+    }
+
+    // Items Table, continued over as many pages as needed
+    layout.y += 30;
+    drawPdfItems(layout, record.items, baseCurrency);
+
+    // Summary Section with rounded container
+    var hasReference = record.currency && record.currency !== baseCurrency && record.convertedTotal !== null && record.convertedTotal !== undefined;
+    var summaryRows = [[locales.translate(language, 'Subtotal:'), formatAmount(record.subtotal, baseCurrency, settings)]];
+    if (record.discount) {
+        summaryRows.push([locales.translate(language, 'Discount ({discount}):', { discount: describeDiscount(record.discount, baseCurrency, settings) }), formatAmount(-record.discountAmount, baseCurrency, settings)]);
+    }
+    (record.charges || []).forEach(function(charge) {
+        summaryRows.push([charge.name + ':', formatAmount(charge.amount, baseCurrency, settings)]);
+    });
+    (record.taxes || []).forEach(function(tax) {
+        summaryRows.push([formatTaxLabel(tax, language) + ':', formatAmount(tax.amount, baseCurrency, settings)]);
+    });
+
+    doc.setFontSize(11);
+    summaryRows.forEach(function(row) {
+        row[0] = doc.splitTextToSize(row[0], 48);
+    });
+    var summaryHeight = summaryRows.reduce(function(height, row) {
+        return height + 8 + (row[0].length - 1) * 5;
+    }, hasReference ? 24 : 16);
+
+    layout.y += 10;
+    ensurePdfSpace(layout, summaryHeight);
+    drawPdfPanel(layout, 15, layout.y, 180, summaryHeight, 3, colors.panel);
+    
+    layout.y += 10;
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(0, 0, 0);
+    
+    summaryRows.forEach(function(row) {
+        doc.text(row[0], 120, layout.y);
+        doc.text(row[1], 170, layout.y);
+        layout.y += 8 + (row[0].length - 1) * 5;
+    });
+    layout.y += 4;
+
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(colors.primary[0], colors.primary[1], colors.primary[2]);
+    doc.text(locales.translate(language, creditFor ? 'CREDIT ({currency}):' : 'TOTAL ({currency}):', { currency: baseCurrency }), 120, layout.y);
+    doc.text(formatAmount(record.total, baseCurrency, settings), 170, layout.y);
+
+    if (hasReference) {
+        layout.y += 8;
+        doc.setTextColor(colors.accent[0], colors.accent[1], colors.accent[2]);
+        doc.text(locales.translate(language, 'TOTAL ({currency}):', { currency: record.currency }), 120, layout.y);
+        doc.text(formatAmount(record.convertedTotal, record.currency, settings), 170, layout.y);
+
+        layout.y += 6;
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(120, 120, 120);
+        doc.text(record.exchangeRate ? describeRate(record.exchangeRate, language) : '', 120, layout.y);
+    }
+
+    // QR Code Section
+    layout.y += 20;
+    ensurePdfSpace(layout, 50);
+    var yPos = layout.y;
+    doc.setFillColor(255, 255, 255);
+    doc.roundedRect(15, yPos, 50, 50, 3, 3, 'F');
+    
+    if (options.qrImage) {
+        doc.addImage(options.qrImage, 'PNG', 18, yPos + 3, 44, 44);
+    }
+
+    doc.setFontSize(9);
+    doc.setTextColor(colors.primary[0], colors.primary[1], colors.primary[2]);
+    doc.setFont(undefined, 'bold');
+    doc.text(locales.translate(language, 'Scan to Verify'), 70, yPos + 15);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text(doc.splitTextToSize(locales.translate(language, 'Blockchain verification ensures invoice authenticity and prevents tampering or duplication.'), 50), 70, yPos + 22, { lineHeightFactor: 1.575 });
+
+    // Payment instructions beside the QR code
+    if (issuer && issuer.paymentInstructions) {
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(colors.primary[0], colors.primary[1], colors.primary[2]);
+        doc.text(locales.translate(language, 'Payment Instructions'), 125, yPos + 15);
+        doc.setFont(undefined, 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.setFontSize(8);
+        doc.text(doc.splitTextToSize(issuer.paymentInstructions, 70).slice(0, 8), 125, yPos + 21);
+    }
+
+    drawPdfFooters(layout, issuer);
+
+    // Embed the record in the PDF metadata so the file itself can be verified
+    doc.setProperties({
+        title: 'NanoHash ' + documentLabel + ' #' + invoiceNumber,
+        subject: 'SHA-256 ' + record.hash,
+        keywords: encodeRecordForPDF(record)
+    });
+    return doc;
+}
+
+/* NODE EXPORTS */
+
+// In the browser the functions above are page globals; Node gets them as a module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toISODate: toISODate,
+        getTodayISO: getTodayISO,
+        parseISODate: parseISODate,
+        addDays: addDays,
+        formatDate: formatDate,
+        formatNumber: formatNumber,
+        toDecimal: toDecimal,
+        decimalAdd: decimalAdd,
+        decimalSubtract: decimalSubtract,
+        decimalMultiply: decimalMultiply,
+        decimalPercent: decimalPercent,
+        compareDecimals: compareDecimals,
+        roundDecimal: roundDecimal,
+        decimalToNumber: decimalToNumber,
+        decimalToString: decimalToString,
+        allocateAmount: allocateAmount,
+        getCurrencyPlaces: getCurrencyPlaces,
+        roundAmount: roundAmount,
+        formatAmount: formatAmount,
+        getCrossRate: getCrossRate,
+        describeRate: describeRate,
+        findTaxCategory: findTaxCategory,
+        resolveTaxes: resolveTaxes,
+        formatTaxLabel: formatTaxLabel,
+        calculateDiscount: calculateDiscount,
+        describeDiscount: describeDiscount,
+        computeLine: computeLine,
+        computeLineAmount: computeLineAmount,
+        computeTotals: computeTotals,
+        formatQuantity: formatQuantity,
+        validateDiscount: validateDiscount,
+        validateLineItem: validateLineItem,
+        validateInvoice: validateInvoice,
+        generateHash: generateHash,
+        buildBlockData: buildBlockData,
+        generateBlockchainData: generateBlockchainData,
+        buildQRPayload: buildQRPayload,
+        GENESIS_BLOCK: GENESIS_BLOCK,
+        getGenesisHash: getGenesisHash,
+        isTombstone: isTombstone,
+        isChainEvent: isChainEvent,
+        hashChainEntry: hashChainEntry,
+        formatFingerprint: formatFingerprint,
+        snapshotIssuer: snapshotIssuer,
+        buildInvoiceRecord: buildInvoiceRecord,
+        isCreditNote: isCreditNote,
+        getDocumentLabel: getDocumentLabel,
+        getRecordCurrency: getRecordCurrency,
+        getRecordIssueDate: getRecordIssueDate,
+        getInvoiceDueDate: getInvoiceDueDate,
+        encodeRecordForPDF: encodeRecordForPDF,
+        PDF_TEMPLATES: PDF_TEMPLATES,
+        PDF_PAGE_SIZES: PDF_PAGE_SIZES,
+        drawInvoicePDF: drawInvoicePDF
+    };
+}
@@ -0,0 +1,651 @@
+/* NANOHASH INVOICE LOCALES */
+
+/* Languages of the interface and of issued documents. Text is looked up by
+ * its English wording, so English needs no table and anything not yet
+ * translated falls back to English. Placeholders such as {number} are
+ * filled from the params passed with the text. Like nanohash-core.js this
+ * file runs in the page and in Node. */
+
+// Languages offered, with the locale used for their numbers, currencies and dates
+var LANGUAGES = {
+    en: { name: 'English', locale: 'en-US' },
+    es: { name: 'Español', locale: 'es-BO' }
+};
+
+// Translations keyed by English text
+var TRANSLATIONS = {
+    es: {
+        // Page text
+        'Language': 'Idioma',
+        'Mode': 'Modo',
+        'Light Mode': 'Modo claro',
+        'Dark Mode': 'Modo oscuro',
+        '✓ Blockchain Verified | SHA-256': '✓ Verificada en blockchain | SHA-256',
+        'Client Name': 'Nombre del cliente',
+        'Enter client name': 'Ingrese el nombre del cliente',
+        'Fiscal Field (Optional)': 'Campo fiscal (opcional)',
+        'Tax ID or registration number': 'NIT o número de registro',
+        'Invoice Currency': 'Moneda de la factura',
+        'Reference Currency (Optional)': 'Moneda de referencia (opcional)',
+        'Issue Date': 'Fecha de emisión',
+        'Payment Terms (days)': 'Plazo de pago (días)',
+        '0 = due on receipt': '0 = pago al recibir',
+        'Document Language': 'Idioma del documento',
+        'Client Book': 'Libreta de clientes',
+        'Issuer Profile': 'Perfil del emisor',
+        'Drafts (': 'Borradores (',
+        'Numbering': 'Numeración',
+        'Add Items': 'Agregar ítems',
+        'Item Name *': 'Nombre del ítem *',
+        'Description of item/service, or a catalog SKU': 'Descripción del producto o servicio, o un SKU del catálogo',
+        'Quantity *': 'Cantidad *',
+        'Unit Price (': 'Precio unitario (',
+        'Discount (Optional)': 'Descuento (opcional)',
+        'Tax Category': 'Categoría de impuesto',
+        'Add Item': 'Agregar ítem',
+        'Import Items': 'Importar ítems',
+        'Catalog': 'Catálogo',
+        'Tax Settings': 'Impuestos',
+        'Discounts & Charges': 'Descuentos y cargos',
+        'Invoice Discount': 'Descuento de la factura',
+        'Additional Charge': 'Cargo adicional',
+        'Shipping, handling...': 'Envío, manipulación...',
+        'Amount (': 'Monto (',
+        'Add Charge': 'Agregar cargo',
+        'No items added yet': 'Todavía no hay ítems',
+        'Add items above to start building your invoice': 'Agregue ítems arriba para empezar a armar su factura',
+        'Invoice Items': 'Ítems de la factura',
+        'Unit Price': 'Precio unitario',
+        'Discount': 'Descuento',
+        'Subtotal': 'Subtotal',
+        'Action': 'Acción',
+        'Invoice Summary': 'Resumen de la factura',
+        'Total (': 'Total (',
+        'Currencies & Rates': 'Monedas y tipos de cambio',
+        'PDF Layout': 'Diseño del PDF',
+        'Page Size': 'Tamaño de página',
+        'Download Invoice PDF': 'Descargar PDF de la factura',
+        'Export UBL XML': 'Exportar UBL XML',
+        'Blockchain Verification Code': 'Código de verificación blockchain',
+        'Scan to verify invoice authenticity': 'Escanee para verificar la autenticidad de la factura',
+        'Invoice History': 'Historial de facturas',
+        'Verify Invoice': 'Verificar factura',
+        'Signing Keys': 'Claves de firma',
+        'View Invoice History': 'Ver historial de facturas',
+        'Reports': 'Reportes',
+        'Backup': 'Copia de seguridad',
+        'Search client, number, item or hash prefix': 'Buscar cliente, número, ítem o inicio del hash',
+        'All documents': 'Todos los documentos',
+        'Outstanding balance': 'Saldo pendiente',
+        'Partially paid': 'Pagadas en parte',
+        'Credit notes': 'Notas de crédito',
+        'Newest first': 'Más recientes primero',
+        'Oldest first': 'Más antiguas primero',
+        'Number': 'Número',
+        'Total, highest first': 'Total, de mayor a menor',
+        'Total, lowest first': 'Total, de menor a mayor',
+        'Due date': 'Fecha de vencimiento',
+        'Issued from': 'Emitidas desde',
+        'to': 'hasta',
+        'Min total': 'Total mínimo',
+        'Max total': 'Total máximo',
+        'Clear': 'Limpiar',
+        'Export CSV': 'Exportar CSV',
+        'Export Line Items CSV': 'Exportar CSV de ítems',
+        'Audit Chain': 'Auditar cadena',
+        'Numbering Report': 'Reporte de numeración',
+        'Paste a scanned QR payload or an exported invoice record, or load an invoice PDF or JSON file. The block is rebuilt, its SHA-256 hash recomputed and compared against the invoice history.': 'Pegue el contenido de un código QR escaneado o un registro de factura exportado, o cargue el PDF o el archivo JSON de una factura. El bloque se reconstruye, su hash SHA-256 se vuelve a calcular y se compara con el historial de facturas.',
+        'QR Payload or Invoice Record': 'Contenido del QR o registro de factura',
+        'Invoice File (PDF or JSON)': 'Archivo de factura (PDF o JSON)',
+        'Verify': 'Verificar',
+        'Issued invoices are signed with an ECDSA P-256 key. The private key is stored non-extractable in this browser; share the public key so recipients can verify your invoices. Rotating retires the current key but keeps it to verify existing invoices.': 'Las facturas emitidas se firman con una clave ECDSA P-256. La clave privada se guarda en este navegador y no puede extraerse; comparta la clave pública para que los destinatarios verifiquen sus facturas. Al rotarla, la clave actual se retira pero se conserva para verificar las facturas existentes.',
+        'Export Public Key (JWK)': 'Exportar clave pública (JWK)',
+        'Export Public Key (PEM)': 'Exportar clave pública (PEM)',
+        'Rotate Key': 'Rotar clave',
+        'Import Key Pair (JWK or PKCS#8 PEM)': 'Importar par de claves (JWK o PEM PKCS#8)',
+        'Import Trusted Issuer Public Key (JWK or PEM)': 'Importar clave pública de un emisor de confianza (JWK o PEM)',
+        'Your company details are printed in the PDF header and footer. The name, tax ID, address, contact details and payment instructions are sealed into each invoice\'s hash, so verification also proves who issued it.': 'Los datos de su empresa se imprimen en el encabezado y el pie del PDF. El nombre, el NIT, la dirección, los datos de contacto y las instrucciones de pago se sellan en el hash de cada factura, así la verificación también prueba quién la emitió.',
+        'Legal Name *': 'Razón social *',
+        'Registered company name': 'Nombre registrado de la empresa',
+        'Tax / Registration Number': 'NIT / número de registro',
+        'Email': 'Correo electrónico',
+        'billing@yourcompany.com': 'facturacion@suempresa.com',
+        'Phone': 'Teléfono',
+        'Website': 'Sitio web',
+        'www.yourcompany.com': 'www.suempresa.com',
+        'Address': 'Dirección',
+        'Street, city, country': 'Calle, ciudad, país',
+        'Bank, account number, SWIFT/IBAN...': 'Banco, número de cuenta, SWIFT/IBAN...',
+        'Branding': 'Imagen de marca',
+        'Logo (PNG or JPEG, max 256 KB)': 'Logotipo (PNG o JPEG, máx. 256 KB)',
+        'Remove Logo': 'Quitar logotipo',
+        'Primary Color': 'Color principal',
+        'Accent Color': 'Color de acento',
+        'Save Profile': 'Guardar perfil',
+        'Product & Service Catalog': 'Catálogo de productos y servicios',
+        'Type a catalog name or SKU in the Item Name field to fill its price and tax category. The SKU and unit are printed on the invoice.': 'Escriba un nombre o SKU del catálogo en el campo Nombre del ítem para completar su precio y categoría de impuesto. El SKU y la unidad se imprimen en la factura.',
+        'Name': 'Nombre',
+        'Unit': 'Unidad',
+        'Price': 'Precio',
+        'SKU *': 'SKU *',
+        'e.g. SRV-001': 'p. ej. SRV-001',
+        'Name *': 'Nombre *',
+        'Product or service name': 'Nombre del producto o servicio',
+        'h, pcs, kg...': 'h, pzas, kg...',
+        'Default Price *': 'Precio por defecto *',
+        'Description': 'Descripción',
+        'Shown under the item name': 'Se muestra bajo el nombre del ítem',
+        'Save Entry': 'Guardar entrada',
+        'Import / Export': 'Importar / exportar',
+        'CSV columns: <code>sku,name,description,unit,price,currency,tax_category</code>. Only <code>sku</code>, <code>name</code> and <code>price</code> are required; rows with a known SKU update that entry.': 'Columnas del CSV: <code>sku,name,description,unit,price,currency,tax_category</code>. Solo <code>sku</code>, <code>name</code> y <code>price</code> son obligatorias; las filas con un SKU conocido actualizan esa entrada.',
+        'Import CSV': 'Importar CSV',
+        'Export': 'Exportar',
+        'Download CSV': 'Descargar CSV',
+        'Paste rows copied from a spreadsheet, or load a CSV or TSV file, then pick the column holding each field. A SKU or name found in the catalog fills in the price and tax category a row leaves empty; rows without a quantity column count as one.': 'Pegue filas copiadas de una hoja de cálculo, o cargue un archivo CSV o TSV, y elija la columna de cada campo. Un SKU o nombre del catálogo completa el precio y la categoría de impuesto que una fila deje vacíos; sin columna de cantidad, cada fila cuenta como una unidad.',
+        'Paste Rows': 'Pegar filas',
+        'Name\tQuantity\tPrice': 'Nombre\tCantidad\tPrecio',
+        'Or Load File': 'O cargar archivo',
+        'First row is a header': 'La primera fila es un encabezado',
+        'Columns': 'Columnas',
+        'Preview': 'Vista previa',
+        'Row': 'Fila',
+        'Qty': 'Cant.',
+        'Import Valid Rows': 'Importar filas válidas',
+        'Drafts': 'Borradores',
+        'The invoice in the editor is saved as a draft on every change and restored when the page is reopened. Switch between drafts to prepare several invoices at once; numbers are only assigned when a draft is issued.': 'La factura del editor se guarda como borrador con cada cambio y se restaura al volver a abrir la página. Cambie entre borradores para preparar varias facturas a la vez; los números solo se asignan al emitir un borrador.',
+        'Lines': 'Líneas',
+        'Last Edited': 'Última edición',
+        'New Invoice': 'Nueva factura',
+        'Import UBL': 'Importar UBL',
+        'Load a UBL 2.1 Invoice XML file as a new draft. Lines, discounts, charges, currency, dates and the buyer are taken from the file; tax rates that match no tax category are kept on their lines.': 'Cargue un archivo XML de factura UBL 2.1 como un nuevo borrador. Las líneas, descuentos, cargos, moneda, fechas y el comprador se toman del archivo; las tasas de impuesto que no coinciden con ninguna categoría se conservan en sus líneas.',
+        'Figures cover issued invoices by issue date. Voided documents are left out and credit notes are subtracted. Amounts are added up in one invoice currency at a time; the currency table lists every currency with the reference totals frozen on its invoices.': 'Las cifras cubren las facturas emitidas según su fecha de emisión. Los documentos anulados se excluyen y las notas de crédito se restan. Los montos se suman en una moneda de factura a la vez; la tabla de monedas muestra cada moneda con los totales de referencia fijados en sus facturas.',
+        'From': 'Desde',
+        'By month': 'Por mes',
+        'By quarter': 'Por trimestre',
+        'By year': 'Por año',
+        'Invoices and settings are stored only in this browser, so clearing site data erases them. A backup is a JSON file with the whole invoice history, numbering counters, clients, catalog, issuer profile and settings, sealed with a SHA-256 checksum. Signing keys cannot leave the browser and are not included; keep their public keys exported from Signing Keys.': 'Las facturas y la configuración se guardan solo en este navegador, así que borrar los datos del sitio las elimina. Una copia de seguridad es un archivo JSON con todo el historial de facturas, los contadores de numeración, los clientes, el catálogo, el perfil del emisor y la configuración, sellado con una suma de verificación SHA-256. Las claves de firma no pueden salir del navegador y no se incluyen; conserve sus claves públicas exportadas desde Claves de firma.',
+        'Download Backup': 'Descargar copia',
+        'Import Backup': 'Importar copia',
+        'Formats combine text with {YYYY}, {YY} and {MM} from the issue date and one counter such as {0000}, padded to its width. A series that restarts every year counts from 1 again each January. Numbers already in history are always skipped, so an issued number is never reused.': 'Los formatos combinan texto con {YYYY}, {YY} y {MM} de la fecha de emisión y un contador como {0000}, rellenado hasta su ancho. Una serie que se reinicia cada año vuelve a contar desde 1 cada enero. Los números que ya están en el historial siempre se saltan, así que un número emitido nunca se reutiliza.',
+        'Series': 'Serie',
+        'Format': 'Formato',
+        'Restart': 'Reinicio',
+        'Next Number': 'Próximo número',
+        'Saved clients appear as suggestions in the Client Name field. Picking one fills the fiscal field, invoice currency and default tax category, and prints the billing details on the PDF.': 'Los clientes guardados aparecen como sugerencias en el campo Nombre del cliente. Al elegir uno se completan el campo fiscal, la moneda de la factura y la categoría de impuesto por defecto, y sus datos de facturación se imprimen en el PDF.',
+        'Client or company name': 'Nombre del cliente o empresa',
+        'Tax ID': 'NIT',
+        'Default Currency': 'Moneda por defecto',
+        'Default Tax Category': 'Categoría de impuesto por defecto',
+        'Billing Address': 'Dirección de facturación',
+        'Save Client': 'Guardar cliente',
+        'Rates are the number of units per 1 USD. Each issued invoice keeps the rate it used, with its date and source, so regenerating it converts the same way after rates change.': 'Los tipos son la cantidad de unidades por 1 USD. Cada factura emitida conserva el tipo que usó, con su fecha y fuente, así al regenerarla se convierte igual aunque los tipos cambien.',
+        'Code': 'Código',
+        'Decimals': 'Decimales',
+        'Rate per USD': 'Tipo por USD',
+        'As Of': 'Vigente al',
+        'Code (e.g. JPY)': 'Código (p. ej. JPY)',
+        'Name (e.g. Japanese Yen)': 'Nombre (p. ej. Yen japonés)',
+        'Units per 1 USD': 'Unidades por 1 USD',
+        'Add Currency': 'Agregar moneda',
+        'Import Rate Table': 'Importar tabla de tipos',
+        'CSV with a header row (<code>code,rate</code>, optional <code>date,name,decimals,source</code>) or JSON such as <code>{"base": "USD", "date": "2026-10-01", "source": "ECB", "rates": {"EUR": 0.92}}</code>.': 'CSV con una fila de encabezado (<code>code,rate</code>, opcionales <code>date,name,decimals,source</code>) o JSON como <code>{"base": "USD", "date": "2026-10-01", "source": "ECB", "rates": {"EUR": 0.92}}</code>.',
+        'Define named tax rates, then group them into categories assigned to each item. A category without rates is exempt; a compound rate is charged on the line amount plus the rates listed before it.': 'Defina tasas de impuesto con nombre y agrúpelas en categorías que se asignan a cada ítem. Una categoría sin tasas está exenta; una tasa compuesta se cobra sobre el monto de la línea más las tasas listadas antes que ella.',
+        'Tax Rates': 'Tasas de impuesto',
+        'Rate (%)': 'Tasa (%)',
+        'Compound': 'Compuesta',
+        'Tax name (e.g. Excise)': 'Nombre del impuesto (p. ej. ICE)',
+        'Rate %': 'Tasa %',
+        'Add Rate': 'Agregar tasa',
+        'Tax Categories': 'Categorías de impuesto',
+        'Applied Rates': 'Tasas aplicadas',
+        'Category name (e.g. Reduced)': 'Nombre de la categoría (p. ej. Reducida)',
+        'Add Category': 'Agregar categoría',
+        'Rounding': 'Redondeo',
+        'Rounding Mode': 'Modo de redondeo',
+        'Half up (0.005 → 0.01)': 'Mitad hacia arriba (0.005 → 0.01)',
+        'Half even (banker\'s rounding)': 'Mitad al par (redondeo bancario)',
+        'Round At': 'Redondear en',
+        'Each line and line tax': 'Cada línea y su impuesto',
+        'Invoice totals only': 'Solo los totales de la factura',
+        'Interface language': 'Idioma de la interfaz',
+        'Classic': 'Clásico',
+        'Compact': 'Compacto',
+        'A4 (210 × 297 mm)': 'A4 (210 × 297 mm)',
+        'US Letter (8.5 × 11 in)': 'Carta EE. UU. (8.5 × 11 pulg.)',
+        'App Lock': 'Bloqueo de la app',
+        'With the app lock on, invoice history, drafts and settings are encrypted with AES-GCM under a key derived from your passphrase with PBKDF2, and the app asks for the passphrase each time it opens. A forgotten passphrase cannot be recovered, and the data it protects is lost with it. Backups are not encrypted; keep downloaded backups somewhere safe.': 'Con el bloqueo activado, el historial de facturas, los borradores y los ajustes se cifran con AES-GCM usando una clave derivada de su frase de contraseña con PBKDF2, y la app pide la frase cada vez que se abre. Una frase olvidada no se puede recuperar, y los datos que protege se pierden con ella. Las copias de seguridad no se cifran; guarde las copias descargadas en un lugar seguro.',
+        'Lock After Inactivity': 'Bloquear tras inactividad',
+        '5 minutes': '5 minutos',
+        '10 minutes': '10 minutos',
+        '15 minutes': '15 minutos',
+        '30 minutes': '30 minutos',
+        '60 minutes': '60 minutos',
+        'Passphrase': 'Frase de contraseña',
+        'Confirm Passphrase': 'Confirmar frase de contraseña',
+        'Turn On App Lock': 'Activar bloqueo',
+        'Current Passphrase': 'Frase de contraseña actual',
+        'New Passphrase': 'Nueva frase de contraseña',
+        'Confirm New Passphrase': 'Confirmar nueva frase de contraseña',
+        'Change Passphrase': 'Cambiar frase de contraseña',
+        'Lock Now': 'Bloquear ahora',
+        'Turn Off App Lock': 'Desactivar bloqueo',
+        'NanoHash Invoice is Locked': 'NanoHash Invoice está bloqueado',
+        'Enter your passphrase to decrypt invoices and settings stored in this browser.': 'Introduzca su frase de contraseña para descifrar las facturas y los ajustes guardados en este navegador.',
+        'Unlock': 'Desbloquear',
+
+        // Messages and text drawn by script.js
+        'QR code unavailable: lib/qrcode.js did not load. The hash below still verifies this invoice.': 'Código QR no disponible: lib/qrcode.js no se cargó. El hash de abajo sigue verificando esta factura.',
+        'PDF generation is unavailable: lib/jspdf.umd.min.js did not load. Keep the lib folder next to NanoHash_Invoice.html and reload the page.': 'La generación de PDF no está disponible: lib/jspdf.umd.min.js no se cargó. Mantenga la carpeta lib junto a NanoHash_Invoice.html y vuelva a cargar la página.',
+        'Chain head block #{index} is missing from history': 'El bloque #{index} de la cabeza de la cadena falta en el historial',
+        'Block #{index} is missing (found block #{found})': 'Falta el bloque #{index} (se encontró el bloque #{found})',
+        'Link broken: previous hash does not match block #{index}': 'Enlace roto: el hash anterior no coincide con el bloque #{index}',
+        'Block contents were altered: recomputed hash does not match': 'El contenido del bloque fue alterado: el hash recalculado no coincide',
+        'Chain broken at block #{index} (invoice #{number}): {reason}': 'Cadena rota en el bloque #{index} (factura #{number}): {reason}',
+        'Chain broken at block #{index}: {reason}': 'Cadena rota en el bloque #{index}: {reason}',
+        'Chain intact: {count} block verified from checkpoint block #{index}': 'Cadena íntegra: {count} bloque verificado desde el bloque de control #{index}',
+        'Chain intact: {count} blocks verified from checkpoint block #{index}': 'Cadena íntegra: {count} bloques verificados desde el bloque de control #{index}',
+        'Chain intact: {count} block verified from the genesis block': 'Cadena íntegra: {count} bloque verificado desde el bloque génesis',
+        'Chain intact: {count} blocks verified from the genesis block': 'Cadena íntegra: {count} bloques verificados desde el bloque génesis',
+        '{count} invoice was issued before hash chaining and is not covered by the audit.': '{count} factura se emitió antes del encadenamiento de hashes y no está cubierta por la auditoría.',
+        '{count} invoices were issued before hash chaining and are not covered by the audit.': '{count} facturas se emitieron antes del encadenamiento de hashes y no están cubiertas por la auditoría.',
+        'Only EC P-256 keys are supported': 'Solo se admiten claves EC P-256',
+        'The JWK does not contain a private key': 'El JWK no contiene una clave privada',
+        'Could not import key: {error}': 'No se pudo importar la clave: {error}',
+        'This is one of your own signing keys, so it is already trusted': 'Es una de sus propias claves de firma, así que ya es de confianza',
+        'Could not export public key: {error}': 'No se pudo exportar la clave pública: {error}',
+        'Could not generate a signing key: {error}': 'No se pudo generar una clave de firma: {error}',
+        'Generate a new signing key? The current key will be retired but kept for verifying existing invoices.': '¿Generar una nueva clave de firma? La clave actual se retirará pero se conservará para verificar las facturas existentes.',
+        'No keys yet. A signing key is generated automatically when the first invoice is issued.': 'Todavía no hay claves. Se genera una clave de firma automáticamente al emitir la primera factura.',
+        'Active': 'Activa',
+        'Retired': 'Retirada',
+        'Trusted issuer': 'Emisor de confianza',
+        'Added:': 'Agregada:',
+        'Retired:': 'Retirada:',
+        'SKU': 'SKU',
+        'Quantity': 'Cantidad',
+        'Unknown tax category "{name}"': 'Categoría de impuesto desconocida "{name}"',
+        '— Not imported —': '— No se importa —',
+        'Column {number}': 'Columna {number}',
+        'Paste rows or load a file to preview them': 'Pegue filas o cargue un archivo para verlas',
+        'Ready': 'Lista',
+        '{valid} of {count} row ready to import': '{valid} de {count} fila lista para importar',
+        '{valid} of {count} rows ready to import': '{valid} de {count} filas listas para importar',
+        '; {count} with errors will be skipped.': '; se omitirán {count} con errores.',
+        'Enter a charge name and an amount greater than 0': 'Ingrese un nombre de cargo y un monto mayor que 0',
+        'Delete charge': 'Eliminar cargo',
+        'Delete item': 'Eliminar ítem',
+        '{tax} on {base}:': '{tax} sobre {base}:',
+        'No drafts yet': 'Todavía no hay borradores',
+        'Credit note for #{number}': 'Nota de crédito de #{number}',
+        'General Client': 'Cliente general',
+        '(open)': '(abierto)',
+        'Open': 'Abrir',
+        'Delete': 'Eliminar',
+        'Delete this draft?': '¿Eliminar este borrador?',
+        'Could not issue invoice: {error}': 'No se pudo emitir la factura: {error}',
+        'Number {number} is already issued': 'El número {number} ya fue emitido',
+        'Could not save to invoice history: {error}': 'No se pudo guardar en el historial de facturas: {error}',
+        'Invoice #{number} deleted on {date}': 'Factura #{number} eliminada el {date}',
+        'Payment of {amount} for invoice #{number} received on {date}': 'Pago de {amount} de la factura #{number} recibido el {date}',
+        'Invoice #{number} voided on {date}': 'Factura #{number} anulada el {date}',
+        'All currencies': 'Todas las monedas',
+        'No invoices in history': 'No hay facturas en el historial',
+        'Generated invoices will appear here': 'Las facturas generadas aparecerán aquí',
+        'No matching documents': 'No hay documentos que coincidan',
+        'No invoice in history matches the search and filters': 'Ninguna factura del historial coincide con la búsqueda y los filtros',
+        'No documents in history match the search and filters': 'Ningún documento del historial coincide con la búsqueda y los filtros',
+        'Showing the first {count} entry': 'Mostrando {count} entrada',
+        'Showing the first {count} entries': 'Mostrando las primeras {count} entradas',
+        'Show more': 'Mostrar más',
+        'Tombstone': 'Baja',
+        'Payment': 'Pago',
+        'Block #{index}:': 'Bloque #{index}:',
+        'Block #{index}': 'Bloque #{index}',
+        'View Details': 'Ver detalles',
+        'Client:': 'Cliente:',
+        'Credits:': 'Acredita:',
+        'Invoice #{number}': 'Factura #{number}',
+        'Date:': 'Fecha:',
+        'Due:': 'Vence:',
+        'Total:': 'Total:',
+        'Balance due: {amount}': 'Saldo pendiente: {amount}',
+        'Hash:': 'Hash:',
+        'Payment received {date}': 'Pago recibido el {date}',
+        'Document Language:': 'Idioma del documento:',
+        '{amount} on {base}': '{amount} sobre {base}',
+        'Paid:': 'Pagado:',
+        'Credited:': 'Acreditado:',
+        '(overdue)': '(vencido)',
+        'Payments and credits:': 'Pagos y créditos:',
+        'Payment Amount ({currency})': 'Monto del pago ({currency})',
+        'Payment Date': 'Fecha de pago',
+        'Reference (Optional)': 'Referencia (opcional)',
+        'Transfer or receipt number': 'Número de transferencia o recibo',
+        'Record Payment': 'Registrar pago',
+        'Items:': 'Ítems:',
+        'SHA-256 Hash:': 'Hash SHA-256:',
+        'ECDSA Signature · Key {fingerprint}:': 'Firma ECDSA · Clave {fingerprint}:',
+        'Regenerate PDF': 'Regenerar PDF',
+        'Export Record': 'Exportar registro',
+        'Export UBL': 'Exportar UBL',
+        'Issue Credit Note': 'Emitir nota de crédito',
+        'Add {currency} back to the currency list to regenerate this invoice': 'Vuelva a agregar {currency} a la lista de monedas para regenerar esta factura',
+        'Draft': 'Borrador',
+        'Issued': 'Emitida',
+        'Partially Paid': 'Pagada en parte',
+        'Paid': 'Pagada',
+        'Credited': 'Acreditada',
+        'Void': 'Anulada',
+        'Deleted': 'Eliminada',
+        'Overdue': 'Vencida',
+        '{count} overdue': '{count} vencidas',
+        'Invoice #{number} has payments or credit notes; issue a credit note instead': 'La factura #{number} tiene pagos o notas de crédito; emita una nota de crédito en su lugar',
+        'Enter a payment amount greater than zero': 'Ingrese un monto de pago mayor que cero',
+        'The payment exceeds the balance due of {amount}': 'El pago supera el saldo pendiente de {amount}',
+        'Enter the payment date': 'Ingrese la fecha de pago',
+        'No outstanding balances': 'No hay saldos pendientes',
+        'Outstanding:': 'Pendiente:',
+        '{count} invoice': '{count} factura',
+        '{count} invoices': '{count} facturas',
+        '{count} credit note': '{count} nota de crédito',
+        '{count} credit notes': '{count} notas de crédito',
+        '{terms} · due {date}': '{terms} · vence el {date}',
+        '<strong>Credit note</strong> for invoice #{number}. Remove or adjust lines to credit part of the invoice.': '<strong>Nota de crédito</strong> de la factura #{number}. Quite o ajuste líneas para acreditar parte de la factura.',
+        'Cancel credit note': 'Cancelar nota de crédito',
+        'Invoice #{number} is no longer in history or was voided': 'La factura #{number} ya no está en el historial o fue anulada',
+        'A credit note must be in the currency of the invoice it credits ({currency})': 'Una nota de crédito debe estar en la moneda de la factura que acredita ({currency})',
+        'The credit note exceeds the {amount} that can still be credited on invoice #{number}': 'La nota de crédito supera los {amount} que aún se pueden acreditar en la factura #{number}',
+        'Add {currency} back to the currency list to credit this invoice': 'Vuelva a agregar {currency} a la lista de monedas para acreditar esta factura',
+        'Loaded invoice {number} as a draft with {count} line. It is numbered when issued.': 'Se cargó la factura {number} como borrador con {count} línea. Se numera al emitirla.',
+        'Loaded invoice {number} as a draft with {count} lines. It is numbered when issued.': 'Se cargó la factura {number} como borrador con {count} líneas. Se numera al emitirla.',
+        'Unknown token {token}; use {YYYY}, {YY}, {MM} and a counter such as {0000}': 'Marcador desconocido {token}; use {YYYY}, {YY}, {MM} y un contador como {0000}',
+        'The format needs exactly one counter token such as {0000}': 'El formato necesita exactamente un contador como {0000}',
+        'A series that restarts every year needs {YYYY} or {YY} in its format': 'Una serie que se reinicia cada año necesita {YYYY} o {YY} en su formato',
+        'Never': 'Nunca',
+        'Every year': 'Cada año',
+        'The next number must be a whole number of at least 1': 'El próximo número debe ser un número entero de al menos 1',
+        'Invoices': 'Facturas',
+        'Credit Notes': 'Notas de crédito',
+        'Invoice series': 'Serie de facturas',
+        'Credit note series': 'Serie de notas de crédito',
+        'Numbering intact: {count} document with no gaps or duplicates': 'Numeración íntegra: {count} documento sin saltos ni duplicados',
+        'Numbering intact: {count} documents with no gaps or duplicates': 'Numeración íntegra: {count} documentos sin saltos ni duplicados',
+        'Numbering problems found in {count} document': 'Se encontraron problemas de numeración en {count} documento',
+        'Numbering problems found in {count} documents': 'Se encontraron problemas de numeración en {count} documentos',
+        'Duplicate: number {number} was issued more than once.': 'Duplicado: el número {number} se emitió más de una vez.',
+        'Gap: {series} is missing number {from}.': 'Salto: a la {series} le falta el número {from}.',
+        'Gap: {series} is missing numbers {from}–{to}.': 'Salto: a la {series} le faltan los números {from}–{to}.',
+        'Q{quarter} {year}': 'T{quarter} {year}',
+        'Tax (no breakdown)': 'Impuesto (sin desglose)',
+        'No documents to report': 'No hay documentos para el reporte',
+        'No {currency} invoice was issued in the selected range': 'No se emitió ninguna factura en {currency} en el rango elegido',
+        'Revenue (excl. tax)': 'Ingresos (sin impuestos)',
+        'Tax collected': 'Impuestos cobrados',
+        'Total billed': 'Total facturado',
+        'Average invoice': 'Factura promedio',
+        'Invoices / credit notes': 'Facturas / notas de crédito',
+        'Revenue by Period': 'Ingresos por período',
+        'Period': 'Período',
+        'Documents': 'Documentos',
+        'Revenue': 'Ingresos',
+        'Total': 'Total',
+        'Top Clients': 'Principales clientes',
+        'Client': 'Cliente',
+        'Top Items': 'Principales ítems',
+        'Amount': 'Monto',
+        'Tax Summary': 'Resumen de impuestos',
+        'Taxable Base': 'Base imponible',
+        'Print Tax Summary': 'Imprimir resumen de impuestos',
+        'Export Tax Summary CSV': 'Exportar CSV del resumen de impuestos',
+        'By Currency': 'Por moneda',
+        'Currency': 'Moneda',
+        'Reference Totals': 'Totales de referencia',
+        'All dates': 'Todas las fechas',
+        'Start': 'Inicio',
+        'today': 'hoy',
+        'Allow pop-ups for this page to print the tax summary': 'Permita las ventanas emergentes de esta página para imprimir el resumen de impuestos',
+        'Tax ID {taxId}': 'NIT {taxId}',
+        'Generated by NanoHash Invoice on {date}': 'Generado por NanoHash Invoice el {date}',
+        'Input is not a NanoHash QR payload, invoice record or invoice PDF.': 'La entrada no es un contenido QR de NanoHash, un registro de factura ni el PDF de una factura.',
+        'Invoice #{number} is not in this device\'s history, so its hash cannot be recomputed.': 'La factura #{number} no está en el historial de este dispositivo, así que su hash no se puede recalcular.',
+        'Signature: none. This invoice was issued without a digital signature.': 'Firma: ninguna. Esta factura se emitió sin firma digital.',
+        'Signature: signed by unknown key {key}. Import the issuer\'s public key to check it.': 'Firma: firmada con la clave desconocida {key}. Importe la clave pública del emisor para comprobarla.',
+        'Signature: does not match key {key}.': 'Firma: no coincide con la clave {key}.',
+        'Signature: valid ECDSA P-256 signature by {origin} {key}.': 'Firma: firma ECDSA P-256 válida de {origin} {key}.',
+        'trusted issuer key': 'la clave de emisor de confianza',
+        'your retired signing key': 'su clave de firma retirada',
+        'your active signing key': 'su clave de firma activa',
+        'Verification failed: the invoice does not match its hash or the stored record': 'Verificación fallida: la factura no coincide con su hash o con el registro guardado',
+        'Verification failed: the issuer signature is invalid': 'Verificación fallida: la firma del emisor no es válida',
+        'Invoice verified: recomputed hash matches and all fields agree with history': 'Factura verificada: el hash recalculado coincide y todos los campos concuerdan con el historial',
+        'Invoice verified: recomputed hash and issuer signature are valid': 'Factura verificada: el hash recalculado y la firma del emisor son válidos',
+        'Hash is valid, but invoice #{number} is not in this device\'s history': 'El hash es válido, pero la factura #{number} no está en el historial de este dispositivo',
+        'Issued by <strong>{name}</strong>': 'Emitida por <strong>{name}</strong>',
+        'The issuer details and payment instructions are sealed into the hash.': 'Los datos del emisor y las instrucciones de pago están sellados en el hash.',
+        'This invoice was deleted from history by tombstone block #{index} on {date}.': 'Esta factura fue eliminada del historial por el bloque de baja #{index} el {date}.',
+        'This document was voided by block #{index} on {date}.': 'Este documento fue anulado por el bloque #{index} el {date}.',
+        'Legacy QR code: only the first 16 characters of the hash could be checked.': 'Código QR antiguo: solo se pudieron comprobar los primeros 16 caracteres del hash.',
+        'Claimed hash:': 'Hash declarado:',
+        'Recomputed hash:': 'Hash recalculado:',
+        'Field': 'Campo',
+        'History': 'Historial',
+        'Provided': 'Proporcionado',
+        'Status': 'Estado',
+        'The file is not well-formed XML': 'El archivo no es un XML bien formado',
+        'The file is not a UBL 2.1 Invoice or CreditNote': 'El archivo no es una Invoice o CreditNote UBL 2.1',
+        '{element} is missing {required}': 'A {element} le falta {required}',
+        '{element} has no currencyID': '{element} no tiene currencyID',
+        '{element} is not a number': '{element} no es un número',
+        'Could not export UBL: {error}': 'No se pudo exportar UBL: {error}',
+        'Add at least one item before exporting': 'Agregue al menos un ítem antes de exportar',
+        'Add {currency} back to the currency list to export this invoice': 'Vuelva a agregar {currency} a la lista de monedas para exportar esta factura',
+        'add {currency} to the currency list first': 'primero agregue {currency} a la lista de monedas',
+        'line {number} has an invalid quantity or price': 'la línea {number} tiene una cantidad o un precio no válidos',
+        'the file is not a valid UBL invoice': 'el archivo no es una factura UBL válida',
+        'Could not import UBL: {error}': 'No se pudo importar UBL: {error}',
+        'only Invoice documents can be loaded as drafts': 'solo los documentos Invoice se pueden cargar como borradores',
+        '(exempt)': '(exenta)',
+        'Default': 'Por defecto',
+        'Enter a tax name and a rate between 0 and 100': 'Ingrese un nombre de impuesto y una tasa entre 0 y 100',
+        '(removed)': '(eliminada)',
+        'None': 'Ninguna',
+        'Exchange rates:': 'Tipos de cambio:',
+        'Converting at the rate frozen on invoice #{number}: {rate}': 'Convirtiendo al tipo fijado en la factura #{number}: {rate}',
+        'Use current rate': 'Usar el tipo actual',
+        'Reference conversion: {rate}': 'Conversión de referencia: {rate}',
+        '(base)': '(base)',
+        'Base': 'Base',
+        'Built-in': 'Predeterminado',
+        'Manual': 'Manual',
+        'Enter a new three-letter ISO 4217 currency code': 'Ingrese un código de moneda ISO 4217 nuevo de tres letras',
+        'Enter the number of {currency} per 1 USD': 'Ingrese la cantidad de {currency} por 1 USD',
+        'Remove {currency} from the currency list?': '¿Quitar {currency} de la lista de monedas?',
+        'Rates must be quoted against USD, not {currency}': 'Los tipos deben cotizarse contra USD, no contra {currency}',
+        'CSV needs a header row with "code" and "rate" columns': 'El CSV necesita una fila de encabezado con las columnas "code" y "rate"',
+        'Row {row}: "{code}" is not a currency code': 'Fila {row}: "{code}" no es un código de moneda',
+        'Row {row}: invalid rate for {currency}': 'Fila {row}: tipo no válido para {currency}',
+        'Row {row}: date must be YYYY-MM-DD': 'Fila {row}: la fecha debe ser AAAA-MM-DD',
+        'Could not import rates: {error}': 'No se pudieron importar los tipos: {error}',
+        'Imported {count} rate from {file}': 'Se importó {count} tipo de {file}',
+        'Imported {count} rates from {file}': 'Se importaron {count} tipos de {file}',
+        ', {count} new currency': ', {count} moneda nueva',
+        ', {count} new currencies': ', {count} monedas nuevas',
+        'Client book:': 'Libreta de clientes:',
+        'No clients yet': 'Todavía no hay clientes',
+        'Edit': 'Editar',
+        'Add Client': 'Agregar cliente',
+        'Edit Client': 'Editar cliente',
+        'Client name is required': 'El nombre del cliente es obligatorio',
+        'A client named "{name}" already exists': 'Ya existe un cliente llamado "{name}"',
+        'Enter a valid email address': 'Ingrese un correo electrónico válido',
+        'Payment terms must be a whole number of days': 'El plazo de pago debe ser un número entero de días',
+        'Delete client "{name}"? Issued invoices are kept.': '¿Eliminar el cliente "{name}"? Las facturas emitidas se conservan.',
+        'Invoices for {name}': 'Facturas de {name}',
+        'No invoices billed to this client yet.': 'Todavía no se facturó nada a este cliente.',
+        'Total billed:': 'Total facturado:',
+        'No logo': 'Sin logotipo',
+        'The logo must be a PNG or JPEG image': 'El logotipo debe ser una imagen PNG o JPEG',
+        'The logo must be smaller than {size} KB': 'El logotipo debe pesar menos de {size} KB',
+        'A legal name is required for the issuer details to be printed and sealed': 'Se necesita una razón social para imprimir y sellar los datos del emisor',
+        'Could not save the profile: {error}': 'No se pudo guardar el perfil: {error}',
+        'No catalog entries yet': 'Todavía no hay entradas en el catálogo',
+        'Add Catalog Entry': 'Agregar entrada al catálogo',
+        'Edit Catalog Entry': 'Editar entrada del catálogo',
+        'SKU and name are required': 'El SKU y el nombre son obligatorios',
+        'Unknown currency {currency}': 'Moneda desconocida {currency}',
+        'Entry {sku} already uses this SKU or name': 'La entrada {sku} ya usa este SKU o nombre',
+        'Delete this catalog entry?': '¿Eliminar esta entrada del catálogo?',
+        'Could not import catalog: missing column(s) {columns}': 'No se pudo importar el catálogo: faltan columnas {columns}',
+        'Could not import catalog: SKU "{sku}" appears more than once': 'No se pudo importar el catálogo: el SKU "{sku}" aparece más de una vez',
+        'Could not import catalog: row {row} has unknown tax category "{category}"': 'No se pudo importar el catálogo: la fila {row} tiene una categoría de impuesto desconocida "{category}"',
+        'Could not import catalog: row {row}: {error}': 'No se pudo importar el catálogo: fila {row}: {error}',
+        'Imported {count} entry from {file}.': 'Se importó {count} entrada de {file}.',
+        'Imported {count} entries from {file}.': 'Se importaron {count} entradas de {file}.',
+        'Exported {count} history entry': 'Se exportó {count} entrada del historial',
+        'Exported {count} history entries': 'Se exportaron {count} entradas del historial',
+        ' and {count} setting.': ' y {count} ajuste.',
+        ' and {count} settings.': ' y {count} ajustes.',
+        'this is not a NanoHash backup file': 'no es una copia de seguridad de NanoHash',
+        'backup version {version} is not supported by this version of the app': 'la versión {version} de la copia no es compatible con esta versión de la aplicación',
+        'the checksum or data section is missing': 'falta la suma de verificación o la sección de datos',
+        'the invoice history is missing': 'falta el historial de facturas',
+        'history entry {number} is not a valid invoice or chain block': 'la entrada {number} del historial no es una factura ni un bloque de cadena válido',
+        'the settings section is missing': 'falta la sección de ajustes',
+        'setting "{key}" is not stored as text': 'el ajuste "{key}" no está guardado como texto',
+        'setting "{key}" is not valid': 'el ajuste "{key}" no es válido',
+        'Could not import backup: the file is not valid JSON': 'No se pudo importar la copia: el archivo no es un JSON válido',
+        'Could not import backup: {problem}': 'No se pudo importar la copia: {problem}',
+        'Could not import backup: the checksum does not match, so the file was damaged or edited after export': 'No se pudo importar la copia: la suma de verificación no coincide, así que el archivo se dañó o se editó después de exportarlo',
+        'Block #{index}: {event}': 'Bloque #{index}: {event}',
+        '{document} #{number} for {client}': '{document} #{number} para {client}',
+        '(block #{index})': '(bloque #{index})',
+        '{count} history entry, exported {date}': '{count} entrada del historial, exportada el {date}',
+        '{count} history entries, exported {date}': '{count} entradas del historial, exportadas el {date}',
+        'Merging adds {count} entry': 'Combinar agrega {count} entrada',
+        'Merging adds {count} entries': 'Combinar agrega {count} entradas',
+        ' and skips {count} already in this browser.': ' y omite {count} que ya están en este navegador.',
+        'Settings already set here are kept; numbering counters take the higher value.': 'Los ajustes ya definidos aquí se conservan; los contadores de numeración toman el valor más alto.',
+        '{count} document uses a number already issued here with different contents and will not be merged:': '{count} documento usa un número ya emitido aquí con otro contenido y no se combinará:',
+        '{count} documents use numbers already issued here with different contents and will not be merged:': '{count} documentos usan números ya emitidos aquí con otro contenido y no se combinarán:',
+        'This backup comes from a different hash chain: {count} block takes a chain position already used here by another block. Merging two chains would fail the chain audit, so the backup can only replace the data in this browser.': 'Esta copia proviene de otra cadena de hashes: {count} bloque ocupa una posición de la cadena ya usada aquí por otro bloque. Combinar dos cadenas haría fallar la auditoría, así que la copia solo puede reemplazar los datos de este navegador.',
+        'This backup comes from a different hash chain: {count} blocks take chain positions already used here by other blocks. Merging two chains would fail the chain audit, so the backup can only replace the data in this browser.': 'Esta copia proviene de otra cadena de hashes: {count} bloques ocupan posiciones de la cadena ya usadas aquí por otros bloques. Combinar dos cadenas haría fallar la auditoría, así que la copia solo puede reemplazar los datos de este navegador.',
+        '{count} payment or void refers to a document that is not merged and will be skipped:': '{count} pago o anulación se refiere a un documento que no se combina y se omitirá:',
+        '{count} payments or voids refer to documents that are not merged and will be skipped:': '{count} pagos o anulaciones se refieren a documentos que no se combinan y se omitirán:',
+        '{count} entry does not match its stored hash and will fail the chain audit after import:': '{count} entrada no coincide con su hash guardado y no pasará la auditoría de la cadena después de importarla:',
+        '{count} entries do not match their stored hash and will fail the chain audit after import:': '{count} entradas no coinciden con su hash guardado y no pasarán la auditoría de la cadena después de importarlas:',
+        'Hash mismatch': 'El hash no coincide',
+        'Merge': 'Combinar',
+        'Replace All Data': 'Reemplazar todos los datos',
+        'Cancel': 'Cancelar',
+        'Replace all invoices and settings in this browser with the backup? This cannot be undone.': '¿Reemplazar todas las facturas y ajustes de este navegador con la copia? Esto no se puede deshacer.',
+        'Backup imported: {count} history entry in this browser now': 'Copia importada: ahora hay {count} entrada del historial en este navegador',
+        'Backup imported: {count} history entries in this browser now': 'Copia importada: ahora hay {count} entradas del historial en este navegador',
+        'Could not load invoice history: {error}': 'No se pudo cargar el historial de facturas: {error}',
+        'Discount cannot be negative': 'El descuento no puede ser negativo',
+        'Discount cannot exceed 100%': 'El descuento no puede superar el 100%',
+        'Discount cannot exceed the line amount': 'El descuento no puede superar el monto de la línea',
+        'Item name is required': 'El nombre del ítem es obligatorio',
+        'Quantity must be greater than 0': 'La cantidad debe ser mayor que 0',
+        'Price must be greater than 0': 'El precio debe ser mayor que 0',
+        'Could not save encrypted data: {error}': 'No se pudieron guardar los datos cifrados: {error}',
+        'The browser did not keep {name}': 'El navegador no conservó {name}',
+        'Could not check the app lock: {error}': 'No se pudo comprobar el bloqueo: {error}',
+        'Wrong passphrase': 'Frase de contraseña incorrecta',
+        'The passphrase must be at least {count} characters long': 'La frase de contraseña debe tener al menos {count} caracteres',
+        'The passphrases do not match': 'Las frases de contraseña no coinciden',
+        'The current passphrase is wrong': 'La frase de contraseña actual es incorrecta',
+        'Encrypting...': 'Cifrando...',
+        'Decrypting...': 'Descifrando...',
+        'Could not turn on the app lock: {error}': 'No se pudo activar el bloqueo: {error}',
+        'Passphrase changed. Everything was re-encrypted with the new passphrase.': 'Frase de contraseña cambiada. Todo se volvió a cifrar con la nueva frase.',
+        'Turn off the app lock? Invoices and settings will be stored unencrypted in this browser.': '¿Desactivar el bloqueo? Las facturas y los ajustes se guardarán sin cifrar en este navegador.',
+        'The app lock is on. Stored data is encrypted with your passphrase.': 'El bloqueo está activado. Los datos guardados están cifrados con su frase de contraseña.',
+        'The app lock is off. Stored data can be read by anyone with access to this browser.': 'El bloqueo está desactivado. Cualquiera con acceso a este navegador puede leer los datos guardados.',
+
+        // Issued documents
+        'Invoice': 'Factura',
+        'Credit Note': 'Nota de crédito',
+        'Exempt': 'Exento',
+        ', compound': ', compuesto',
+        'Due on receipt': 'Pago al recibir',
+        'Net {count} day': 'Neto {count} día',
+        'Net {count} days': 'Neto {count} días',
+        '{title} (continued)': '{title} (continuación)',
+        'Item': 'Ítem',
+        'Tax': 'Impuesto',
+        'Disc.': 'Desc.',
+        'Carried forward:': 'Suma y sigue:',
+        'Brought forward:': 'Viene de la página anterior:',
+        'NanoHash Invoice - Blockchain Verified & Cryptographically Secured': 'NanoHash Invoice - Verificada en blockchain y protegida criptográficamente',
+        'Page {page} of {count}': 'Página {page} de {count}',
+        'Tax ID: {taxId}': 'NIT: {taxId}',
+        'Client Information:': 'Datos del cliente:',
+        'Fiscal Field:': 'Campo fiscal:',
+        'Address:': 'Dirección:',
+        'Email:': 'Correo:',
+        'Issue Date:': 'Fecha de emisión:',
+        'Credits Invoice:': 'Acredita la factura:',
+        'Payment Terms:': 'Plazo de pago:',
+        'Due Date:': 'Vencimiento:',
+        'Blockchain Verified | SHA-256 Hash:': 'Verificada en blockchain | Hash SHA-256:',
+        'ECDSA P-256 Signature | Key {fingerprint}': 'Firma ECDSA P-256 | Clave {fingerprint}',
+        'Subtotal:': 'Subtotal:',
+        'Discount ({discount}):': 'Descuento ({discount}):',
+        'CREDIT ({currency}):': 'CRÉDITO ({currency}):',
+        'TOTAL ({currency}):': 'TOTAL ({currency}):',
+        'Scan to Verify': 'Escanee para verificar',
+        'Blockchain verification ensures invoice authenticity and prevents tampering or duplication.': 'La verificación blockchain garantiza la autenticidad de la factura e impide su alteración o duplicación.',
+        'Payment Instructions': 'Instrucciones de pago'
+    }
+};
+
+/**
+ * Get the locale that formats numbers and dates in a language
+ * @param {string} language - Language code; unknown codes use English
+ * @returns {string} BCP 47 locale, e.g. "es-BO"
+ */
+function getLanguageLocale(language) {
+    return (LANGUAGES[language] || LANGUAGES.en).locale;
+}
+
+/**
+ * Translate text and fill in its placeholders
+ * @param {string} language - Language code
+ * @param {string} text - English text
+ * @param {Object} params - Values for {name} placeholders (optional)
+ * @returns {string} Translated text
+ */
+function translate(language, text, params) {
+    var table = TRANSLATIONS[language] || {};
+    var result = table.hasOwnProperty(text) ? table[text] : text;
+    if (!params) return result;
+    return result.replace(/\{(\w+)\}/g, function(placeholder, name) {
+        return params[name] !== undefined ? params[name] : placeholder;
+    });
+}
+
+/**
+ * Translate text that depends on a count, e.g. "1 entry" or "3 entries".
+ * The count is available to both forms as {count}.
+ * @param {string} language - Language code
+ * @param {string} one - English text for a count of one
+ * @param {string} other - English text for other counts
+ * @param {number} count - Count
+ * @param {Object} params - Values for other placeholders (optional)
+ * @returns {string} Translated text
+ */
+function translatePlural(language, one, other, count, params) {
+    return translate(language, count === 1 ? one : other, Object.assign({ count: count }, params));
+}
+
+/* NODE EXPORTS */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LANGUAGES: LANGUAGES,
+        TRANSLATIONS: TRANSLATIONS,
+        getLanguageLocale: getLanguageLocale,
+        translate: translate,
+        translatePlural: translatePlural
+    };
+}
@@ -3,583 +3,7174 @@
 // Array to store invoice line items
 var items = [];
 
-// Current invoice number counter
-var invoiceNumber = 1001;
+// Invoice-level discount ({ type: 'percent'|'fixed', value }), null when none
+var invoiceDiscount = null;
 
-// Invoice history storage
+// Additional charges such as shipping or handling, each with its own tax category
+var charges = [];
+
+// Numbering series for invoices and credit notes. "next" maps a period
+// (the year for yearly series, '' otherwise) to the next counter value;
+// a period without one starts at 1
+var numberingSeries = {
+    invoice: { format: '{0000}', reset: 'never', next: { '': 1001 } },
+    'credit-note': { format: 'CN-{YYYY}-{0000}', reset: 'yearly', next: {} }
+};
+
+// Invoice history storage, newest block first (invoices, credit notes and
+// lifecycle events: payments, voids and tombstones). Only loaded from
+// IndexedDB once a feature needs the whole chain (see requireHistory)
 var invoiceHistory = [];
 
-/* Currency exchange rates relative to USD
- * Used for converting totals to different currencies */
-var exchangeRates = {
-    USD: 1,
-    EUR: 0.92,
-    BOB: 6.91
+// Promise of invoiceHistory being loaded, null until something first needs it
+var historyLoading = null;
+
+// Numbers of the documents in history, as keys, so numbering works before
+// the whole history is loaded
+var issuedNumbers = {};
+
+// Invoice a credit note is being prepared for ({ invoiceNumber, hash }), null for a regular invoice
+var creditTarget = null;
+
+// Invoices in progress, newest first; each holds the editor state (see captureDraft)
+var drafts = [];
+
+// Draft open in the editor, null until the current invoice gets its first line
+var currentDraftId = null;
+
+// Set while a draft is loaded so intermediate redraws do not autosave it
+var restoringDraft = false;
+
+// Set while an invoice is being sealed and signed, so it cannot be issued twice
+var issuing = false;
+
+// Latest block of the hash chain ({ index, hash }), null before the first block
+var chainHead = null;
+
+// Newest block pruned from history by versions that capped it at 50 entries
+// ({ index, hash }); audits resume from it
+var chainCheckpoint = null;
+
+// Payments, voids, tombstones and credit notes grouped by the hash of the
+// record they refer to; rebuilt on first use after history changes
+var historyReferences = null;
+
+// Number of history entries listed in the history modal; grows with "Show more"
+var historyLimit = 50;
+
+// Bumped by every history listing, so a slower earlier one does not overwrite it
+var historyListing = 0;
+
+// Backup file read for import, with its analysis, until it is merged or replaces the data
+var pendingBackup = null;
+
+// Rows pasted or loaded for bulk item import: { header, rows, mapping }, where
+// mapping holds the column index read for each field in ITEM_IMPORT_FIELDS
+var itemImport = null;
+
+/* Currency registry keyed by ISO 4217 code. Each rate is the number of units
+ * per 1 USD, stamped with the date it was quoted and where it came from */
+var currencies = {
+    USD: { name: 'US Dollar', decimals: 2, rate: 1, rateDate: null, rateSource: 'Built-in' },
+    EUR: { name: 'Euro', decimals: 2, rate: 0.92, rateDate: null, rateSource: 'Built-in' },
+    BOB: { name: 'Boliviano', decimals: 2, rate: 6.91, rateDate: null, rateSource: 'Built-in' }
+};
+
+// Rate snapshot of a regenerated invoice; converts at its original rate until the next issue
+var pinnedRate = null;
+
+/* Client book: { id, name, fiscalId, address, email, currency, taxCategory, paymentTerms }
+ * paymentTerms is the number of days until payment is due (0 = due on receipt) */
+var clients = [];
+
+// Client book entry the current invoice is billed to, or null for a one-off client
+var currentClientId = null;
+
+/* Seller profile printed on every invoice. The identity and payment fields are
+ * sealed into the hashed block; the logo (a PNG or JPEG data URL) and colors are branding only */
+var issuerProfile = {
+    legalName: '',
+    address: '',
+    taxId: '',
+    email: '',
+    phone: '',
+    website: '',
+    paymentInstructions: '',
+    logo: null,
+    primaryColor: '#667eea',
+    accentColor: '#11998e'
+};
+
+/* Product and service catalog: { id, sku, name, description, unit, price, currency, taxCategory }
+ * The price is in the entry's currency and is converted when billed in another one */
+var catalog = [];
+
+/* Currency the invoice is billed in: item prices, subtotal, tax and total.
+ * The #currency select picks an optional reference currency for a converted total */
+var invoiceCurrency = 'USD';
+
+/* Named tax rates (percent). A compound tax is charged on the line amount
+ * plus the taxes applied before it in the same category */
+var taxRates = [
+    { id: 'vat', name: 'VAT', rate: 13, compound: false }
+];
+
+/* Tax categories assigned to items; each applies its tax rates in order.
+ * A category without taxes is exempt */
+var taxCategories = [
+    { id: 'standard', name: 'Standard', taxes: ['vat'] },
+    { id: 'exempt', name: 'Exempt', taxes: [] }
+];
+
+/* Rounding rules for money amounts
+ * mode: 'half-up' (ties away from zero) or 'half-even' (banker's rounding)
+ * strategy: 'line' rounds every line and line tax, 'invoice' rounds only the totals */
+var roundingSettings = {
+    mode: 'half-up',
+    strategy: 'line'
 };
 
-/* Currency symbols for display formatting */
-var currencySymbols = {
-    USD: '$',
-    EUR: '€',
-    BOB: 'Bs'
+/* PDF output options: layout template (see PDF_TEMPLATES) and paper size */
+var pdfSettings = {
+    template: 'classic',
+    pageSize: 'a4'
 };
 
+// Language of the interface (see LANGUAGES); each invoice has its own document language
+var uiLanguage = 'en';
+
+// Static page text in English, captured at startup so it can be translated back and forth
+var staticTexts = [];
+
+// App lock settings { salt, iterations, autoLockMinutes }, or null while the lock is off
+var lockSettings = null;
+
+// AES-GCM key derived from the passphrase; null until the app is unlocked
+var lockKey = null;
+
+// Decrypted localStorage entries while the lock is on, written back encrypted as 'vault'
+var vaultData = null;
+
+/* UTILITY FUNCTIONS */
+
+/**
+ * Escape text for safe insertion into HTML markup
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-safe string
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Trigger a browser download for generated text content
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(filename, content, mimeType) {
+    var blob = new Blob([content], { type: mimeType });
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Parse CSV text into rows of trimmed cells. Handles quoted cells with
+ * commas, doubled quotes and line breaks; blank lines are skipped. A quote
+ * only starts a quoted cell at the cell's start, so inch marks such as
+ * 27" stay part of the text.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell separator (default ',')
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCSV(text, delimiter) {
+    delimiter = delimiter || ',';
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+
+    for (var i = 0; i < text.length; i++) {
+        var char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter(function(cells) {
+        return cells.some(function(value) { return value !== ''; });
+    });
+}
+
+/**
+ * Guess the cell separator of delimited text from its first line: tabs for
+ * rows copied from a spreadsheet, semicolons for CSV saved with a decimal
+ * comma, otherwise commas
+ * @param {string} text - Delimited text
+ * @returns {string} Cell separator
+ */
+function detectDelimiter(text) {
+    var firstLine = text.split(/\r?\n/)[0];
+    if (firstLine.indexOf('\t') !== -1) return '\t';
+    return firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+}
+
+/**
+ * Serialize cells as one CSV row, quoting cells that need it
+ * @param {Array} cells - Cell values
+ * @returns {string} CSV line without a line break
+ */
+function toCSVRow(cells) {
+    return cells.map(function(value) {
+        var text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',');
+}
+
+/**
+ * Encode binary data as base64
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} Base64 string
+ */
+function bufferToBase64(buffer) {
+    var binary = '';
+    new Uint8Array(buffer).forEach(function(byte) {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into binary data
+ * @param {string} base64 - Base64 string
+ * @returns {ArrayBuffer} Binary data
+ */
+function base64ToBuffer(base64) {
+    var binary = atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
 /* BLOCKCHAIN FUNCTIONS */
 
 /**
- * Generate SHA-256 hash using Web Crypto API
- * @param {string} message - Message to hash
- * @returns {Promise<string>} Hexadecimal hash string
+ * Render a verification QR code into a container element
+ * @param {HTMLElement} container - Element that receives the QR canvas
+ * @param {string} text - Payload to encode
  */
-function generateHash(message) {
-    var msgBuffer = new TextEncoder().encode(JSON.stringify(message));
-    return crypto.subtle.digest('SHA-256', msgBuffer).then(function(hashBuffer) {
-        var hashArray = Array.from(new Uint8Array(hashBuffer));
-        var hashHex = hashArray.map(function(b) {
-            return b.toString(16).padStart(2, '0');
-        }).join('');
-        return hashHex;
+function renderQRCode(container, text) {
+    if (typeof QRCode === 'undefined') {
+        container.innerHTML = '<p class="qr-unavailable">' +
+            t('QR code unavailable: lib/qrcode.js did not load. The hash below still verifies this invoice.') + '</p>';
+        return;
+    }
+    container.innerHTML = '';
+    new QRCode(container, {
+        text: text,
+        width: 180,
+        height: 180,
+        colorDark: '#667eea',
+        colorLight: '#ffffff'
+    });
+}
+
+/* HASH CHAIN FUNCTIONS */
+
+/**
+ * Get the block the next issued block must link to
+ * @returns {Promise<Object>} Chain tip as { index, hash }
+ */
+function getChainTip() {
+    if (chainHead) {
+        return Promise.resolve(chainHead);
+    }
+    return getGenesisHash().then(function(hash) {
+        return { index: GENESIS_BLOCK.index, hash: hash };
     });
 }
 
 /**
- * Create blockchain data structure for invoice
+ * Link invoice data to the current chain tip and seal it into a block
  * @param {Object} invoiceData - Invoice information
- * @returns {Promise<Object>} Block with hash and timestamp
- */
-function generateBlockchainData(invoiceData) {
-    var timestamp = new Date().toISOString();
-    var blockData = {
-        invoiceNumber: invoiceData.invoiceNumber,
-        clientName: invoiceData.clientName,
-        total: invoiceData.total,
-        timestamp: timestamp,
-        items: invoiceData.items.map(function(item) {
+ * @returns {Promise<Object>} Block returned by generateBlockchainData()
+ */
+function sealChainedBlock(invoiceData) {
+    return getChainTip().then(function(tip) {
+        return generateBlockchainData(Object.assign({}, invoiceData, {
+            index: tip.index + 1,
+            previousHash: tip.hash
+        }));
+    });
+}
+
+/**
+ * Find the tombstone that deleted an invoice, if any
+ * @param {Object} invoice - Invoice history record
+ * @returns {Object|undefined} Tombstone block
+ */
+function findTombstone(invoice) {
+    return getHistoryReferences(invoice.hash).filter(function(entry) {
+        return isTombstone(entry) &&
+            String(entry.invoiceNumber) === String(invoice.invoiceNumber) &&
+            entry.deletedHash === invoice.hash;
+    })[0];
+}
+
+/**
+ * Append a lifecycle event block (payment or void) referencing an invoice
+ * @param {Object} fields - { type, invoiceNumber, invoiceHash } plus payment details
+ * @returns {Promise<Object>} Saved event entry
+ */
+function appendChainEvent(fields) {
+    return requireHistory().then(getChainTip).then(function(tip) {
+        var event = Object.assign({ index: tip.index + 1, previousHash: tip.hash }, fields, {
+            timestamp: new Date().toISOString()
+        });
+        return hashChainEntry(event).then(function(hash) {
+            event.hash = hash;
+            saveToHistory(event);
+            return event;
+        });
+    });
+}
+
+/**
+ * Walk the history from oldest to newest, recomputing every block and link.
+ * Stops at the first broken, tampered or missing block.
+ * @returns {Promise<Object>} Audit result { valid, checked, legacy, problem }
+ */
+function auditChain() {
+    var legacy;
+    var chained;
+
+    return requireHistory().then(function() {
+        var blocks = invoiceHistory.slice().reverse();
+        legacy = blocks.filter(function(entry) {
+            return entry.previousHash === undefined;
+        }).length;
+        chained = blocks.filter(function(entry) {
+            return entry.previousHash !== undefined;
+        });
+        return getGenesisHash();
+    }).then(function(genesisHash) {
+        var expected = chainCheckpoint ?
+            { index: chainCheckpoint.index + 1, previousHash: chainCheckpoint.hash } :
+            { index: GENESIS_BLOCK.index + 1, previousHash: genesisHash };
+
+        function fail(block, reason) {
             return {
-                name: item.name,
-                quantity: item.quantity,
-                price: item.price
+                valid: false,
+                checked: chained.indexOf(block),
+                legacy: legacy,
+                problem: { index: block.index, invoiceNumber: block.invoiceNumber, reason: reason }
             };
-        })
-    };
-    
-    return generateHash(blockData).then(function(hash) {
-        return {
-            hash: hash,
-            timestamp: timestamp,
-            data: blockData
+        }
+
+        function check(position) {
+            if (position === chained.length) {
+                var last = chained[chained.length - 1];
+                if (chainHead && (!last || last.hash !== chainHead.hash)) {
+                    return {
+                        valid: false,
+                        checked: chained.length,
+                        legacy: legacy,
+                        problem: {
+                            index: chainHead.index,
+                            reason: t('Chain head block #{index} is missing from history', { index: chainHead.index })
+                        }
+                    };
+                }
+                return { valid: true, checked: chained.length, legacy: legacy, problem: null };
+            }
+
+            var block = chained[position];
+            if (block.index !== expected.index) {
+                return fail(block, t('Block #{index} is missing (found block #{found})', { index: expected.index, found: block.index }));
+            }
+            if (block.previousHash !== expected.previousHash) {
+                return fail(block, t('Link broken: previous hash does not match block #{index}', { index: block.index - 1 }));
+            }
+            return hashChainEntry(block).then(function(hash) {
+                if (hash !== block.hash) {
+                    return fail(block, t('Block contents were altered: recomputed hash does not match'));
+                }
+                expected = { index: block.index + 1, previousHash: block.hash };
+                return check(position + 1);
+            });
+        }
+
+        return check(0);
+    });
+}
+
+/**
+ * Run the chain audit and show the result in the history modal
+ */
+function runChainAudit() {
+    auditChain().then(function(result) {
+        var html;
+        if (result.valid) {
+            html = '<div class="verify-verdict verify-match">✓ ' + (chainCheckpoint ?
+                tn('Chain intact: {count} block verified from checkpoint block #{index}',
+                    'Chain intact: {count} blocks verified from checkpoint block #{index}', result.checked, { index: chainCheckpoint.index }) :
+                tn('Chain intact: {count} block verified from the genesis block',
+                    'Chain intact: {count} blocks verified from the genesis block', result.checked)) + '</div>';
+        } else {
+            html = '<div class="verify-verdict verify-mismatch">✗ ' +
+                escapeHtml(result.problem.invoiceNumber !== undefined ?
+                    t('Chain broken at block #{index} (invoice #{number}): {reason}', {
+                        index: result.problem.index,
+                        number: result.problem.invoiceNumber,
+                        reason: result.problem.reason
+                    }) :
+                    t('Chain broken at block #{index}: {reason}', { index: result.problem.index, reason: result.problem.reason })) + '</div>';
+        }
+        if (result.legacy) {
+            html += '<p class="verify-note">' + tn('{count} invoice was issued before hash chaining and is not covered by the audit.',
+                '{count} invoices were issued before hash chaining and are not covered by the audit.', result.legacy) + '</p>';
+        }
+        document.getElementById('chainAuditResult').innerHTML = html;
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/* DIGITAL SIGNATURE FUNCTIONS */
+
+// Web Crypto parameters for ECDSA P-256 invoice signatures
+var SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+var SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Open the app's IndexedDB database.
+ * Signing keys live here because CryptoKey objects cannot go in localStorage,
+ * and invoice history because it outgrows localStorage's quota.
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+    return new Promise(function(resolve, reject) {
+        var request = indexedDB.open('NanoHashInvoice', 4);
+        request.onupgradeneeded = function(event) {
+            var db = request.result;
+            if (event.oldVersion < 1) {
+                db.createObjectStore('signingKeys', { keyPath: 'fingerprint' });
+            }
+            var history = event.oldVersion < 2 ?
+                db.createObjectStore('invoiceHistory', { keyPath: 'position' }) :
+                request.transaction.objectStore('invoiceHistory');
+            HISTORY_INDEXES.forEach(function(name) {
+                if (!history.indexNames.contains(name)) {
+                    history.createIndex(name, name);
+                }
+            });
+            if (event.oldVersion >= 2 && event.oldVersion < 4) {
+                // Rows of versions 2 and 3 lack the stored state and some indexed
+                // fields; cut them down to their record so loadHistory() rebuilds them
+                history.openCursor().onsuccess = function(cursorEvent) {
+                    var cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    if (!cursor.value.sealed) {
+                        cursor.update({ position: cursor.value.position, record: cursor.value.record });
+                    }
+                    cursor.continue();
+                };
+            }
         };
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() { reject(request.error); };
     });
 }
 
-/* ITEM VALIDATION FUNCTIONS */
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function storeRequest(storeName, mode, operation) {
+    return openDatabase().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = function() { resolve(request.result); };
+            request.onerror = function() { reject(request.error); };
+        });
+    });
+}
 
 /**
- * Validate item form inputs before adding to invoice
- * @returns {boolean} True if all inputs are valid
+ * Load every stored key (own signing keys and trusted public keys)
+ * @returns {Promise<Array<Object>>} Key records
  */
-function validateItem() {
-    var name = document.getElementById('itemName').value.trim();
-    var quantity = parseFloat(document.getElementById('itemQuantity').value);
-    var price = parseFloat(document.getElementById('itemPrice').value);
+function getStoredKeys() {
+    return storeRequest('signingKeys', 'readonly', function(store) {
+        return store.getAll();
+    });
+}
 
-    var isValid = true;
+/**
+ * Insert or update a key record
+ * @param {Object} keyRecord - Key record
+ * @returns {Promise<Object>} Saved record
+ */
+function putStoredKey(keyRecord) {
+    return storeRequest('signingKeys', 'readwrite', function(store) {
+        return store.put(keyRecord);
+    }).then(function() {
+        return keyRecord;
+    });
+}
 
-    // Clear previous validation errors
-    document.getElementById('nameError').textContent = '';
-    document.getElementById('quantityError').textContent = '';
-    document.getElementById('priceError').textContent = '';
-    document.getElementById('itemName').classList.remove('error');
-    document.getElementById('itemQuantity').classList.remove('error');
-    document.getElementById('itemPrice').classList.remove('error');
+/**
+ * Reduce a JWK to the public members of an EC key
+ * @param {Object} jwk - EC JWK (public or private)
+ * @returns {Object} Public JWK with members in canonical order
+ */
+function toPublicJwk(jwk) {
+    return { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+}
 
-    // Validate item name is not empty
-    if (!name) {
-        document.getElementById('nameError').textContent = 'Item name is required';
-        document.getElementById('itemName').classList.add('error');
-        isValid = false;
-    }
+/**
+ * Compute the SHA-256 fingerprint of a public key
+ * @param {Object} jwk - EC JWK
+ * @returns {Promise<string>} Hexadecimal fingerprint
+ */
+function computeKeyFingerprint(jwk) {
+    return generateHash(toPublicJwk(jwk));
+}
 
-    // Validate quantity is positive
-    if (!quantity || quantity <= 0) {
-        document.getElementById('quantityError').textContent = 'Quantity must be greater than 0';
-        document.getElementById('itemQuantity').classList.add('error');
-        isValid = false;
-    }
+/**
+ * Convert a PEM document to binary DER
+ * @param {string} pem - PEM text
+ * @returns {ArrayBuffer} DER bytes
+ */
+function pemToBuffer(pem) {
+    return base64ToBuffer(pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, ''));
+}
+
+/**
+ * Retire the active signing key, keeping it for verifying old invoices
+ * @returns {Promise} Resolves once the key is retired
+ */
+function retireActiveKey() {
+    return getStoredKeys().then(function(keys) {
+        return Promise.all(keys.filter(function(key) {
+            return key.type === 'own' && !key.retiredAt;
+        }).map(function(key) {
+            key.retiredAt = new Date().toISOString();
+            return putStoredKey(key);
+        }));
+    });
+}
+
+/**
+ * Store a private signing key as the new active key
+ * @param {CryptoKey} privateKey - Non-extractable private key
+ * @param {Object} publicJwk - Matching public key
+ * @returns {Promise<Object>} New active key record
+ */
+function activateSigningKey(privateKey, publicJwk) {
+    return computeKeyFingerprint(publicJwk).then(function(fingerprint) {
+        return retireActiveKey().then(function() {
+            return putStoredKey({
+                fingerprint: fingerprint,
+                type: 'own',
+                publicJwk: toPublicJwk(publicJwk),
+                privateKey: privateKey,
+                createdAt: new Date().toISOString(),
+                retiredAt: null
+            });
+        });
+    });
+}
+
+/**
+ * Generate a new ECDSA P-256 key pair with a non-extractable private key
+ * @returns {Promise<Object>} New active key record
+ */
+function createSigningKey() {
+    return crypto.subtle.generateKey(SIGNING_ALGORITHM, false, ['sign', 'verify']).then(function(keyPair) {
+        return crypto.subtle.exportKey('jwk', keyPair.publicKey).then(function(publicJwk) {
+            return activateSigningKey(keyPair.privateKey, publicJwk);
+        });
+    });
+}
+
+/**
+ * Get the active signing key, generating one on first use
+ * @returns {Promise<Object>} Active key record
+ */
+function getActiveSigningKey() {
+    return getStoredKeys().then(function(keys) {
+        var active = keys.filter(function(key) {
+            return key.type === 'own' && !key.retiredAt;
+        })[0];
+        return active || createSigningKey();
+    });
+}
+
+/**
+ * Sign the canonical block of a sealed invoice with the active key
+ * @param {Object} blockData - Block returned by generateBlockchainData()
+ * @returns {Promise<Object>} Same block with signature and keyFingerprint added
+ */
+function signBlock(blockData) {
+    return getActiveSigningKey().then(function(key) {
+        var message = new TextEncoder().encode(JSON.stringify(blockData.data));
+        return crypto.subtle.sign(SIGNATURE_PARAMS, key.privateKey, message).then(function(signature) {
+            blockData.signature = bufferToBase64(signature);
+            blockData.keyFingerprint = key.fingerprint;
+            return blockData;
+        });
+    });
+}
+
+/**
+ * Verify an invoice signature against the stored public keys
+ * @param {Object} block - Canonical block data that was signed
+ * @param {string} signature - Base64 signature
+ * @param {string} fingerprint - Fingerprint of the signing key
+ * @returns {Promise<Object>} { status: 'valid'|'invalid'|'unknown-key', key }
+ */
+function verifyBlockSignature(block, signature, fingerprint) {
+    return getStoredKeys().then(function(keys) {
+        var key = keys.filter(function(candidate) {
+            return candidate.fingerprint === fingerprint;
+        })[0];
+        if (!key) return { status: 'unknown-key', key: null };
+
+        return crypto.subtle.importKey('jwk', key.publicJwk, SIGNING_ALGORITHM, false, ['verify']).then(function(publicKey) {
+            var message = new TextEncoder().encode(JSON.stringify(block));
+            return crypto.subtle.verify(SIGNATURE_PARAMS, publicKey, base64ToBuffer(signature), message);
+        }).then(function(valid) {
+            return { status: valid ? 'valid' : 'invalid', key: key };
+        });
+    });
+}
+
+/**
+ * Download the active public key as JWK or PEM (SPKI)
+ * @param {string} format - 'jwk' or 'pem'
+ */
+function exportPublicKey(format) {
+    getActiveSigningKey().then(function(key) {
+        var name = 'NanoHash_PublicKey_' + key.fingerprint.substring(0, 16);
+        if (format === 'jwk') {
+            downloadFile(name + '.jwk', JSON.stringify(key.publicJwk, null, 2), 'application/json');
+            return;
+        }
+        return crypto.subtle.importKey('jwk', key.publicJwk, SIGNING_ALGORITHM, true, ['verify']).then(function(publicKey) {
+            return crypto.subtle.exportKey('spki', publicKey);
+        }).then(function(spki) {
+            var body = bufferToBase64(spki).match(/.{1,64}/g).join('\n');
+            downloadFile(name + '.pem', '-----BEGIN PUBLIC KEY-----\n' + body + '\n-----END PUBLIC KEY-----\n', 'application/x-pem-file');
+        });
+    }).catch(function(error) {
+        alert(t('Could not export public key: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Parse an imported key file (JWK JSON or PEM) into a JWK
+ * @param {string} text - File contents
+ * @param {string} kind - 'private' or 'public'
+ * @returns {Promise<Object>} JWK
+ */
+function parseKeyFile(text, kind) {
+    // Parsing runs inside the chain so malformed JSON or PEM rejects instead of throwing
+    return Promise.resolve().then(function() {
+        text = text.trim();
+        if (text.charAt(0) === '{') {
+            var jwk = JSON.parse(text);
+            if (jwk.kty !== 'EC' || jwk.crv !== 'P-256') {
+                throw new Error(t('Only EC P-256 keys are supported'));
+            }
+            if (kind === 'private' && !jwk.d) {
+                throw new Error(t('The JWK does not contain a private key'));
+            }
+            return jwk;
+        }
+
+        // PEM keys are imported extractable once, only to read their JWK members
+        var format = kind === 'private' ? 'pkcs8' : 'spki';
+        var usages = kind === 'private' ? ['sign'] : ['verify'];
+        return crypto.subtle.importKey(format, pemToBuffer(text), SIGNING_ALGORITHM, true, usages).then(function(key) {
+            return crypto.subtle.exportKey('jwk', key);
+        });
+    });
+}
+
+/**
+ * Read a key file selected in the key management modal
+ * @param {HTMLInputElement} input - File input element
+ * @param {Function} handler - Receives the file text, returns a Promise
+ */
+function readKeyFile(input, handler) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        input.value = '';
+        handler(reader.result).then(renderKeyList).catch(function(error) {
+            alert(t('Could not import key: {error}', { error: error.message }));
+        });
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Import an issuer key pair and make it the active signing key
+ * @param {HTMLInputElement} input - File input with a private JWK or PKCS#8 PEM
+ */
+function importSigningKey(input) {
+    readKeyFile(input, function(text) {
+        return parseKeyFile(text, 'private').then(function(jwk) {
+            var privateJwk = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y, d: jwk.d };
+            return crypto.subtle.importKey('jwk', privateJwk, SIGNING_ALGORITHM, false, ['sign']).then(function(privateKey) {
+                return activateSigningKey(privateKey, jwk);
+            });
+        });
+    });
+}
+
+/**
+ * Import another issuer's public key so their invoices can be verified.
+ * Keys are stored by fingerprint, so one of our own keys is refused rather
+ * than overwritten without its private half.
+ * @param {HTMLInputElement} input - File input with a public JWK or SPKI PEM
+ */
+function importTrustedKey(input) {
+    readKeyFile(input, function(text) {
+        return parseKeyFile(text, 'public').then(function(jwk) {
+            return Promise.all([computeKeyFingerprint(jwk), getStoredKeys()]).then(function(results) {
+                var fingerprint = results[0];
+                var own = results[1].some(function(key) {
+                    return key.type === 'own' && key.fingerprint === fingerprint;
+                });
+                if (own) {
+                    throw new Error(t('This is one of your own signing keys, so it is already trusted'));
+                }
+                return putStoredKey({
+                    fingerprint: fingerprint,
+                    type: 'trusted',
+                    publicJwk: toPublicJwk(jwk),
+                    createdAt: new Date().toISOString(),
+                    retiredAt: null
+                });
+            });
+        });
+    });
+}
 
-    // Validate price is positive
-    if (!price || price <= 0) {
-        document.getElementById('priceError').textContent = 'Price must be greater than 0';
-        document.getElementById('itemPrice').classList.add('error');
-        isValid = false;
+/**
+ * Rotate the signing key: retire the active key and generate a new one.
+ * Retired public keys are kept so previously issued invoices stay verifiable.
+ */
+function rotateSigningKey() {
+    if (confirm(t('Generate a new signing key? The current key will be retired but kept for verifying existing invoices.'))) {
+        createSigningKey().then(renderKeyList).catch(function(error) {
+            alert(t('Could not generate a signing key: {error}', { error: error.message }));
+        });
     }
+}
 
-    return isValid;
+/**
+ * Render the list of stored keys in the key management modal
+ */
+function renderKeyList() {
+    getStoredKeys().then(function(keys) {
+        keys.sort(function(a, b) {
+            return b.createdAt.localeCompare(a.createdAt);
+        });
+        var list = document.getElementById('keyList');
+        if (keys.length === 0) {
+            list.innerHTML = '<p class="verify-note">' +
+                t('No keys yet. A signing key is generated automatically when the first invoice is issued.') + '</p>';
+            return;
+        }
+        var locale = getLanguageLocale(uiLanguage);
+        list.innerHTML = keys.map(function(key) {
+            var status = key.type === 'trusted' ? 'Trusted issuer' : (key.retiredAt ? 'Retired' : 'Active');
+            return '<div class="history-item key-item key-' + status.split(' ')[0].toLowerCase() + '">' +
+                '<div class="history-item-header">' +
+                    '<div class="history-item-title">' + formatFingerprint(key.fingerprint) + '</div>' +
+                    '<span class="key-status">' + t(status) + '</span>' +
+                '</div>' +
+                '<div class="history-item-details">' +
+                    '<strong>' + t('Added:') + '</strong> ' + new Date(key.createdAt).toLocaleDateString(locale) +
+                    (key.retiredAt ? '<br><strong>' + t('Retired:') + '</strong> ' + new Date(key.retiredAt).toLocaleDateString(locale) : '') +
+                '</div>' +
+                '<div class="history-item-hash">SHA-256: ' + key.fingerprint + '</div>' +
+            '</div>';
+        }).join('');
+    });
 }
 
-/* ITEM MANAGEMENT FUNCTIONS */
+/**
+ * Show signing key management modal
+ */
+function showKeys() {
+    renderKeyList();
+    document.getElementById('keysModal').style.display = 'block';
+}
 
 /**
- * Add validated item to invoice
+ * Close signing key management modal
  */
-function addItem() {
-    if (!validateItem()) return;
+function closeKeys() {
+    document.getElementById('keysModal').style.display = 'none';
+}
 
-    var item = {
-        id: Date.now(),
+/* ITEM VALIDATION FUNCTIONS */
+
+/**
+ * Validate item form inputs before adding to invoice
+ * @returns {boolean} True if all inputs are valid
+ */
+function validateItem() {
+    var errors = validateLineItem({
         name: document.getElementById('itemName').value.trim(),
         quantity: parseFloat(document.getElementById('itemQuantity').value),
-        price: parseFloat(document.getElementById('itemPrice').value)
+        price: parseFloat(document.getElementById('itemPrice').value),
+        discount: readDiscountInput('itemDiscountValue', 'itemDiscountType')
+    }, uiLanguage);
+
+    // Show each field's error, clearing those fixed since the last attempt
+    var fields = {
+        name: ['nameError', 'itemName'],
+        quantity: ['quantityError', 'itemQuantity'],
+        price: ['priceError', 'itemPrice'],
+        discount: ['discountError', 'itemDiscountValue']
     };
+    Object.keys(fields).forEach(function(field) {
+        document.getElementById(fields[field][0]).textContent = errors[field] || '';
+        document.getElementById(fields[field][1]).classList.toggle('error', !!errors[field]);
+    });
 
-    items.push(item);
-    
-    // Clear form inputs after adding item
-    document.getElementById('itemName').value = '';
+    return Object.keys(errors).length === 0;
+}
+
+/**
+ * Read a discount from a value input and a type select
+ * @param {string} valueId - Id of the discount value input
+ * @param {string} typeId - Id of the discount type select
+ * @returns {Object|null} Discount, or null when empty
+ */
+function readDiscountInput(valueId, typeId) {
+    var value = document.getElementById(valueId).value;
+    if (value === '') return null;
+    return {
+        type: document.getElementById(typeId).value,
+        value: parseFloat(value)
+    };
+}
+
+/* ITEM MANAGEMENT FUNCTIONS */
+
+/**
+ * Add validated item to invoice
+ */
+function addItem() {
+    if (!validateItem()) return;
+
+    var item = {
+        id: Date.now(),
+        name: document.getElementById('itemName').value.trim(),
+        quantity: parseFloat(document.getElementById('itemQuantity').value),
+        price: parseFloat(document.getElementById('itemPrice').value),
+        taxCategory: document.getElementById('itemTaxCategory').value
+    };
+    var discount = readDiscountInput('itemDiscountValue', 'itemDiscountType');
+    if (discount && discount.value > 0) {
+        item.discount = discount;
+    }
+
+    // Catalog items carry their SKU, unit and description onto the invoice
+    var entry = findCatalogEntry(item.name);
+    if (entry) {
+        item.sku = entry.sku;
+        if (entry.unit) item.unit = entry.unit;
+        if (entry.description) item.description = entry.description;
+    }
+
+    items.push(item);
+    
+    // Clear form inputs after adding item
+    document.getElementById('itemName').value = '';
     document.getElementById('itemQuantity').value = '';
     document.getElementById('itemPrice').value = '';
+    document.getElementById('itemDiscountValue').value = '';
+
+    updateDisplay();
+}
+
+/**
+ * Remove item from invoice by ID
+ * @param {number} id - Unique identifier of item to remove
+ */
+function removeItem(id) {
+    items = items.filter(function(item) {
+        return item.id !== id;
+    });
+    updateDisplay();
+}
+
+/* ITEM IMPORT FUNCTIONS */
+
+// Fields read from imported rows, with the header names recognized for each
+var ITEM_IMPORT_FIELDS = [
+    { key: 'sku', label: 'SKU', headers: ['sku', 'code', 'item code', 'product code'] },
+    { key: 'name', label: 'Name', headers: ['name', 'item', 'item name', 'product', 'service', 'description'] },
+    { key: 'quantity', label: 'Quantity', headers: ['quantity', 'qty', 'units', 'hours'] },
+    { key: 'price', label: 'Unit Price', headers: ['price', 'unit price', 'unit_price', 'rate', 'unit cost', 'cost'] },
+    { key: 'tax', label: 'Tax Category', headers: ['tax', 'tax category', 'tax_category', 'vat'] }
+];
+
+/**
+ * Parse a number as typed in a spreadsheet: currency symbols, known
+ * currency codes, spaces and thousands separators are ignored, and a lone comma is read
+ * as a decimal comma
+ * @param {string} text - Cell text
+ * @returns {number} Parsed number, or NaN
+ */
+function parseImportNumber(text) {
+    var clean = String(text).replace(/[\s$€£¥]/g, '');
+    var code = /^[A-Za-z]{3}|[A-Za-z]{3}$/.exec(clean);
+    if (code && currencies[code[0].toUpperCase()]) {
+        clean = clean.replace(code[0], '');
+    }
+    var lastComma = clean.lastIndexOf(',');
+    var lastPoint = clean.lastIndexOf('.');
+    if (lastComma !== -1 && lastPoint !== -1) {
+        // Both separators: the last one is the decimal mark
+        clean = lastComma > lastPoint ? clean.replace(/\./g, '').replace(',', '.') : clean.replace(/,/g, '');
+    } else if (/^-?\d{1,3}(,\d{3})+$/.test(clean)) {
+        clean = clean.replace(/,/g, '');
+    } else {
+        clean = clean.replace(',', '.');
+    }
+    return /^-?(\d+\.?\d*|\.\d+)$/.test(clean) ? parseFloat(clean) : NaN;
+}
+
+/**
+ * Find a tax category by id or name, ignoring case
+ * @param {string} text - Category id or name
+ * @returns {Object|null} Tax category, or null if none matches
+ */
+function findTaxCategoryByName(text) {
+    var key = text.toLowerCase();
+    return taxCategories.filter(function(candidate) {
+        return candidate.id.toLowerCase() === key || candidate.name.toLowerCase() === key;
+    })[0] || null;
+}
+
+/**
+ * Guess which column holds each field from the header names; without a
+ * header, read the columns as name, quantity and price
+ * @param {Array<string>|null} header - Header cells
+ * @returns {Object} Column index keyed by field, '' for fields not imported
+ */
+function guessItemImportMapping(header) {
+    var mapping = {};
+    if (!header) {
+        ITEM_IMPORT_FIELDS.forEach(function(field) { mapping[field.key] = ''; });
+        mapping.name = 0;
+        mapping.quantity = 1;
+        mapping.price = 2;
+        return mapping;
+    }
+
+    var used = {};
+    ITEM_IMPORT_FIELDS.forEach(function(field) {
+        mapping[field.key] = '';
+        header.forEach(function(cell, index) {
+            if (mapping[field.key] === '' && !used[index] && field.headers.indexOf(cell.toLowerCase()) !== -1) {
+                mapping[field.key] = index;
+                used[index] = true;
+            }
+        });
+    });
+    return mapping;
+}
+
+/**
+ * Build an invoice line from an imported row, checking it with the same
+ * rules as the item form. A SKU or name found in the catalog supplies the
+ * price and tax category the row leaves empty, and the unit and description.
+ * @param {Array<string>} cells - Row cells
+ * @returns {Object} { item, errors } with errors as an array of messages
+ */
+function buildImportedItem(cells) {
+    function read(field) {
+        var column = itemImport.mapping[field];
+        return column === '' ? '' : (cells[column] || '').trim();
+    }
+
+    var sku = read('sku');
+    var entry = findCatalogEntry(sku) || findCatalogEntry(read('name'));
+    var taxText = read('tax');
+    var category = taxText ? findTaxCategoryByName(taxText) : null;
+
+    var item = {
+        name: read('name') || (entry ? entry.name : ''),
+        // Rows without a quantity column are one of each
+        quantity: itemImport.mapping.quantity === '' ? 1 : parseImportNumber(read('quantity')),
+        price: read('price') ? parseImportNumber(read('price')) : (entry ? getCatalogPrice(entry) : NaN),
+        taxCategory: category ? category.id :
+            (entry ? getTaxCategory(entry.taxCategory).id : document.getElementById('itemTaxCategory').value)
+    };
+    if (entry || sku) {
+        item.sku = entry ? entry.sku : sku;
+    }
+    if (entry && entry.unit) item.unit = entry.unit;
+    if (entry && entry.description) item.description = entry.description;
+
+    var errors = validateLineItem(item, uiLanguage);
+    var messages = Object.keys(errors).map(function(field) { return errors[field]; });
+    if (taxText && !category) {
+        messages.push(t('Unknown tax category "{name}"', { name: taxText }));
+    }
+    return { item: item, errors: messages };
+}
+
+/**
+ * Read a CSV or TSV file into the paste box and preview it
+ * @param {HTMLInputElement} input - File input with the rows
+ */
+function loadItemImportFile(input) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        input.value = '';
+        document.getElementById('itemImportText').value = reader.result;
+        parseItemImport();
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Split the pasted rows into cells, guess the column mapping and preview them
+ */
+function parseItemImport() {
+    var text = document.getElementById('itemImportText').value;
+    var rows = parseCSV(text, detectDelimiter(text));
+    var header = document.getElementById('itemImportHeader').checked ? rows.shift() || null : null;
+    itemImport = rows.length ? { header: header, rows: rows, mapping: guessItemImportMapping(header) } : null;
+    renderItemImportMapping();
+    renderItemImportPreview();
+}
+
+/**
+ * Render a column select for each import field
+ */
+function renderItemImportMapping() {
+    var container = document.getElementById('itemImportMapping');
+    if (!itemImport) {
+        container.innerHTML = '';
+        return;
+    }
+
+    var columnCount = Math.max.apply(null, itemImport.rows.map(function(row) { return row.length; }));
+    var options = '<option value="">' + t('— Not imported —') + '</option>';
+    for (var i = 0; i < columnCount; i++) {
+        // Name columns by their header, or by their first value when there is none
+        var sample = itemImport.header ? itemImport.header[i] : itemImport.rows[0][i];
+        options += '<option value="' + i + '">' + t('Column {number}', { number: i + 1 }) + (sample ? ': ' + escapeHtml(sample) : '') + '</option>';
+    }
+
+    container.innerHTML = ITEM_IMPORT_FIELDS.map(function(field) {
+        return '<div class="form-group">' +
+            '<label>' + t(field.label) + '</label>' +
+            '<select id="itemImportColumn-' + field.key + '" onchange="updateItemImportMapping()">' + options + '</select>' +
+        '</div>';
+    }).join('');
+    ITEM_IMPORT_FIELDS.forEach(function(field) {
+        document.getElementById('itemImportColumn-' + field.key).value = String(itemImport.mapping[field.key]);
+    });
+}
+
+/**
+ * Apply the column selects to the mapping and refresh the preview
+ */
+function updateItemImportMapping() {
+    ITEM_IMPORT_FIELDS.forEach(function(field) {
+        var value = document.getElementById('itemImportColumn-' + field.key).value;
+        itemImport.mapping[field.key] = value === '' ? '' : parseInt(value, 10);
+    });
+    renderItemImportPreview();
+}
+
+/**
+ * Render the imported rows as they will be added, with each row's errors
+ */
+function renderItemImportPreview() {
+    var list = document.getElementById('itemImportPreview');
+    var status = document.getElementById('itemImportStatus');
+    var button = document.getElementById('itemImportButton');
+    if (!itemImport) {
+        list.innerHTML = '<tr><td colspan="7" style="text-align: center;"><em>' + t('Paste rows or load a file to preview them') + '</em></td></tr>';
+        status.textContent = '';
+        button.disabled = true;
+        return;
+    }
+
+    // Row numbers count the header so they match the spreadsheet or file
+    var firstRow = itemImport.header ? 2 : 1;
+    var baseCurrency = getBaseCurrency();
+    var valid = 0;
+    list.innerHTML = itemImport.rows.map(function(cells, index) {
+        var result = buildImportedItem(cells);
+        var item = result.item;
+        if (result.errors.length === 0) valid++;
+        return '<tr' + (result.errors.length ? ' class="item-import-invalid"' : '') + '>' +
+            '<td>' + (firstRow + index) + '</td>' +
+            '<td>' + escapeHtml(item.sku || '—') + '</td>' +
+            '<td>' + escapeHtml(item.name || '—') + '</td>' +
+            '<td style="text-align: right;">' + (isNaN(item.quantity) ? '—' : escapeHtml(formatQuantity(item, uiLanguage))) + '</td>' +
+            '<td style="text-align: right;">' + (isNaN(item.price) ? '—' : formatMoney(item.price, baseCurrency, true)) + '</td>' +
+            '<td>' + escapeHtml(getTaxCategory(item.taxCategory).name) + '</td>' +
+            '<td>' + (result.errors.length ? '✗ ' + escapeHtml(result.errors.join('; ')) : '✓ ' + t('Ready')) + '</td>' +
+        '</tr>';
+    }).join('');
+
+    var invalid = itemImport.rows.length - valid;
+    status.textContent = tn('{valid} of {count} row ready to import', '{valid} of {count} rows ready to import',
+        itemImport.rows.length, { valid: valid }) + (invalid ? tn('; {count} with errors will be skipped.',
+        '; {count} with errors will be skipped.', invalid) : '.');
+    button.disabled = valid === 0;
+}
+
+/**
+ * Add the valid imported rows to the invoice and close the import
+ */
+function applyItemImport() {
+    var now = Date.now();
+    var added = 0;
+    itemImport.rows.forEach(function(cells) {
+        var result = buildImportedItem(cells);
+        if (result.errors.length) return;
+        items.push(Object.assign({ id: now + added }, result.item));
+        added++;
+    });
+    closeItemImport();
+    updateDisplay();
+}
+
+/**
+ * Show item import modal
+ */
+function showItemImport() {
+    itemImport = null;
+    document.getElementById('itemImportText').value = '';
+    renderItemImportMapping();
+    renderItemImportPreview();
+    document.getElementById('itemImportModal').style.display = 'block';
+}
+
+/**
+ * Close item import modal
+ */
+function closeItemImport() {
+    document.getElementById('itemImportModal').style.display = 'none';
+}
+
+/* DISCOUNT AND CHARGE FUNCTIONS */
+
+/**
+ * Apply the invoice-level discount from the adjustments form
+ */
+function updateInvoiceDiscount() {
+    var discount = readDiscountInput('invoiceDiscountValue', 'invoiceDiscountType');
+    var error = validateDiscount(discount, 0, uiLanguage);
+
+    document.getElementById('invoiceDiscountError').textContent = error;
+    document.getElementById('invoiceDiscountValue').classList.toggle('error', !!error);
+    if (error) return;
+
+    invoiceDiscount = discount && discount.value > 0 ? discount : null;
+    updateDisplay();
+}
+
+/**
+ * Add a shipping, handling or other charge to the invoice
+ */
+function addCharge() {
+    var name = document.getElementById('chargeName').value.trim();
+    var amount = parseFloat(document.getElementById('chargeAmount').value);
+
+    document.getElementById('chargeError').textContent = '';
+    if (!name || !amount || amount <= 0) {
+        document.getElementById('chargeError').textContent = t('Enter a charge name and an amount greater than 0');
+        return;
+    }
+
+    charges.push({
+        id: Date.now(),
+        name: name,
+        amount: amount,
+        taxCategory: document.getElementById('chargeTaxCategory').value
+    });
+    document.getElementById('chargeName').value = '';
+    document.getElementById('chargeAmount').value = '';
+    updateDisplay();
+}
 
+/**
+ * Remove a charge from the invoice by ID
+ * @param {number} id - Unique identifier of charge to remove
+ */
+function removeCharge(id) {
+    charges = charges.filter(function(charge) {
+        return charge.id !== id;
+    });
     updateDisplay();
 }
 
 /**
- * Remove item from invoice by ID
- * @param {number} id - Unique identifier of item to remove
+ * Clear the invoice discount and charges, e.g. after issuing an invoice
+ */
+function resetAdjustments() {
+    invoiceDiscount = null;
+    charges = [];
+    document.getElementById('invoiceDiscountValue').value = '';
+    document.getElementById('invoiceDiscountType').value = 'percent';
+}
+
+/**
+ * Render the list of additional charges in the adjustments card
+ */
+function renderCharges() {
+    document.getElementById('chargesList').innerHTML = charges.map(function(charge) {
+        return '<div class="charge-row">' +
+            '<span>' + escapeHtml(charge.name) + ' <small>(' + escapeHtml(describeItemTaxes(charge)) + ')</small></span>' +
+            '<span>' + formatMoney(charge.amount, getBaseCurrency()) +
+                '<button class="btn-delete-item" onclick="removeCharge(' + charge.id + ')" title="' + t('Delete charge') + '">' +
+                    '<svg class="icon-delete-x" width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">' +
+                        '<path d="M12 4L4 12M4 4L12 12" stroke="#e74c3c" stroke-width="2" stroke-linecap="round"/>' +
+                    '</svg>' +
+                '</button>' +
+            '</span>' +
+        '</div>';
+    }).join('');
+}
+
+/* MONEY FUNCTIONS */
+
+/**
+ * Get the settings the core calculations run with: the current registry,
+ * tax configuration, rounding rules, any pinned rate and the interface language
+ * @returns {Object} Calculation settings for nanohash-core.js
+ */
+function getCalculationSettings() {
+    return {
+        currencies: currencies,
+        taxRates: taxRates,
+        taxCategories: taxCategories,
+        rounding: roundingSettings,
+        pinnedRate: pinnedRate,
+        language: uiLanguage
+    };
+}
+
+/**
+ * Get the number of decimal places of a currency's minor unit
+ * @param {string} currency - Currency code
+ * @returns {number} Decimal places (0, 2 or 3)
+ */
+function getCurrencyDecimals(currency) {
+    return getCurrencyPlaces(currency, getCalculationSettings());
+}
+
+/**
+ * Get the currency the current invoice is billed in
+ * @returns {string} Currency code
+ */
+function getBaseCurrency() {
+    return invoiceCurrency;
+}
+
+/**
+ * Check whether the pinned rate converts between two currencies.
+ * Snapshots frozen before base currencies existed are quoted from USD.
+ * @param {string} base - Invoice currency
+ * @param {string} currency - Reference currency
+ * @returns {boolean} True if the pinned rate applies
+ */
+function isPinnedRate(base, currency) {
+    return !!pinnedRate && (pinnedRate.base || 'USD') === base && pinnedRate.currency === currency;
+}
+
+/**
+ * Get the exchange rate used to convert the total into a reference currency.
+ * A pinned rate from a regenerated invoice wins over the registry.
+ * @param {string} base - Invoice currency
+ * @param {string} currency - Reference currency
+ * @returns {Object} Snapshot { base, currency, rate, decimals, date, source }
+ */
+function getRateSnapshot(base, currency) {
+    if (isPinnedRate(base, currency)) {
+        return Object.assign({ base: 'USD' }, pinnedRate);
+    }
+    return getRegistryRate(base, currency);
+}
+
+/**
+ * Get the current registry rate between two currencies, ignoring any pinned rate
+ * @param {string} base - Currency converted from
+ * @param {string} currency - Currency converted to
+ * @returns {Object} Snapshot { base, currency, rate, decimals, date, source }
+ */
+function getRegistryRate(base, currency) {
+    return getCrossRate(currencies, base, currency);
+}
+
+/**
+ * Round a decimal to a currency's minor unit with the configured mode
+ * @param {Object} value - Decimal
+ * @param {string} currency - Currency code
+ * @returns {Object} Rounded decimal
+ */
+function roundMoney(value, currency) {
+    return roundAmount(value, currency, getCalculationSettings());
+}
+
+/**
+ * Round a line-level amount when rounding per line, otherwise keep it exact
+ * @param {Object} value - Decimal
+ * @param {string} currency - Currency code
+ * @returns {Object} Decimal
+ */
+function roundLineAmount(value, currency) {
+    return roundLineValue(value, currency, getCalculationSettings());
+}
+
+/**
+ * Format an amount in a currency with the current settings
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @param {boolean} keepPrecision - Show extra decimals (e.g. unit prices) instead of rounding them
+ * @returns {string} Formatted amount, e.g. "$1,234.50" or "-€14.00"
+ */
+function formatMoney(amount, currency, keepPrecision) {
+    return formatAmount(amount, currency, getCalculationSettings(), keepPrecision);
+}
+
+/* CALCULATION FUNCTIONS*/
+
+/**
+ * Find a tax category by id, falling back to the first (default) category
+ * @param {string} id - Tax category id
+ * @returns {Object} Tax category
+ */
+function getTaxCategory(id) {
+    return findTaxCategory(id, getCalculationSettings());
+}
+
+/**
+ * Resolve the tax rates that apply to an item with the current tax settings
+ * @param {Object} item - Invoice line item
+ * @returns {Array<Object>} Tax rates in application order
+ */
+function resolveItemTaxes(item) {
+    return resolveTaxes(item, getCalculationSettings());
+}
+
+/**
+ * Describe the taxes applied to an item, e.g. "VAT 13% + Excise 5%"
+ * @param {Object} item - Invoice line item
+ * @returns {string} Description
+ */
+function describeItemTaxes(item) {
+    var taxes = resolveItemTaxes(item);
+    if (taxes.length === 0) return t('Exempt');
+    return taxes.map(function(tax) {
+        return tax.name + ' ' + formatNumber(tax.rate, uiLanguage) + '%';
+    }).join(' + ');
+}
+
+/**
+ * Format a discount for display, e.g. "-10%" or "-$5.00"
+ * @param {Object} discount - Percentage or fixed discount
+ * @param {string} currency - Invoice currency of a fixed discount
+ * @returns {string} Label
+ */
+function formatDiscount(discount, currency) {
+    return describeDiscount(discount, currency, getCalculationSettings());
+}
+
+/**
+ * Calculate a line's gross amount, discount and net amount as decimals
+ * @param {Object} item - Invoice line item
+ * @param {string} currency - Invoice currency
+ * @returns {Object} Decimals { gross, discount, net }
+ */
+function calculateLine(item, currency) {
+    return computeLine(item, currency, getCalculationSettings());
+}
+
+/**
+ * Calculate a line's amount after its own discount, rounded for display
+ * @param {Object} item - Invoice line item
+ * @param {string} currency - Invoice currency
+ * @returns {number} Net line amount
+ */
+function calculateLineAmount(item, currency) {
+    return computeLineAmount(item, currency, getCalculationSettings());
+}
+
+/**
+ * Collect the invoice in the editor as a plain invoice object for the core
+ * @returns {Object} Invoice, see buildInvoiceRecord()
+ */
+function getEditorInvoice() {
+    var client = getClient(currentClientId);
+    var dates = getInvoiceDates();
+    var baseCurrency = getBaseCurrency();
+    var currency = document.getElementById('currency').value;
+
+    return {
+        issuer: getIssuerSnapshot(),
+        clientName: document.getElementById('clientName').value,
+        fiscalField: document.getElementById('fiscalField').value,
+        clientId: client ? client.id : null,
+        clientDetails: client ? { address: client.address, email: client.email, paymentTerms: client.paymentTerms } : null,
+        language: document.getElementById('documentLanguage').value,
+        documentType: creditTarget ? 'credit-note' : 'invoice',
+        creditFor: creditTarget,
+        issueDate: dates.issueDate,
+        paymentTerms: dates.paymentTerms,
+        baseCurrency: baseCurrency,
+        currency: currency,
+        // The pinned rate of a regenerated invoice wins over the registry
+        exchangeRate: currency && currency !== baseCurrency ? getRateSnapshot(baseCurrency, currency) : null,
+        items: items,
+        discount: invoiceDiscount,
+        charges: charges
+    };
+}
+
+/**
+ * Calculate the editor invoice's totals, including subtotal, discounts,
+ * charges, per-rate tax breakdown, and the reference currency total
+ * @returns {Object} Calculation results with all financial data
+ */
+function calculateTotals() {
+    return computeTotals(getEditorInvoice(), getCalculationSettings());
+}
+
+/* DISPLAY UPDATE FUNCTIONS */
+
+/**
+ * Read the issue date and payment terms from the header and derive the due date.
+ * Credit notes are not payable, so they carry no terms or due date.
+ * @returns {Object} { issueDate, paymentTerms, dueDate }
+ */
+function getInvoiceDates() {
+    var issueDate = document.getElementById('issueDate').value || getTodayISO();
+    if (creditTarget) {
+        return { issueDate: issueDate, paymentTerms: null, dueDate: null };
+    }
+    var terms = parseInt(document.getElementById('paymentTerms').value, 10);
+    terms = terms > 0 ? terms : 0;
+    return { issueDate: issueDate, paymentTerms: terms, dueDate: addDays(issueDate, terms) };
+}
+
+/**
+ * Collect the data sealed into the current invoice's block
+ * @param {Object} totals - Result of calculateTotals()
+ * @returns {Object} Invoice data for sealChainedBlock()
+ */
+function buildInvoiceData(totals) {
+    var dates = getInvoiceDates();
+    return {
+        invoiceNumber: peekDocumentNumber(creditTarget ? 'credit-note' : 'invoice', dates.issueDate).number,
+        clientName: document.getElementById('clientName').value || 'General Client',
+        total: totals.total,
+        issuer: getIssuerSnapshot(),
+        baseCurrency: getBaseCurrency(),
+        items: items,
+        discount: invoiceDiscount,
+        charges: charges,
+        issueDate: dates.issueDate,
+        dueDate: dates.dueDate,
+        documentType: creditTarget ? 'credit-note' : 'invoice',
+        creditFor: creditTarget
+    };
+}
+
+/**
+ * Update the invoice display including items table and totals
+ */
+function updateDisplay() {
+    autosaveDraft();
+    renderDocumentNumber();
+    var tbody = document.getElementById('itemsTable');
+    tbody.innerHTML = '';
+    renderCharges();
+
+    // Show empty state if no items
+    if (items.length === 0) {
+        document.getElementById('itemsCard').style.display = 'none';
+        document.getElementById('summaryCard').style.display = 'none';
+        document.getElementById('emptyState').style.display = 'block';
+        document.getElementById('qrSection').style.display = 'none';
+        return;
+    }
+
+    // Show items and summary cards
+    document.getElementById('itemsCard').style.display = 'block';
+    document.getElementById('summaryCard').style.display = 'block';
+    document.getElementById('emptyState').style.display = 'none';
+
+    // Render items in table
+    var baseCurrency = getBaseCurrency();
+    items.forEach(function(item) {
+        var row = tbody.insertRow();
+        row.innerHTML = 
+            '<td>' + escapeHtml(item.sku || '—') + '</td>' +
+            '<td>' + escapeHtml(item.name) + (item.description ? '<br><small>' + escapeHtml(item.description) + '</small>' : '') + '</td>' +
+            '<td style="text-align: center;">' + formatQuantity(item, uiLanguage) + '</td>' +
+            '<td style="text-align: right;">' + formatMoney(item.price, baseCurrency, true) + '</td>' +
+            '<td style="text-align: right;">' + (item.discount ? formatDiscount(item.discount, baseCurrency) : '—') + '</td>' +
+            '<td>' + describeItemTaxes(item) + '</td>' +
+            '<td style="text-align: right; font-weight: 600;">' + formatMoney(calculateLineAmount(item, baseCurrency), baseCurrency) + '</td>' +
+            '<td style="text-align: center;">' +
+                '<button class="btn-delete-item" onclick="removeItem(' + item.id + ')" title="' + t('Delete item') + '">' +
+                    '<svg class="icon-delete-x" width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">' +
+                        '<path d="M12 4L4 12M4 4L12 12" stroke="#e74c3c" stroke-width="2" stroke-linecap="round"/>' +
+                    '</svg>' +
+                '</button>' +
+            '</td>';
+    });
+
+    // Update totals display
+    var totals = calculateTotals();
+    document.getElementById('subtotalAmount').textContent = formatMoney(totals.subtotal, baseCurrency);
+    document.getElementById('adjustmentRows').innerHTML = (invoiceDiscount ?
+        '<div class="summary-row">' +
+            '<span>' + t('Discount ({discount}):', { discount: formatDiscount(invoiceDiscount, baseCurrency) }) + '</span>' +
+            '<span>' + formatMoney(-totals.discount, baseCurrency) + '</span>' +
+        '</div>' : '') +
+        charges.map(function(charge) {
+            return '<div class="summary-row">' +
+                '<span>' + escapeHtml(charge.name) + ':</span>' +
+                '<span>' + formatMoney(charge.amount, baseCurrency) + '</span>' +
+            '</div>';
+        }).join('');
+    document.getElementById('taxBreakdown').innerHTML = totals.taxes.map(function(tax) {
+        return '<div class="summary-row">' +
+            '<span>' + t('{tax} on {base}:', { tax: escapeHtml(formatTaxLabel(tax, uiLanguage)), base: formatMoney(tax.taxableBase, baseCurrency) }) + '</span>' +
+            '<span>' + formatMoney(tax.amount, baseCurrency) + '</span>' +
+        '</div>';
+    }).join('');
+    document.getElementById('totalAmount').textContent = formatMoney(totals.total, baseCurrency);
+    document.getElementById('referenceTotal').style.display = totals.currency ? 'flex' : 'none';
+    if (totals.currency) {
+        document.getElementById('selectedCurrency').textContent = totals.currency;
+        document.getElementById('convertedAmount').textContent = 
+            formatMoney(totals.convertedTotal, totals.currency);
+    }
+    renderExchangeInfo(totals);
+
+    // Generate blockchain verification
+    sealChainedBlock(buildInvoiceData(totals)).then(function(blockData) {
+        document.getElementById('hashDisplay').textContent = blockData.hash;
+        
+        // Generate QR Code
+        renderQRCode(document.getElementById('qrcode'), buildQRPayload(blockData));
+        
+        document.getElementById('qrSection').style.display = 'block';
+    });
+}
+
+/* DRAFT FUNCTIONS */
+
+/**
+ * Persist the drafts list and which draft is open in the editor
+ */
+function saveDrafts() {
+    appStorage.setItem('drafts', JSON.stringify(drafts));
+    appStorage.setItem('currentDraftId', currentDraftId || '');
+}
+
+/**
+ * Find a draft by id
+ * @param {string} id - Draft id
+ * @returns {Object|undefined} Draft
+ */
+function getDraft(id) {
+    return drafts.filter(function(draft) {
+        return draft.id === id;
+    })[0];
+}
+
+/**
+ * Snapshot the editor: header fields, lines, adjustments and credit note target
+ * @returns {Object} Draft contents
+ */
+function captureDraft() {
+    return {
+        clientName: document.getElementById('clientName').value,
+        fiscalField: document.getElementById('fiscalField').value,
+        clientId: currentClientId,
+        language: document.getElementById('documentLanguage').value,
+        baseCurrency: getBaseCurrency(),
+        currency: document.getElementById('currency').value,
+        issueDate: document.getElementById('issueDate').value,
+        paymentTerms: document.getElementById('paymentTerms').value,
+        items: JSON.parse(JSON.stringify(items)),
+        charges: JSON.parse(JSON.stringify(charges)),
+        discount: invoiceDiscount,
+        creditTarget: creditTarget,
+        pinnedRate: pinnedRate
+    };
+}
+
+/**
+ * Save the editor into the open draft. A new draft starts once the
+ * editor has its first line or charge.
+ */
+function autosaveDraft() {
+    if (restoringDraft) return;
+    var draft = getDraft(currentDraftId);
+    if (!draft) {
+        if (items.length === 0 && charges.length === 0) return;
+        draft = { id: 'draft-' + Date.now() };
+        drafts.unshift(draft);
+        currentDraftId = draft.id;
+    }
+    Object.assign(draft, captureDraft(), { updated: new Date().toISOString() });
+    saveDrafts();
+    renderDraftCount();
+}
+
+/**
+ * Load a draft into the editor and make it the open draft
+ * @param {Object} draft - Draft to restore
+ */
+function restoreDraft(draft) {
+    // Intermediate redraws must not autosave a half-restored editor
+    restoringDraft = true;
+    items = JSON.parse(JSON.stringify(draft.items));
+    charges = JSON.parse(JSON.stringify(draft.charges));
+    invoiceDiscount = draft.discount;
+    creditTarget = draft.creditTarget;
+    pinnedRate = draft.pinnedRate;
+
+    populateCurrencySelect();
+    document.getElementById('currency').value =
+        draft.currency && (pinnedRate || currencies[draft.currency]) ? draft.currency : '';
+    setBaseCurrency(currencies[draft.baseCurrency] ? draft.baseCurrency : getBaseCurrency());
+    document.getElementById('invoiceDiscountValue').value = invoiceDiscount ? invoiceDiscount.value : '';
+    document.getElementById('invoiceDiscountType').value = invoiceDiscount ? invoiceDiscount.type : 'percent';
+
+    document.getElementById('clientName').value = draft.clientName;
+    document.getElementById('fiscalField').value = draft.fiscalField;
+    currentClientId = getClient(draft.clientId) ? draft.clientId : null;
+    renderClientInfo();
+    // Drafts saved before document languages were added print in English
+    document.getElementById('documentLanguage').value = LANGUAGES[draft.language] ? draft.language : 'en';
+    document.getElementById('issueDate').value = draft.issueDate || getTodayISO();
+    document.getElementById('paymentTerms').value = draft.paymentTerms;
+    renderDocumentMode();
+    renderDueDateHint();
+    restoringDraft = false;
+
+    currentDraftId = draft.id;
+    saveDrafts();
+    updateDisplay();
+}
+
+/**
+ * Empty the editor for a new invoice. The issued-invoice counter is not touched.
+ */
+function clearEditor() {
+    currentDraftId = null;
+    items = [];
+    pinnedRate = null;
+    creditTarget = null;
+    resetAdjustments();
+    document.getElementById('clientName').value = '';
+    document.getElementById('fiscalField').value = '';
+    currentClientId = null;
+    renderClientInfo();
+    document.getElementById('documentLanguage').value = uiLanguage;
+    resetInvoiceDates();
+    renderDocumentMode();
+    saveDrafts();
+    updateDisplay();
+}
+
+/**
+ * Drop the open draft once it has been issued
+ */
+function discardCurrentDraft() {
+    drafts = drafts.filter(function(draft) {
+        return draft.id !== currentDraftId;
+    });
+    currentDraftId = null;
+    saveDrafts();
+    renderDraftCount();
+}
+
+/**
+ * Show the number of saved drafts on the Drafts button
+ */
+function renderDraftCount() {
+    document.getElementById('draftCount').textContent = drafts.length;
+}
+
+/**
+ * Render the drafts table, marking the draft open in the editor
+ */
+function renderDraftList() {
+    var list = document.getElementById('draftList');
+    if (drafts.length === 0) {
+        list.innerHTML = '<tr><td colspan="5" style="text-align: center;"><em>' + t('No drafts yet') + '</em></td></tr>';
+        return;
+    }
+    list.innerHTML = drafts.map(function(draft) {
+        var subtotal = draft.items.reduce(function(sum, item) {
+            return decimalAdd(sum, toDecimal(calculateLineAmount(item, draft.baseCurrency)));
+        }, toDecimal(0));
+        var isOpen = draft.id === currentDraftId;
+        return '<tr>' +
+            '<td>' + (draft.creditTarget ? t('Credit note for #{number}', { number: escapeHtml(draft.creditTarget.invoiceNumber) }) + ' · ' : '') +
+                escapeHtml(draft.clientName || t('General Client')) + (isOpen ? ' <em>' + t('(open)') + '</em>' : '') + '</td>' +
+            '<td style="text-align: center;">' + draft.items.length + '</td>' +
+            '<td style="text-align: right;">' + formatMoney(decimalToNumber(subtotal), draft.baseCurrency) + '</td>' +
+            '<td>' + new Date(draft.updated).toLocaleString(getLanguageLocale(uiLanguage)) + '</td>' +
+            '<td class="history-actions">' +
+                (isOpen ? '' : '<button class="btn btn-primary btn-small" onclick="openDraft(\'' + draft.id + '\')">' + t('Open') + '</button>') +
+                '<button class="btn btn-danger btn-small" onclick="deleteDraft(\'' + draft.id + '\')">' + t('Delete') + '</button>' +
+            '</td>' +
+        '</tr>';
+    }).join('');
+}
+
+/**
+ * Switch the editor to another draft; the open one is already autosaved
+ * @param {string} id - Draft id
+ */
+function openDraft(id) {
+    var draft = getDraft(id);
+    if (!draft) return;
+    restoreDraft(draft);
+    closeDrafts();
+}
+
+/**
+ * Put the open draft aside and start a blank invoice
+ */
+function newDraft() {
+    clearEditor();
+    closeDrafts();
+}
+
+/**
+ * Delete a draft, clearing the editor if it was open
+ * @param {string} id - Draft id
+ */
+function deleteDraft(id) {
+    if (!confirm(t('Delete this draft?'))) return;
+    drafts = drafts.filter(function(draft) {
+        return draft.id !== id;
+    });
+    if (id === currentDraftId) {
+        clearEditor();
+    }
+    saveDrafts();
+    renderDraftCount();
+    renderDraftList();
+}
+
+/**
+ * Show drafts modal
+ */
+function showDrafts() {
+    renderDraftList();
+    document.getElementById('draftModal').style.display = 'block';
+}
+
+/**
+ * Close drafts modal
+ */
+function closeDrafts() {
+    document.getElementById('draftModal').style.display = 'none';
+}
+
+/* PDF GENERATION FUNCTIONS */
+
+// Shown instead of a PDF when the bundled jsPDF library failed to load
+var PDF_UNAVAILABLE_MESSAGE = 'PDF generation is unavailable: lib/jspdf.umd.min.js did not load. ' +
+    'Keep the lib folder next to NanoHash_Invoice.html and reload the page.';
+
+/**
+ * Check whether jsPDF loaded, telling the user when it did not
+ * @returns {boolean} True if PDFs can be drawn
+ */
+function checkPdfAvailable() {
+    if (window.jspdf && window.jspdf.jsPDF) return true;
+    alert(t(PDF_UNAVAILABLE_MESSAGE));
+    return false;
+}
+
+/**
+ * Seal the current invoice into a fresh block and generate its PDF. The record
+ * is taken from the editor once, before any waiting, and that same record is
+ * sealed, signed and stored, so later edits cannot change what was hashed.
+ * @returns {Promise} Resolves once the invoice is issued or the error is shown
+ */
+function generatePDF() {
+    // A click while the previous invoice is still being sealed would link to the same block
+    if (issuing) return Promise.resolve();
+
+    // Check before sealing so no number is used up for a PDF that cannot be drawn
+    if (!checkPdfAvailable()) return Promise.resolve();
+
+    var record = buildEditorRecord();
+    var assigned = peekDocumentNumber(record.documentType, record.issueDate);
+    record = Object.assign({
+        invoiceNumber: assigned.number,
+        series: assigned.series,
+        period: assigned.period,
+        sequence: assigned.sequence
+    }, record);
+
+    // Reserve the number before waiting on anything, so nothing else can be given it meanwhile
+    commitDocumentNumber(assigned);
+    issuing = true;
+    return requireHistory().then(function() {
+        var problem = record.creditFor ? checkCreditNote(record) : null;
+        if (problem) {
+            releaseDocumentNumber(assigned);
+            alert(problem);
+            return;
+        }
+        return sealChainedBlock(record).then(signBlock).then(function(blockData) {
+            createInvoicePDF(record, blockData);
+        });
+    }).catch(function(error) {
+        releaseDocumentNumber(assigned);
+        alert(t('Could not issue invoice: {error}', { error: error.message }));
+    }).then(function() {
+        issuing = false;
+    });
+}
+
+/**
+ * Fill the PDF layout and page size selects and select the saved options
+ */
+function populatePdfSettings() {
+    var templateSelect = document.getElementById('pdfTemplate');
+    templateSelect.innerHTML = Object.keys(PDF_TEMPLATES).map(function(key) {
+        return '<option value="' + key + '">' + t(PDF_TEMPLATES[key].label) + '</option>';
+    }).join('');
+    templateSelect.value = pdfSettings.template;
+
+    var sizeSelect = document.getElementById('pdfPageSize');
+    sizeSelect.innerHTML = Object.keys(PDF_PAGE_SIZES).map(function(key) {
+        return '<option value="' + key + '">' + t(PDF_PAGE_SIZES[key]) + '</option>';
+    }).join('');
+    sizeSelect.value = pdfSettings.pageSize;
+}
+
+/**
+ * Save the PDF layout and page size chosen in the summary card
+ */
+function updatePdfSettings() {
+    pdfSettings = {
+        template: document.getElementById('pdfTemplate').value,
+        pageSize: document.getElementById('pdfPageSize').value
+    };
+    appStorage.setItem('pdfSettings', JSON.stringify(pdfSettings));
+}
+
+/**
+ * Draw an invoice or credit note PDF from its history record with the
+ * current PDF options, branding and a QR code of its verification payload
+ * @param {Object} record - Invoice history record
+ * @returns {Object} jsPDF document with the record embedded in its metadata
+ */
+function renderInvoicePDF(record) {
+    var qrContainer = document.createElement('div');
+    renderQRCode(qrContainer, buildQRPayload({
+        data: { invoiceNumber: record.invoiceNumber },
+        timestamp: record.timestamp,
+        hash: record.hash,
+        keyFingerprint: record.keyFingerprint,
+        signature: record.signature
+    }));
+    var qrCanvas = qrContainer.querySelector('canvas');
+
+    return drawInvoicePDF(record, {
+        jsPDF: window.jspdf.jsPDF,
+        settings: getCalculationSettings(),
+        pdf: pdfSettings,
+        branding: issuerProfile,
+        qrImage: qrCanvas ? qrCanvas.toDataURL('image/png') : null
+    });
+}
+
+/**
+ * Build the PDF file name of a history record
+ * @param {Object} record - Invoice history record
+ * @returns {string} File name
+ */
+function getPdfFileName(record) {
+    return 'NanoHash_' + getDocumentLabel(record).replace(' ', '_') + '_' + record.invoiceNumber + '_' + Date.now() + '.pdf';
+}
+
+/**
+ * Collect the document in the editor as a history record, without the
+ * number and the block fields it only gets when issued
+ * @returns {Object} Record fields
+ */
+function buildEditorRecord() {
+    return buildInvoiceRecord(getEditorInvoice(), getCalculationSettings());
+}
+
+/**
+ * Record the issued invoice in history and download its PDF
+ * @param {Object} record - Record fields the block was sealed from
+ * @param {Object} blockData - Sealed block returned by generateBlockchainData()
+ */
+function createInvoicePDF(record, blockData) {
+    // Never store a second document under a number that is already issued
+    if (isNumberIssued(record.invoiceNumber)) {
+        throw new Error(t('Number {number} is already issued', { number: record.invoiceNumber }));
+    }
+    Object.assign(record, {
+        hash: blockData.hash,
+        timestamp: blockData.timestamp,
+        index: blockData.data.index,
+        previousHash: blockData.data.previousHash,
+        keyFingerprint: blockData.keyFingerprint,
+        signature: blockData.signature
+    });
+
+    var doc = renderInvoicePDF(record);
+
+    // Save to history
+    saveToHistory(record);
+
+    // Save PDF
+    doc.save(getPdfFileName(record));
+    
+    // Clear items, adjustments, dates and any rate pinned for a credit note
+    discardCurrentDraft();
+    items = [];
+    pinnedRate = null;
+    creditTarget = null;
+    resetAdjustments();
+    resetInvoiceDates();
+    renderDocumentMode();
+    updateDisplay();
+}
+
+/* HISTORY FUNCTIONS */
+
+// History entries added to the history modal by each "Show more"
+var HISTORY_PAGE_SIZE = 50;
+
+// Fields of history rows with an IndexedDB index (see toHistoryRow)
+var HISTORY_INDEXES = ['invoiceNumber', 'clientName', 'issueDate', 'status', 'currency'];
+
+/**
+ * Build the IndexedDB row of a history entry. Rows are keyed by their position
+ * in the chain, oldest first, and carry the fields history is indexed by.
+ * Document rows also keep their state, so the history list can be read a page
+ * at a time without the payments and credit notes that decide it. Events are
+ * only indexed by their type, so the number index lists issued numbers only.
+ * @param {Object} entry - History entry
+ * @param {number} position - Position of the entry in the chain
+ * @returns {Object} Row { position, invoiceNumber, clientName, issueDate, currency, status, state, record }
+ */
+function toHistoryRow(entry, position) {
+    var row = {
+        position: position,
+        record: entry
+    };
+    if (isChainEvent(entry)) {
+        row.status = entry.type;
+    } else {
+        var state = getInvoiceState(entry);
+        row.invoiceNumber = String(entry.invoiceNumber);
+        // Lower case, so the client index sorts without regard to case
+        row.clientName = String(entry.clientName).toLowerCase();
+        row.issueDate = getRecordIssueDate(entry);
+        row.currency = getRecordCurrency(entry);
+        row.status = state.status;
+        row.state = state;
+    }
+    return row;
+}
+
+/**
+ * Encrypt a history row under the app lock's key. Encrypted rows keep only
+ * their position and the salt of the key, so client names and totals cannot
+ * be read from the database.
+ * @param {Object} row - Result of toHistoryRow()
+ * @param {Object|null} lock - Key to seal with, { key, salt }, or null for a plain row
+ * @returns {Promise<Object>} Row to store
+ */
+function sealHistoryRow(row, lock) {
+    if (!lock) return Promise.resolve(row);
+    return sealValue(lock.key, row.record).then(function(sealed) {
+        return { position: row.position, salt: lock.salt, sealed: sealed };
+    });
+}
+
+/**
+ * Write history entries to IndexedDB in one transaction
+ * @param {Array<Object>} entries - Entries of invoiceHistory to store
+ * @param {boolean} [replace] - Clear the stored history first
+ * @param {Object|null} [lock] - Key to seal rows with (see sealHistoryRow), the current one when omitted
+ * @returns {Promise} Resolves once the transaction completes
+ */
+function putHistoryEntries(entries, replace, lock) {
+    if (lock === undefined) {
+        lock = getHistoryLock();
+    }
+    // Rows are encrypted first: the transaction would commit while waiting on Web Crypto
+    return Promise.all(entries.map(function(entry) {
+        return sealHistoryRow(toHistoryRow(entry, invoiceHistory.length - 1 - invoiceHistory.indexOf(entry)), lock);
+    })).then(function(rows) {
+        return openDatabase().then(function(db) {
+            return new Promise(function(resolve, reject) {
+                var transaction = db.transaction('invoiceHistory', 'readwrite');
+                var store = transaction.objectStore('invoiceHistory');
+                if (replace) {
+                    store.clear();
+                }
+                rows.forEach(function(row) {
+                    store.put(row);
+                });
+                transaction.oncomplete = function() { resolve(); };
+                transaction.onerror = function() { reject(transaction.error); };
+            });
+        });
+    });
+}
+
+/**
+ * Load the whole invoice history from IndexedDB, decrypting rows stored under
+ * the app lock. The first time, the list earlier versions kept in localStorage
+ * is moved over and the old key removed. Rows written before they carried
+ * their indexed fields and state are rebuilt.
+ * Use requireHistory(), which loads it only once.
+ * @returns {Promise} Resolves once invoiceHistory is loaded
+ */
+function loadHistory() {
+    var outdated = false;
+    return storeRequest('invoiceHistory', 'readonly', function(store) {
+        return store.getAll();
+    }).then(function(rows) {
+        return Promise.all(rows.map(function(row) {
+            if (row.sealed) {
+                return openSealedValue(lockKey, row.sealed);
+            }
+            outdated = outdated || row.status === undefined;
+            return row.record;
+        }));
+    }).then(function(records) {
+        var saved = appStorage.getItem('invoiceHistory');
+        historyReferences = null;
+        if (records.length > 0 || !saved) {
+            invoiceHistory = records.reverse();
+            saved = null;
+        } else {
+            invoiceHistory = JSON.parse(saved);
+        }
+        collectIssuedNumbers();
+        if (!saved && !outdated) {
+            appStorage.removeItem('invoiceHistory');
+            return;
+        }
+        return queueStorage(function() {
+            return putHistoryEntries(invoiceHistory, true);
+        }).then(function() {
+            appStorage.removeItem('invoiceHistory');
+        });
+    });
+}
+
+/**
+ * Load the whole invoice history the first time a feature needs it: the chain
+ * audit, numbering and credit checks, reports, backups and the details of a
+ * document. The history list reads its pages without it (see readHistoryRows).
+ * @returns {Promise} Resolves once invoiceHistory is loaded
+ */
+function requireHistory() {
+    if (!historyLoading) {
+        historyLoading = loadHistory().catch(function(error) {
+            // Let the next use try again
+            historyLoading = null;
+            throw error;
+        });
+    }
+    return historyLoading;
+}
+
+/**
+ * Note the number of every document in history as issued
+ */
+function collectIssuedNumbers() {
+    issuedNumbers = {};
+    invoiceHistory.forEach(function(entry) {
+        if (!isChainEvent(entry)) {
+            issuedNumbers[String(entry.invoiceNumber)] = true;
+        }
+    });
+}
+
+/**
+ * Load the numbers of the documents in history at start, from the number index
+ * alone. Under the app lock rows carry no indexed fields, and rows that still
+ * need rebuilding are missing from the indexes, so then the whole history is
+ * loaded instead.
+ * @returns {Promise} Resolves once issuedNumbers is filled
+ */
+function loadIssuedNumbers() {
+    if (getHistoryLock() || appStorage.getItem('invoiceHistory')) {
+        return requireHistory();
+    }
+    return openDatabase().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var store = db.transaction('invoiceHistory', 'readonly').objectStore('invoiceHistory');
+            var rows = store.count();
+            var indexed = store.index('status').count();
+            indexed.onsuccess = function() { resolve(indexed.result === rows.result); };
+            indexed.onerror = function() { reject(indexed.error); };
+        });
+    }).then(function(current) {
+        if (!current) {
+            return requireHistory();
+        }
+        return readHistoryKeys('invoiceNumber').then(function(numbers) {
+            issuedNumbers = {};
+            numbers.forEach(function(number) {
+                issuedNumbers[number] = true;
+            });
+        });
+    });
+}
+
+/**
+ * Read history rows in the order of a query, keeping the ones accepted, up to
+ * a limit. Plain rows are read through an IndexedDB cursor, so no more are read
+ * than the page needs. Rows under the app lock are encrypted and carry no
+ * indexed fields, so they are built from the history decrypted in memory.
+ * @param {Object} query - { index, range, direction }: index null for chain
+ *   order, range an IDBKeyRange of the index or null, direction 'next' or 'prev'
+ * @param {Function} accept - Receives a row, returns true to keep it
+ * @param {number|null} limit - Rows to keep at most, null for all
+ * @returns {Promise<Array<Object>>} Rows, as built by toHistoryRow()
+ */
+function readHistoryRows(query, accept, limit) {
+    if (getHistoryLock()) {
+        return requireHistory().then(function() {
+            var rows = invoiceHistory.map(function(entry, index) {
+                return toHistoryRow(entry, invoiceHistory.length - 1 - index);
+            }).filter(function(row) {
+                var key = query.index ? row[query.index] : row.position;
+                return key !== undefined && (!query.range || query.range.includes(key)) && accept(row);
+            });
+            rows.sort(function(a, b) {
+                return (query.index ? indexedDB.cmp(a[query.index], b[query.index]) : 0) || a.position - b.position;
+            });
+            if (query.direction === 'prev') {
+                rows.reverse();
+            }
+            return limit === null ? rows : rows.slice(0, limit);
+        });
+    }
+    // Rows being rebuilt by loadHistory() are read once they are done
+    return (historyLoading || Promise.resolve()).then(openDatabase).then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var store = db.transaction('invoiceHistory', 'readonly').objectStore('invoiceHistory');
+            var request = (query.index ? store.index(query.index) : store).openCursor(query.range, query.direction);
+            var rows = [];
+            request.onsuccess = function() {
+                var cursor = request.result;
+                if (!cursor || rows.length === limit) {
+                    resolve(rows);
+                    return;
+                }
+                if (accept(cursor.value)) {
+                    rows.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = function() { reject(request.error); };
+        });
+    });
+}
+
+/**
+ * Read the distinct values of an indexed history field, in index order
+ * @param {string} index - Name in HISTORY_INDEXES
+ * @returns {Promise<Array<string>>} Values
+ */
+function readHistoryKeys(index) {
+    if (getHistoryLock()) {
+        return readHistoryRows({ index: index, range: null, direction: 'next' }, function() {
+            return true;
+        }, null).then(function(rows) {
+            return rows.map(function(row) {
+                return row[index];
+            }).filter(function(key, position, keys) {
+                return position === 0 || indexedDB.cmp(key, keys[position - 1]) !== 0;
+            });
+        });
+    }
+    return openDatabase().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var request = db.transaction('invoiceHistory', 'readonly').objectStore('invoiceHistory')
+                .index(index).openKeyCursor(null, 'nextunique');
+            var keys = [];
+            request.onsuccess = function() {
+                var cursor = request.result;
+                if (!cursor) {
+                    resolve(keys);
+                    return;
+                }
+                keys.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = function() { reject(request.error); };
+        });
+    });
+}
+
+/**
+ * Get the hash of the record a history entry refers to: the invoice a
+ * payment, void or tombstone is about, or the invoice a credit note credits
+ * @param {Object} entry - History entry
+ * @returns {string|null} Referenced hash
+ */
+function getReferencedHash(entry) {
+    if (isChainEvent(entry)) {
+        return entry.invoiceHash || entry.deletedHash || null;
+    }
+    return isCreditNote(entry) ? entry.creditFor.hash : null;
+}
+
+/**
+ * Find the history entries that refer to a record
+ * @param {string} hash - Hash of the record
+ * @returns {Array<Object>} Referring entries, newest first
+ */
+function getHistoryReferences(hash) {
+    if (!historyReferences) {
+        historyReferences = {};
+        invoiceHistory.forEach(function(entry) {
+            var target = getReferencedHash(entry);
+            if (target) {
+                (historyReferences[target] = historyReferences[target] || []).push(entry);
+            }
+        });
+    }
+    return (hash && historyReferences[hash]) || [];
+}
+
+/**
+ * Save a block (invoice, credit note or event) to history and advance the chain head.
+ * The records whose state it changes are stored again so their indexed status
+ * stays current: the record it refers to and, for a credit note, the invoice it
+ * credits. Needs the whole history loaded (see requireHistory).
+ * @param {Object} invoiceData - Invoice data to save
+ */
+function saveToHistory(invoiceData) {
+    invoiceHistory.unshift(invoiceData);
+    historyReferences = null;
+    if (invoiceData.previousHash !== undefined) {
+        chainHead = { index: invoiceData.index, hash: invoiceData.hash };
+        appStorage.setItem('chainHead', JSON.stringify(chainHead));
+    }
+    if (!isChainEvent(invoiceData)) {
+        issuedNumbers[String(invoiceData.invoiceNumber)] = true;
+    }
+
+    var entries = [invoiceData];
+    var referencedHash = getReferencedHash(invoiceData);
+    while (referencedHash) {
+        var referenced = invoiceHistory.filter(function(entry) {
+            return !isChainEvent(entry) && entry.hash === referencedHash;
+        })[0];
+        if (!referenced) break;
+        entries.push(referenced);
+        referencedHash = getReferencedHash(referenced);
+    }
+    // Queued behind lock changes, so the rows are sealed with the key history is under
+    queueStorage(function() {
+        return putHistoryEntries(entries);
+    }).catch(function(error) {
+        alert(t('Could not save to invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Describe a lifecycle event block for the history list
+ * @param {Object} entry - Event history entry
+ * @returns {string} HTML
+ */
+function describeChainEvent(entry) {
+    var date = new Date(entry.timestamp).toLocaleDateString(getLanguageLocale(uiLanguage));
+    if (isTombstone(entry)) {
+        return t('Invoice #{number} deleted on {date}', { number: escapeHtml(entry.invoiceNumber), date: date });
+    }
+    if (entry.type === 'payment') {
+        return t('Payment of {amount} for invoice #{number} received on {date}', {
+            amount: formatMoney(entry.amount, entry.currency),
+            number: escapeHtml(entry.invoiceNumber),
+            date: formatDate(entry.date, uiLanguage)
+        }) + (entry.reference ? ' (' + escapeHtml(entry.reference) + ')' : '');
+    }
+    return t('Invoice #{number} voided on {date}', { number: escapeHtml(entry.invoiceNumber), date: date });
+}
+
+/**
+ * Show invoice history modal, filtered by the selected criteria
+ * @returns {Promise} Resolves once the first page is listed
+ */
+function showHistory() {
+    historyLimit = HISTORY_PAGE_SIZE;
+    document.getElementById('chainAuditResult').innerHTML = '';
+    document.getElementById('historyModal').style.display = 'block';
+    return Promise.all([renderHistorySummary(), populateHistoryCurrencies()]).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    }).then(renderHistoryList);
+}
+
+/**
+ * Relist history from the first page after a search or filter changes
+ * @returns {Promise} Resolves once the page is listed
+ */
+function filterHistory() {
+    historyLimit = HISTORY_PAGE_SIZE;
+    return renderHistoryList();
+}
+
+/**
+ * Reset the history search, filters and sort order
+ * @returns {Promise} Resolves once the page is listed
+ */
+function clearHistoryFilters() {
+    ['historySearch', 'historyStatusFilter', 'historyFrom', 'historyTo', 'historyCurrency',
+        'historyMinTotal', 'historyMaxTotal'].forEach(function(id) {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('historySort').value = 'newest';
+    return filterHistory();
+}
+
+/**
+ * Fill the history currency filter with the currencies used in history
+ * @returns {Promise} Resolves once the options are listed
+ */
+function populateHistoryCurrencies() {
+    return readHistoryKeys('currency').then(function(codes) {
+        var select = document.getElementById('historyCurrency');
+        var selected = select.value;
+        select.innerHTML = '<option value="">' + t('All currencies') + '</option>' + codes.map(function(code) {
+            return '<option value="' + escapeHtml(code) + '">' + escapeHtml(code) + '</option>';
+        }).join('');
+        select.value = codes.indexOf(selected) === -1 ? '' : selected;
+    });
+}
+
+/**
+ * Read the history search, filters and sort order from the toolbar
+ * @returns {Object} Criteria { search, status, from, to, currency, min, max, sort }
+ */
+function getHistoryCriteria() {
+    var min = parseFloat(document.getElementById('historyMinTotal').value);
+    var max = parseFloat(document.getElementById('historyMaxTotal').value);
+    return {
+        search: document.getElementById('historySearch').value.trim().toLowerCase(),
+        status: document.getElementById('historyStatusFilter').value,
+        from: document.getElementById('historyFrom').value,
+        to: document.getElementById('historyTo').value,
+        currency: document.getElementById('historyCurrency').value,
+        min: isNaN(min) ? null : min,
+        max: isNaN(max) ? null : max,
+        sort: document.getElementById('historySort').value
+    };
+}
+
+/**
+ * Check whether a record matches the search text: client, fiscal field,
+ * document number, item name, SKU or description, or a hash prefix
+ * @param {Object} invoice - Invoice history record
+ * @param {string} search - Lower-case search text
+ * @returns {boolean} True if the record matches
+ */
+function matchesHistorySearch(invoice, search) {
+    if (!search) return true;
+    if (invoice.hash && invoice.hash.indexOf(search) === 0) return true;
+    var fields = [invoice.invoiceNumber, invoice.clientName, invoice.fiscalField];
+    (invoice.items || []).forEach(function(item) {
+        fields.push(item.name, item.sku, item.description);
+    });
+    return fields.some(function(field) {
+        return field !== undefined && field !== null && String(field).toLowerCase().indexOf(search) !== -1;
+    });
+}
+
+/**
+ * Check whether a record matches the history criteria
+ * @param {Object} invoice - Invoice history record
+ * @param {Object} state - Result of getInvoiceState()
+ * @param {Object} criteria - Result of getHistoryCriteria()
+ * @returns {boolean} True if the record should be listed
+ */
+function matchesHistoryCriteria(invoice, state, criteria) {
+    var issueDate = getRecordIssueDate(invoice);
+    var total = Number(invoice.total);
+    return matchesStatusFilter(invoice, state, criteria.status) &&
+        matchesHistorySearch(invoice, criteria.search) &&
+        (!criteria.from || issueDate >= criteria.from) &&
+        (!criteria.to || issueDate <= criteria.to) &&
+        (!criteria.currency || getRecordCurrency(invoice) === criteria.currency) &&
+        (criteria.min === null || total >= criteria.min) &&
+        (criteria.max === null || total <= criteria.max);
+}
+
+// Orderings of the history list that no index gives, read in full and sorted.
+// Each compares two { invoice, position, state } matches; ties keep chain order,
+// newest first
+var HISTORY_SORTS = {
+    'total-desc': function(a, b) { return Number(b.invoice.total) - Number(a.invoice.total); },
+    'total-asc': function(a, b) { return Number(a.invoice.total) - Number(b.invoice.total); },
+    due: function(a, b) {
+        // Documents without a due date go last
+        var aDue = a.state.dueDate || '9999-12-31';
+        var bDue = b.state.dueDate || '9999-12-31';
+        return aDue < bDue ? -1 : aDue > bDue ? 1 : 0;
+    }
+};
+
+/**
+ * Check whether the history criteria filter anything out
+ * @param {Object} criteria - Result of getHistoryCriteria()
+ * @returns {boolean} True if a search or filter is set
+ */
+function isHistoryFiltered(criteria) {
+    return !!(criteria.search || criteria.status || criteria.from || criteria.to || criteria.currency) ||
+        criteria.min !== null || criteria.max !== null;
+}
+
+/**
+ * Choose how history rows are read for the criteria: through the index giving
+ * the selected order, else through one narrowing them down (status, then issue
+ * date), else in chain order. The other criteria are checked on each row.
+ * @param {Object} criteria - Result of getHistoryCriteria()
+ * @returns {Object} Query for readHistoryRows(), with sort set to a HISTORY_SORTS comparator for orders no index gives
+ */
+function planHistoryQuery(criteria) {
+    var direction = criteria.sort === 'oldest' ? 'next' : 'prev';
+    if (criteria.sort === 'number' || criteria.sort === 'client') {
+        return { index: criteria.sort === 'number' ? 'invoiceNumber' : 'clientName', range: null, direction: 'next' };
+    }
+    if (HISTORY_SORTS[criteria.sort]) {
+        return { index: null, range: null, direction: 'prev', sort: HISTORY_SORTS[criteria.sort] };
+    }
+    if (INVOICE_STATUSES[criteria.status]) {
+        return { index: 'status', range: IDBKeyRange.only(criteria.status), direction: direction };
+    }
+    // An inverted range matches nothing, which the row check finds without the index
+    if ((criteria.from || criteria.to) && !(criteria.from && criteria.to && criteria.from > criteria.to)) {
+        return {
+            index: 'issueDate',
+            range: !criteria.to ? IDBKeyRange.lowerBound(criteria.from) :
+                !criteria.from ? IDBKeyRange.upperBound(criteria.to) : IDBKeyRange.bound(criteria.from, criteria.to),
+            direction: direction
+        };
+    }
+    return { index: null, range: null, direction: direction };
+}
+
+/**
+ * Find the history entries matching the history criteria, in the selected order.
+ * Event blocks are only listed in the unfiltered chain view.
+ * @param {Object} criteria - Result of getHistoryCriteria()
+ * @param {number|null} limit - Entries to find at most, null for all
+ * @returns {Promise<Array<Object>>} Matches { invoice, position, state }, state null for events
+ */
+function findHistoryMatches(criteria, limit) {
+    var chainView = criteria.sort === 'newest' && !isHistoryFiltered(criteria);
+    var query = planHistoryQuery(criteria);
+    return readHistoryRows(query, function(row) {
+        if (isChainEvent(row.record)) return chainView;
+        return matchesHistoryCriteria(row.record, getRowState(row), criteria);
+    }, query.sort ? null : limit).then(function(rows) {
+        var matches = rows.map(function(row) {
+            return { invoice: row.record, position: row.position, state: isChainEvent(row.record) ? null : getRowState(row) };
+        });
+        if (query.sort) {
+            matches.sort(function(a, b) {
+                return query.sort(a, b) || b.position - a.position;
+            });
+        }
+        return limit === null ? matches : matches.slice(0, limit);
+    });
+}
+
+/**
+ * List the next page of history entries
+ * @returns {Promise} Resolves once the page is listed
+ */
+function showMoreHistory() {
+    historyLimit += HISTORY_PAGE_SIZE;
+    return renderHistoryList();
+}
+
+/**
+ * Render the history entries matching the search and filters, up to historyLimit.
+ * One more is read to tell whether there is a next page.
+ * @returns {Promise} Resolves once the entries are listed or the error is shown
+ */
+function renderHistoryList() {
+    var listing = ++historyListing;
+    var criteria = getHistoryCriteria();
+    return findHistoryMatches(criteria, historyLimit + 1).then(function(matches) {
+        var historyList = document.getElementById('historyList');
+        // A later listing was started while this one was reading
+        if (listing !== historyListing) return;
+
+        if (matches.length === 0 && !isHistoryFiltered(criteria)) {
+            historyList.innerHTML = '<div class="empty-history">' +
+                '<div class="icon">$</div>' +
+                '<h3 style="margin-bottom: 10px;">' + t('No invoices in history') + '</h3>' +
+                '<p>' + t('Generated invoices will appear here') + '</p>' +
+            '</div>';
+            return;
+        }
+        if (matches.length === 0) {
+            historyList.innerHTML = '<div class="empty-history">' +
+                '<h3 style="margin-bottom: 10px;">' + t('No matching documents') + '</h3>' +
+                '<p>' + t('No invoice in history matches the search and filters') + '</p>' +
+            '</div>';
+            return;
+        }
+
+        historyList.innerHTML = matches.slice(0, historyLimit).map(formatHistoryEntry).join('') +
+            (matches.length > historyLimit ?
+                '<div class="history-more">' +
+                    '<span>' + tn('Showing the first {count} entry', 'Showing the first {count} entries', historyLimit) + '</span>' +
+                    '<button class="btn btn-secondary btn-small" onclick="showMoreHistory()">' + t('Show more') + '</button>' +
+                '</div>' : '');
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Run an action on an entry of the history list once the whole history is
+ * loaded, as the details, payments and voids all need it
+ * @param {number} position - Position of the entry in the chain, oldest first
+ * @param {Function} action - Receives the index of the entry in invoiceHistory
+ * @returns {Promise} Resolves once the action ran
+ */
+function openHistoryEntry(position, action) {
+    return requireHistory().then(function() {
+        action(invoiceHistory.length - 1 - position);
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Format one history entry for the history list
+ * @param {Object} match - Entry found by findHistoryMatches()
+ * @returns {string} HTML
+ */
+function formatHistoryEntry(match) {
+    var invoice = match.invoice;
+    var state = match.state;
+    if (isChainEvent(invoice)) {
+        var eventLabels = { tombstone: '✝ ' + t('Tombstone'), payment: '✓ ' + t('Payment'), void: '✗ ' + t('Void') };
+        return '<div class="history-item history-item-tombstone">' +
+            '<div class="history-item-details">' +
+                '<strong>' + t('Block #{index}:', { index: escapeHtml(invoice.index) }) + '</strong> ' + describeChainEvent(invoice) +
+            '</div>' +
+            '<div class="history-item-hash">' + eventLabels[invoice.type] + ': ' + invoice.hash.substring(0, 32) + '...</div>' +
+        '</div>';
+    }
+
+    return '<div class="history-item' + (state.status === 'void' ? ' history-item-void' : '') + '">' +
+        '<div class="history-item-header">' +
+            '<div class="history-item-title">' + getDocumentLabel(invoice, uiLanguage) + ' #' + escapeHtml(invoice.invoiceNumber) +
+                (invoice.index !== undefined ? ' <span class="block-index">' + t('Block #{index}', { index: invoice.index }) + '</span>' : '') +
+                formatStatusBadges(invoice, state) +
+            '</div>' +
+            '<div class="history-actions">' +
+                '<button class="btn btn-primary btn-small" onclick="openHistoryEntry(' + match.position + ', viewInvoiceDetails)">' +
+                    t('View Details') + '</button>' +
+                (canVoidInvoice(invoice, state) ? '<button class="btn btn-danger btn-small" onclick="openHistoryEntry(' + match.position +
+                    ', voidInvoice)">' + t('Void') + '</button>' : '') +
+            '</div>' +
+        '</div>' +
+        '<div class="history-item-details">' +
+            '<strong>' + t('Client:') + '</strong> ' + formatRecordClient(invoice) + '<br>' +
+            (isCreditNote(invoice) ? '<strong>' + t('Credits:') + '</strong> ' +
+                t('Invoice #{number}', { number: escapeHtml(invoice.creditFor.invoiceNumber) }) + '<br>' : '') +
+            '<strong>' + t('Date:') + '</strong> ' + formatDate(getRecordIssueDate(invoice), uiLanguage) + '<br>' +
+            (state.dueDate ? '<strong>' + t('Due:') + '</strong> ' + formatDate(state.dueDate, uiLanguage) + '<br>' : '') +
+            '<strong>' + t('Total:') + '</strong> ' + formatRecordTotal(invoice) +
+            (state.outstanding > 0 ?
+                '<div class="history-balance' + (state.overdue ? ' history-balance-overdue' : '') + '">' +
+                    t('Balance due: {amount}', { amount: formatMoney(state.outstanding, getRecordCurrency(invoice)) }) + '</div>' : '') +
+        '</div>' +
+        '<div class="history-item-hash">' +
+            '✓ ' + t('Hash:') + ' ' + (invoice.hash ? invoice.hash.substring(0, 32) + '...' : 'N/A') +
+        '</div>' +
+    '</div>';
+}
+
+// Columns of the history CSV exports: one row per document, or one per line item
+var HISTORY_CSV_COLUMNS = ['number', 'type', 'status', 'issue_date', 'due_date', 'client', 'fiscal_field', 'currency',
+    'subtotal', 'discount', 'tax', 'total', 'paid', 'credited', 'outstanding', 'reference_currency', 'reference_total',
+    'credits_invoice', 'hash'];
+var HISTORY_ITEM_CSV_COLUMNS = ['number', 'type', 'issue_date', 'client', 'currency', 'sku', 'item', 'description',
+    'quantity', 'unit', 'unit_price', 'discount', 'amount'];
+
+/**
+ * Download the documents matching the history search and filters as CSV
+ * @param {string} mode - 'invoices' for one row per document, 'items' for one row per line item
+ * @returns {Promise} Resolves once the download starts or the problem is shown
+ */
+function exportHistoryCSV(mode) {
+    return findHistoryMatches(getHistoryCriteria(), null).then(function(matches) {
+        writeHistoryCSV(mode, matches.filter(function(match) {
+            return match.state !== null;
+        }));
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Download history documents as CSV
+ * @param {string} mode - 'invoices' for one row per document, 'items' for one row per line item
+ * @param {Array<Object>} matches - Documents found by findHistoryMatches()
+ */
+function writeHistoryCSV(mode, matches) {
+    if (matches.length === 0) {
+        alert(t('No documents in history match the search and filters'));
+        return;
+    }
+
+    var rows;
+    if (mode === 'items') {
+        rows = [HISTORY_ITEM_CSV_COLUMNS];
+        matches.forEach(function(match) {
+            var invoice = match.invoice;
+            var currency = getRecordCurrency(invoice);
+            invoice.items.forEach(function(item) {
+                rows.push([invoice.invoiceNumber, getDocumentLabel(invoice), getRecordIssueDate(invoice), invoice.clientName, currency,
+                    item.sku, item.name, item.description, item.quantity, item.unit, item.price,
+                    item.discount ? formatDiscount(item.discount, currency) : '', calculateLineAmount(item, currency)]);
+            });
+        });
+    } else {
+        rows = [HISTORY_CSV_COLUMNS].concat(matches.map(function(match) {
+            var invoice = match.invoice;
+            var state = match.state;
+            var reference = invoice.currency && invoice.currency !== getRecordCurrency(invoice);
+            return [invoice.invoiceNumber, getDocumentLabel(invoice), INVOICE_STATUSES[state.status] + (state.overdue ? ' (overdue)' : ''),
+                getRecordIssueDate(invoice), state.dueDate, invoice.clientName, invoice.fiscalField, getRecordCurrency(invoice),
+                invoice.subtotal, invoice.discountAmount || 0, invoice.tax, invoice.total, state.paid, state.credited, state.outstanding,
+                reference ? invoice.currency : '', reference ? invoice.convertedTotal : '',
+                invoice.creditFor ? invoice.creditFor.invoiceNumber : '', invoice.hash];
+        }));
+    }
+
+    downloadFile('nanohash_' + (mode === 'items' ? 'invoice_items' : 'invoices') + '_' + getTodayISO() + '.csv',
+        rows.map(toCSVRow).join('\r\n') + '\r\n', 'text/csv');
+}
+
+/**
+ * Close history modal
+ */
+function closeHistory() {
+    document.getElementById('historyModal').style.display = 'none';
+}
+
+/**
+ * Format a record's total with its reference currency conversion, if any
+ * @param {Object} invoice - Invoice history record
+ * @returns {string} e.g. "€120.00 (BOB 901.30)"
+ */
+function formatRecordTotal(invoice) {
+    var text = formatMoney(invoice.total, getRecordCurrency(invoice));
+    if (invoice.currency && invoice.currency !== getRecordCurrency(invoice)) {
+        text += ' (' + formatMoney(invoice.convertedTotal, invoice.currency) + ')';
+    }
+    return text;
+}
+
+/**
+ * View detailed invoice information
+ * @param {number} index - Index of invoice in history
+ */
+function viewInvoiceDetails(index) {
+    // The details replace the list, so a listing still reading must not draw over them
+    historyListing++;
+    var invoice = invoiceHistory[index];
+    var currency = getRecordCurrency(invoice);
+    var state = getInvoiceState(invoice);
+    var itemsList = invoice.items.map(function(item, i) {
+        return '<div style="display: flex; justify-content: space-between; padding: 5px 0; border-bottom: 1px solid #eee;">' +
+            '<span>' + (i + 1) + '. ' + (item.sku ? '[' + escapeHtml(item.sku) + '] ' : '') + escapeHtml(item.name) + '</span>' +
+            '<span>' + formatQuantity(item, uiLanguage) + ' x ' + formatMoney(item.price, currency, true) +
+                (item.discount ? ' ' + formatDiscount(item.discount, currency) : '') + ' = ' + formatMoney(calculateLineAmount(item, currency), currency) +
+                ' <small>(' + escapeHtml(describeItemTaxes(item)) + ')</small></span>' +
+        '</div>';
+    }).join('');
+
+    var original = isCreditNote(invoice) ? findHistoryInvoice(invoice.creditFor.invoiceNumber, invoice.creditFor.hash) : null;
+    var activity = getInvoiceEvents(invoice, 'payment').map(function(payment) {
+        return '<div>' +
+            '<span>' + t('Payment received {date}', { date: formatDate(payment.date, uiLanguage) }) + (payment.reference ? ' · ' + escapeHtml(payment.reference) : '') + '</span>' +
+            '<span>' + formatMoney(payment.amount, currency) + '</span>' +
+        '</div>';
+    }).concat(getCreditNotes(invoice).map(function(note) {
+        return '<div>' +
+            '<span><a href="#" onclick="viewInvoiceDetails(' + invoiceHistory.indexOf(note) + '); return false;">' +
+                getDocumentLabel(note, uiLanguage) + ' #' + escapeHtml(note.invoiceNumber) + '</a> · ' + formatDate(getRecordIssueDate(note), uiLanguage) + '</span>' +
+            '<span>' + formatMoney(-note.total, currency) + '</span>' +
+        '</div>';
+    })).join('');
+
+    var detailsHtml = '<div class="history-item" style="text-align: left;">' +
+        '<div class="history-item-header">' +
+            '<div class="history-item-title">' + getDocumentLabel(invoice, uiLanguage) + ' #' + escapeHtml(invoice.invoiceNumber) + formatStatusBadges(invoice, state) + '</div>' +
+        '</div>' +
+        '<div class="history-item-details">' +
+            '<strong>' + t('Client:') + '</strong> ' + formatRecordClient(invoice) + '<br>' +
+            (original ? '<strong>' + t('Credits:') + '</strong> <a href="#" onclick="viewInvoiceDetails(' + invoiceHistory.indexOf(original) + '); return false;">' +
+                t('Invoice #{number}', { number: escapeHtml(original.invoiceNumber) }) + '</a><br>' : '') +
+            (invoice.fiscalField ? '<strong>' + t('Fiscal Field:') + '</strong> ' + escapeHtml(invoice.fiscalField) + '<br>' : '') +
+            (invoice.clientDetails && invoice.clientDetails.address ? '<strong>' + t('Address:') + '</strong> ' + escapeHtml(invoice.clientDetails.address) + '<br>' : '') +
+            (invoice.clientDetails && invoice.clientDetails.email ? '<strong>' + t('Email:') + '</strong> ' + escapeHtml(invoice.clientDetails.email) + '<br>' : '') +
+            '<strong>' + t('Date:') + '</strong> ' + formatDate(getRecordIssueDate(invoice), uiLanguage) + '<br>' +
+            '<strong>' + t('Document Language:') + '</strong> ' + (LANGUAGES[invoice.language] || LANGUAGES.en).name + '<br>' +
+            (state.dueDate ? '<strong>' + t('Payment Terms:') + '</strong> ' +
+                formatPaymentTerms(invoice.paymentTerms !== undefined ? invoice.paymentTerms : invoice.clientDetails.paymentTerms, uiLanguage) + '<br>' +
+                '<strong>' + t('Due Date:') + '</strong> ' + formatDate(state.dueDate, uiLanguage) + '<br>' : '') +
+            (invoice.discount ? '<strong>' + t('Discount ({discount}):', { discount: formatDiscount(invoice.discount, currency) }) + '</strong> ' +
+                formatMoney(-invoice.discountAmount, currency) + '<br>' : '') +
+            (invoice.charges || []).map(function(charge) {
+                return '<strong>' + escapeHtml(charge.name) + ':</strong> ' + formatMoney(charge.amount, currency) + '<br>';
+            }).join('') +
+            (invoice.taxes ? invoice.taxes.map(function(tax) {
+                return '<strong>' + escapeHtml(formatTaxLabel(tax, uiLanguage)) + ':</strong> ' +
+                    t('{amount} on {base}', { amount: formatMoney(tax.amount, currency), base: formatMoney(tax.taxableBase, currency) }) + '<br>';
+            }).join('') : '') +
+            '<strong>' + t('Total:') + '</strong> ' + formatRecordTotal(invoice) +
+            (state.paid ? '<br><strong>' + t('Paid:') + '</strong> ' + formatMoney(state.paid, currency) : '') +
+            (state.credited ? '<br><strong>' + t('Credited:') + '</strong> ' + formatMoney(state.credited, currency) : '') +
+            (isCreditNote(invoice) || state.status === 'void' ? '' :
+                '<div class="history-balance' + (state.overdue ? ' history-balance-overdue' : '') + '">' +
+                    t('Balance due: {amount}', { amount: formatMoney(state.outstanding, currency) }) +
+                    (state.overdue ? ' ' + t('(overdue)') : '') + '</div>') +
+        '</div>' +
+        (activity ? '<div class="payment-list"><strong>' + t('Payments and credits:') + '</strong>' + activity + '</div>' : '') +
+        (state.outstanding > 0 ?
+            '<div class="form-grid settings-add">' +
+                '<div class="form-group">' +
+                    '<label for="paymentAmount">' + t('Payment Amount ({currency})', { currency: currency }) + '</label>' +
+                    '<input type="number" id="paymentAmount" min="0" step="any" value="' + state.outstanding + '">' +
+                '</div>' +
+                '<div class="form-group">' +
+                    '<label for="paymentDate">' + t('Payment Date') + '</label>' +
+                    '<input type="date" id="paymentDate" value="' + getTodayISO() + '">' +
+                '</div>' +
+                '<div class="form-group">' +
+                    '<label for="paymentReference">' + t('Reference (Optional)') + '</label>' +
+                    '<input type="text" id="paymentReference" placeholder="' + t('Transfer or receipt number') + '">' +
+                '</div>' +
+            '</div>' +
+            '<span class="error-msg" id="paymentError"></span>' +
+            '<div class="form-actions">' +
+                '<button class="btn btn-success btn-small" onclick="recordPayment(' + index + ')">' + t('Record Payment') + '</button>' +
+            '</div>' : '') +
+        '<div style="margin: 15px 0;">' +
+            '<strong>' + t('Items:') + '</strong>' +
+            '<div style="margin-top: 10px;">' + itemsList + '</div>' +
+        '</div>' +
+        '<div class="history-item-hash">' +
+            '✓ ' + t('SHA-256 Hash:') + '<br>' + (invoice.hash || 'N/A') +
+        '</div>' +
+        (invoice.signature ?
+            '<div class="history-item-hash history-item-signature">' +
+                '✓ ' + t('ECDSA Signature · Key {fingerprint}:', { fingerprint: formatFingerprint(invoice.keyFingerprint) }) + '<br>' + invoice.signature +
+            '</div>' : '') +
+        '<div class="history-actions" style="margin-top: 15px;">' +
+            '<button class="btn btn-primary btn-small" onclick="regenerateInvoice(' + index + ')">' + t('Regenerate PDF') + '</button>' +
+            '<button class="btn btn-primary btn-small" onclick="exportInvoiceRecord(' + index + ')">' + t('Export Record') + '</button>' +
+            '<button class="btn btn-primary btn-small" onclick="exportInvoiceUBL(' + index + ')">' + t('Export UBL') + '</button>' +
+            (state.creditable > 0 ? '<button class="btn btn-primary btn-small" onclick="startCreditNote(' + index + ')">' + t('Issue Credit Note') + '</button>' : '') +
+            (canVoidInvoice(invoice, state) ? '<button class="btn btn-danger btn-small" onclick="voidInvoice(' + index + ')">' + t('Void') + '</button>' : '') +
+        '</div>' +
+    '</div>';
+
+    document.getElementById('historyList').innerHTML = detailsHtml;
+}
+
+/**
+ * Regenerate the PDF of an issued invoice from its history record. The record
+ * is drawn as issued, so no new block is sealed and no number is used up.
+ * @param {number} index - Index of invoice in history
+ */
+function regenerateInvoice(index) {
+    var invoice = invoiceHistory[index];
+    if (!currencies[getRecordCurrency(invoice)]) {
+        alert(t('Add {currency} back to the currency list to regenerate this invoice', { currency: getRecordCurrency(invoice) }));
+        return;
+    }
+    if (!checkPdfAvailable()) return;
+    renderInvoicePDF(invoice).save(getPdfFileName(invoice));
+}
+
+/**
+ * Load a history record's lines, adjustments, currencies and client into the editor
+ * @param {Object} invoice - Invoice history record
+ */
+function loadRecordIntoEditor(invoice) {
+    // The record opens as a new draft rather than replacing the open one
+    currentDraftId = null;
+    items = JSON.parse(JSON.stringify(invoice.items));
+    charges = JSON.parse(JSON.stringify(invoice.charges || []));
+    invoiceDiscount = invoice.discount || null;
+
+    // Bill in the invoice's currency and convert at the rate frozen on it;
+    // older records use the current rate
+    pinnedRate = invoice.exchangeRate || null;
+    populateCurrencySelect();
+    document.getElementById('currency').value =
+        invoice.currency && (pinnedRate || currencies[invoice.currency]) ? invoice.currency : '';
+    setBaseCurrency(getRecordCurrency(invoice));
+
+    document.getElementById('invoiceDiscountValue').value = invoiceDiscount ? invoiceDiscount.value : '';
+    document.getElementById('invoiceDiscountType').value = invoiceDiscount ? invoiceDiscount.type : 'percent';
+    
+    document.getElementById('clientName').value = invoice.clientName;
+    document.getElementById('fiscalField').value = invoice.fiscalField || '';
+    currentClientId = getClient(invoice.clientId) ? invoice.clientId : null;
+    renderClientInfo();
+    document.getElementById('documentLanguage').value = LANGUAGES[invoice.language] ? invoice.language : 'en';
+}
+
+/* INVOICE LIFECYCLE FUNCTIONS */
+
+// Display labels for invoice statuses. Drafts are invoices still being edited;
+// every other status is derived from the chain: payments, credit notes and voids.
+var INVOICE_STATUSES = {
+    draft: 'Draft',
+    issued: 'Issued',
+    'partially-paid': 'Partially Paid',
+    paid: 'Paid',
+    credited: 'Credited',
+    void: 'Void'
+};
+
+/**
+ * Find the event blocks of a type that reference a record
+ * @param {Object} record - Invoice history record
+ * @param {string} type - 'payment' or 'void'
+ * @returns {Array<Object>} Event entries, newest first
+ */
+function getInvoiceEvents(record, type) {
+    return getHistoryReferences(record.hash).filter(function(entry) {
+        return entry.type === type;
+    });
+}
+
+/**
+ * Check whether a record was voided, or deleted by a legacy tombstone
+ * @param {Object} record - Invoice history record
+ * @returns {boolean} True if the record no longer counts
+ */
+function isVoided(record) {
+    return getInvoiceEvents(record, 'void').length > 0 || !!findTombstone(record);
+}
+
+/**
+ * Find the credit notes issued against an invoice, ignoring voided ones
+ * @param {Object} invoice - Invoice history record
+ * @returns {Array<Object>} Credit note records
+ */
+function getCreditNotes(invoice) {
+    return getHistoryReferences(invoice.hash).filter(function(entry) {
+        return !isChainEvent(entry) && isCreditNote(entry) && !isVoided(entry);
+    });
+}
+
+/**
+ * Check whether a document with a balance is past its due date
+ * @param {string} status - Status from getInvoiceState()
+ * @param {string|null} dueDate - ISO due date, null for none
+ * @returns {boolean} True if overdue today
+ */
+function isOverdue(status, dueDate) {
+    return (status === 'issued' || status === 'partially-paid') && !!dueDate && dueDate < getTodayISO();
+}
+
+/**
+ * Derive an invoice's status and balance from the payments, credit notes,
+ * voids and tombstones recorded in the chain
+ * @param {Object} invoice - Invoice history record
+ * @returns {Object} State { status, overdue, deleted, dueDate, paid, credited, outstanding, creditable }
+ */
+function getInvoiceState(invoice) {
+    var zero = toDecimal(0);
+    var creditNote = isCreditNote(invoice);
+    var voided = isVoided(invoice);
+    var paid = getInvoiceEvents(invoice, 'payment').reduce(function(sum, payment) {
+        return decimalAdd(sum, toDecimal(payment.amount));
+    }, zero);
+    var credited = getCreditNotes(invoice).reduce(function(sum, note) {
+        return decimalAdd(sum, toDecimal(note.total));
+    }, zero);
+    var creditable = decimalSubtract(toDecimal(invoice.total), credited);
+    var outstanding = decimalSubtract(creditable, paid);
+    if (voided || creditNote || compareDecimals(outstanding, zero) < 0) {
+        outstanding = zero;
+    }
+    if (voided || creditNote || compareDecimals(creditable, zero) < 0) {
+        creditable = zero;
+    }
+
+    var status;
+    if (voided) {
+        status = 'void';
+    } else if (creditNote) {
+        status = 'issued';
+    } else if (compareDecimals(outstanding, zero) === 0) {
+        status = compareDecimals(paid, zero) === 0 && compareDecimals(credited, zero) > 0 ? 'credited' : 'paid';
+    } else {
+        status = compareDecimals(paid, zero) > 0 ? 'partially-paid' : 'issued';
+    }
+
+    var dueDate = creditNote ? null : getInvoiceDueDate(invoice);
+    return {
+        status: status,
+        overdue: isOverdue(status, dueDate),
+        deleted: !!findTombstone(invoice),
+        dueDate: dueDate,
+        paid: decimalToNumber(paid),
+        credited: decimalToNumber(credited),
+        outstanding: decimalToNumber(outstanding),
+        creditable: decimalToNumber(creditable)
+    };
+}
+
+/**
+ * Get the state stored with a history row, with whether it is overdue worked
+ * out again, as that changes with the date
+ * @param {Object} row - Document row built by toHistoryRow()
+ * @returns {Object} State, as returned by getInvoiceState()
+ */
+function getRowState(row) {
+    return Object.assign({}, row.state, { overdue: isOverdue(row.state.status, row.state.dueDate) });
+}
+
+/**
+ * Check whether a history record matches the history status filter
+ * @param {Object} invoice - Invoice history record
+ * @param {Object} state - Result of getInvoiceState()
+ * @param {string} filter - Filter value, empty for all
+ * @returns {boolean} True if the record should be listed
+ */
+function matchesStatusFilter(invoice, state, filter) {
+    if (!filter) return true;
+    if (filter === 'credit-note') return isCreditNote(invoice);
+    if (filter === 'outstanding') return state.outstanding > 0;
+    if (filter === 'overdue') return state.overdue;
+    return state.status === filter;
+}
+
+/**
+ * Build the status badges of a history record
+ * @param {Object} invoice - Invoice history record
+ * @param {Object} state - Result of getInvoiceState()
+ * @returns {string} HTML
+ */
+function formatStatusBadges(invoice, state) {
+    if (state.deleted) {
+        return ' <span class="deleted-badge">' + t('Deleted') + '</span>';
+    }
+    return (isCreditNote(invoice) ? ' <span class="status-badge status-credit-note">' + t('Credit Note') + '</span>' : '') +
+        ' <span class="status-badge status-' + state.status + '">' + t(INVOICE_STATUSES[state.status]) + '</span>' +
+        (state.overdue ? ' <span class="status-badge status-overdue">' + t('Overdue') + '</span>' : '');
+}
+
+/**
+ * Check whether a record can be voided: invoices with payments or credit
+ * notes must be settled with a credit note instead
+ * @param {Object} invoice - Invoice history record
+ * @param {Object} state - Result of getInvoiceState()
+ * @returns {boolean} True if voiding is allowed
+ */
+function canVoidInvoice(invoice, state) {
+    return state.status !== 'void' && state.paid === 0 && state.credited === 0;
+}
+
+/**
+ * Void an invoice or credit note by appending a void block.
+ * The record stays in the chain so its history remains verifiable.
+ * @param {number} index - Index of the record in history
+ */
+function voidInvoice(index) {
+    var invoice = invoiceHistory[index];
+    if (!canVoidInvoice(invoice, getInvoiceState(invoice))) {
+        alert(t('Invoice #{number} has payments or credit notes; issue a credit note instead', { number: invoice.invoiceNumber }));
+        return;
+    }
+    if (confirm(t(isCreditNote(invoice) ? 'Void credit note #{number}? It stays in history marked as void.' :
+        'Void invoice #{number}? It stays in history marked as void.', { number: invoice.invoiceNumber }))) {
+        appendChainEvent({
+            type: 'void',
+            invoiceNumber: invoice.invoiceNumber,
+            invoiceHash: invoice.hash
+        }).then(showHistory);
+    }
+}
+
+/**
+ * Record a payment against an invoice from the details view
+ * @param {number} index - Index of invoice in history
+ */
+function recordPayment(index) {
+    var invoice = invoiceHistory[index];
+    var currency = getRecordCurrency(invoice);
+    var state = getInvoiceState(invoice);
+    var error = document.getElementById('paymentError');
+    var date = document.getElementById('paymentDate').value;
+    var amount;
+
+    try {
+        amount = roundMoney(toDecimal(document.getElementById('paymentAmount').value.trim() || '0'), currency);
+    } catch (e) {
+        amount = toDecimal(0);
+    }
+    if (compareDecimals(amount, toDecimal(0)) <= 0) {
+        error.textContent = t('Enter a payment amount greater than zero');
+        return;
+    }
+    if (compareDecimals(amount, toDecimal(state.outstanding)) > 0) {
+        error.textContent = t('The payment exceeds the balance due of {amount}', { amount: formatMoney(state.outstanding, currency) });
+        return;
+    }
+    if (!date) {
+        error.textContent = t('Enter the payment date');
+        return;
+    }
+
+    appendChainEvent({
+        type: 'payment',
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceHash: invoice.hash,
+        amount: decimalToNumber(amount),
+        currency: currency,
+        date: date,
+        reference: document.getElementById('paymentReference').value.trim()
+    }).then(function() {
+        viewInvoiceDetails(invoiceHistory.indexOf(invoice));
+    });
+}
+
+/**
+ * Show the outstanding balance per currency and the overdue count above the history list.
+ * Only open invoices have a balance, so only those are read, through the status index.
+ * @returns {Promise} Resolves once the summary is shown
+ */
+function renderHistorySummary() {
+    return Promise.all(['issued', 'partially-paid'].map(function(status) {
+        return readHistoryRows({ index: 'status', range: IDBKeyRange.only(status), direction: 'next' }, function(row) {
+            return !isChainEvent(row.record) && !isCreditNote(row.record);
+        }, null);
+    })).then(function(results) {
+        var outstanding = {};
+        var overdue = 0;
+        results[0].concat(results[1]).forEach(function(row) {
+            var state = getRowState(row);
+            if (state.outstanding > 0) {
+                outstanding[row.currency] = decimalAdd(outstanding[row.currency] || toDecimal(0), toDecimal(state.outstanding));
+            }
+            if (state.overdue) overdue++;
+        });
+
+        var currencyCodes = Object.keys(outstanding).sort();
+        document.getElementById('historySummary').innerHTML = currencyCodes.length === 0 ?
+            t('No outstanding balances') :
+            '<strong>' + t('Outstanding:') + '</strong> ' + currencyCodes.map(function(currency) {
+                return formatMoney(decimalToNumber(outstanding[currency]), currency);
+            }).join(' + ') + (overdue ? ' · <strong>' + tn('{count} overdue', '{count} overdue', overdue) + '</strong>' : '');
+    });
+}
+
+/**
+ * Reset the header dates for a new invoice: issued today, due on receipt
+ */
+function resetInvoiceDates() {
+    document.getElementById('issueDate').value = getTodayISO();
+    document.getElementById('paymentTerms').value = '';
+    renderDueDateHint();
+}
+
+/**
+ * Show the due date derived from the issue date and payment terms
+ */
+function renderDueDateHint() {
+    var dates = getInvoiceDates();
+    document.getElementById('dueDateHint').textContent = dates.dueDate ?
+        t('{terms} · due {date}', { terms: formatPaymentTerms(dates.paymentTerms, uiLanguage), date: formatDate(dates.dueDate, uiLanguage) }) : '';
+}
+
+/**
+ * Update the header for the document being prepared: an invoice, or a
+ * credit note against an issued invoice
+ */
+function renderDocumentMode() {
+    var info = document.getElementById('creditNoteInfo');
+    document.getElementById('documentLabel').textContent = t(creditTarget ? 'Credit Note' : 'Invoice');
+    document.getElementById('paymentTermsGroup').style.display = creditTarget ? 'none' : '';
+    if (!creditTarget) {
+        info.style.display = 'none';
+        info.innerHTML = '';
+        return;
+    }
+    info.style.display = 'block';
+    info.innerHTML = t('<strong>Credit note</strong> for invoice #{number}. Remove or adjust lines to credit part of the invoice.',
+        { number: escapeHtml(creditTarget.invoiceNumber) }) +
+        ' <a href="#" onclick="cancelCreditNote(); return false;">' + t('Cancel credit note') + '</a>';
+    renderDueDateHint();
+}
+
+/**
+ * Check a credit note before it is issued: the original invoice must still be
+ * open, in the same currency, and not credited beyond its total
+ * @param {Object} invoiceData - Result of buildInvoiceData()
+ * @returns {string|null} Problem description, or null if it can be issued
+ */
+function checkCreditNote(invoiceData) {
+    var target = invoiceData.creditFor;
+    var original = findHistoryInvoice(target.invoiceNumber, target.hash);
+    if (!original || original.hash !== target.hash || isVoided(original)) {
+        return t('Invoice #{number} is no longer in history or was voided', { number: target.invoiceNumber });
+    }
+    var currency = getRecordCurrency(original);
+    if (invoiceData.baseCurrency !== currency) {
+        return t('A credit note must be in the currency of the invoice it credits ({currency})', { currency: currency });
+    }
+
+    var creditable = toDecimal(getInvoiceState(original).creditable);
+    if (compareDecimals(toDecimal(invoiceData.total), creditable) > 0) {
+        return t('The credit note exceeds the {amount} that can still be credited on invoice #{number}', {
+            amount: formatMoney(decimalToNumber(creditable), currency),
+            number: original.invoiceNumber
+        });
+    }
+    return null;
+}
+
+/**
+ * Start a credit note against an issued invoice, prefilled with its lines
+ * @param {number} index - Index of invoice in history
+ */
+function startCreditNote(index) {
+    var invoice = invoiceHistory[index];
+    if (!currencies[getRecordCurrency(invoice)]) {
+        alert(t('Add {currency} back to the currency list to credit this invoice', { currency: getRecordCurrency(invoice) }));
+        return;
+    }
+    loadRecordIntoEditor(invoice);
+    creditTarget = { invoiceNumber: invoice.invoiceNumber, hash: invoice.hash };
+    document.getElementById('issueDate').value = getTodayISO();
+    renderDocumentMode();
+    updateDisplay();
+    closeHistory();
+}
+
+/**
+ * Turn the credit note being prepared back into a regular invoice
+ */
+function cancelCreditNote() {
+    creditTarget = null;
+    pinnedRate = null;
+    populateCurrencySelect();
+    renderDocumentMode();
+    renderDueDateHint();
+    updateDisplay();
+}
+
+/* NUMBERING FUNCTIONS */
+
+/**
+ * Persist the numbering series and their counters
+ */
+function saveNumberingSeries() {
+    appStorage.setItem('numberingSeries', JSON.stringify(numberingSeries));
+}
+
+/**
+ * Get the numbering series key of a document
+ * @param {Object} record - Invoice history record or invoice data
+ * @returns {string} 'invoice' or 'credit-note'
+ */
+function getSeriesType(record) {
+    return isCreditNote(record) ? 'credit-note' : 'invoice';
+}
+
+/**
+ * Get the counter period a document falls in: its year for yearly series
+ * @param {Object} series - Numbering series
+ * @param {string} issueDate - ISO calendar date
+ * @returns {string} Period key, empty when the series never resets
+ */
+function getNumberingPeriod(series, issueDate) {
+    return series.reset === 'yearly' ? issueDate.substring(0, 4) : '';
+}
+
+/**
+ * Expand a number format, e.g. INV-{YYYY}-{0000} with 7 on 2026-03-01 gives INV-2026-0007
+ * @param {string} format - Format with {YYYY}, {YY}, {MM} and a {0...} counter
+ * @param {number} sequence - Counter value
+ * @param {string} issueDate - ISO calendar date
+ * @returns {string} Document number
+ */
+function formatDocumentNumber(format, sequence, issueDate) {
+    return format
+        .replace(/\{YYYY\}/g, issueDate.substring(0, 4))
+        .replace(/\{YY\}/g, issueDate.substring(2, 4))
+        .replace(/\{MM\}/g, issueDate.substring(5, 7))
+        .replace(/\{(0+)\}/g, function(token, zeros) {
+            return String(sequence).padStart(zeros.length, '0');
+        });
+}
+
+/**
+ * Check a number format: one counter token, only known tokens, and a year
+ * token when the counter restarts every year
+ * @param {string} format - Number format
+ * @param {string} reset - 'never' or 'yearly'
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateNumberFormat(format, reset) {
+    var tokens = format.match(/\{[^}]*\}/g) || [];
+    var unknown = tokens.filter(function(token) {
+        return !/^\{(YYYY|YY|MM|0+)\}$/.test(token);
+    });
+    if (unknown.length) {
+        return t('Unknown token {token}; use {YYYY}, {YY}, {MM} and a counter such as {0000}', { token: unknown[0] });
+    }
+    if (tokens.filter(function(token) { return /^\{0+\}$/.test(token); }).length !== 1) {
+        return t('The format needs exactly one counter token such as {0000}');
+    }
+    if (reset === 'yearly' && !/\{YYYY\}|\{YY\}/.test(format)) {
+        return t('A series that restarts every year needs {YYYY} or {YY} in its format');
+    }
+    return null;
+}
+
+/**
+ * Check whether a number was already given to a document in history
+ * @param {string} number - Document number
+ * @returns {boolean} True if taken
+ */
+function isNumberIssued(number) {
+    return issuedNumbers[String(number)] === true;
+}
+
+/**
+ * Work out the number the next document of a series will get. Numbers already
+ * in history are skipped, so an issued number is never handed out again.
+ * @param {string} type - 'invoice' or 'credit-note'
+ * @param {string} issueDate - ISO calendar date
+ * @returns {Object} { number, series, period, sequence }
+ */
+function peekDocumentNumber(type, issueDate) {
+    var series = numberingSeries[type];
+    var period = getNumberingPeriod(series, issueDate);
+    var sequence = series.next[period] || 1;
+    var number = formatDocumentNumber(series.format, sequence, issueDate);
+    while (isNumberIssued(number)) {
+        sequence++;
+        number = formatDocumentNumber(series.format, sequence, issueDate);
+    }
+    return { number: number, series: type, period: period, sequence: sequence };
+}
+
+/**
+ * Advance a series past a number that is being issued
+ * @param {Object} assigned - Result of peekDocumentNumber()
+ */
+function commitDocumentNumber(assigned) {
+    numberingSeries[assigned.series].next[assigned.period] = assigned.sequence + 1;
+    saveNumberingSeries();
+}
+
+/**
+ * Give back a number reserved for a document that could not be issued,
+ * unless the series has moved on since
+ * @param {Object} assigned - Result of peekDocumentNumber()
+ */
+function releaseDocumentNumber(assigned) {
+    var next = numberingSeries[assigned.series].next;
+    if (next[assigned.period] === assigned.sequence + 1) {
+        next[assigned.period] = assigned.sequence;
+        saveNumberingSeries();
+    }
+}
+
+/**
+ * Show the number the document in the editor will be issued with
+ */
+function renderDocumentNumber() {
+    document.getElementById('invoiceNumber').textContent =
+        peekDocumentNumber(creditTarget ? 'credit-note' : 'invoice', getInvoiceDates().issueDate).number;
+}
+
+/**
+ * Render the numbering series table with the next number of each
+ */
+function renderNumberingSettings() {
+    var today = getTodayISO();
+    var labels = { invoice: 'Invoices', 'credit-note': 'Credit Notes' };
+    document.getElementById('numberingList').innerHTML = Object.keys(numberingSeries).map(function(type) {
+        var series = numberingSeries[type];
+        var next = peekDocumentNumber(type, today);
+        return '<tr>' +
+            '<td><strong>' + t(labels[type]) + '</strong></td>' +
+            '<td><input type="text" value="' + escapeHtml(series.format) + '" onchange="updateNumberingSeries(\'' + type + '\', \'format\', this.value)"></td>' +
+            '<td><select onchange="updateNumberingSeries(\'' + type + '\', \'reset\', this.value)">' +
+                '<option value="never"' + (series.reset === 'never' ? ' selected' : '') + '>' + t('Never') + '</option>' +
+                '<option value="yearly"' + (series.reset === 'yearly' ? ' selected' : '') + '>' + t('Every year') + '</option>' +
+            '</select></td>' +
+            '<td><input type="number" value="' + next.sequence + '" min="1" step="1" onchange="updateNumberingSeries(\'' + type + '\', \'next\', this.value)"></td>' +
+            '<td>' + escapeHtml(next.number) + '</td>' +
+        '</tr>';
+    }).join('');
+}
+
+/**
+ * Update a numbering series from the settings table
+ * @param {string} type - 'invoice' or 'credit-note'
+ * @param {string} field - 'format', 'reset' or 'next'
+ * @param {string} value - New value
+ */
+function updateNumberingSeries(type, field, value) {
+    var series = numberingSeries[type];
+    var error = document.getElementById('numberingError');
+    error.textContent = '';
+
+    if (field === 'next') {
+        var next = parseInt(value, 10);
+        if (isNaN(next) || next < 1) {
+            error.textContent = t('The next number must be a whole number of at least 1');
+            renderNumberingSettings();
+            return;
+        }
+        series.next[getNumberingPeriod(series, getTodayISO())] = next;
+    } else {
+        var format = field === 'format' ? value.trim() : series.format;
+        var reset = field === 'reset' ? value : series.reset;
+        var problem = validateNumberFormat(format, reset);
+        if (problem) {
+            error.textContent = problem;
+            renderNumberingSettings();
+            return;
+        }
+        series.format = format;
+        series.reset = reset;
+    }
+    saveNumberingSeries();
+    renderNumberingSettings();
+    renderDocumentNumber();
+}
+
+/**
+ * Check issued numbers for duplicates and for gaps within each series period
+ * @returns {Object} Report { checked, duplicates: [number], gaps: [{ series, period, from, to }] }
+ */
+function auditNumbering() {
+    var seen = {};
+    var duplicates = [];
+    var sequences = {};
+    var documents = invoiceHistory.filter(function(entry) {
+        return !isChainEvent(entry);
+    });
+
+    documents.forEach(function(record) {
+        var number = String(record.invoiceNumber);
+        if (seen[number] === 1) duplicates.push(number);
+        seen[number] = (seen[number] || 0) + 1;
+
+        // Records from before numbering series were plain invoice counters
+        var sequence = record.sequence !== undefined ? record.sequence : (/^\d+$/.test(number) ? Number(number) : null);
+        if (sequence === null) return;
+        var key = (record.series || 'invoice') + '|' + (record.period || '');
+        (sequences[key] = sequences[key] || []).push(sequence);
+    });
+
+    var gaps = [];
+    Object.keys(sequences).forEach(function(key) {
+        var parts = key.split('|');
+        var sorted = sequences[key].sort(function(a, b) { return a - b; });
+        for (var i = 1; i < sorted.length; i++) {
+            if (sorted[i] > sorted[i - 1] + 1) {
+                gaps.push({ series: parts[0], period: parts[1], from: sorted[i - 1] + 1, to: sorted[i] - 1 });
+            }
+        }
+    });
+
+    return { checked: documents.length, duplicates: duplicates, gaps: gaps };
+}
+
+/**
+ * Run the numbering audit and show the result in the history modal
+ * @returns {Promise} Resolves once the result or the error is shown
+ */
+function runNumberingReport() {
+    return requireHistory().then(function() {
+        var report = auditNumbering();
+        var labels = { invoice: 'Invoice series', 'credit-note': 'Credit note series' };
+        var html;
+        if (report.duplicates.length === 0 && report.gaps.length === 0) {
+            html = '<div class="verify-verdict verify-match">✓ ' + tn('Numbering intact: {count} document with no gaps or duplicates',
+                'Numbering intact: {count} documents with no gaps or duplicates', report.checked) + '</div>';
+        } else {
+            html = '<div class="verify-verdict verify-mismatch">✗ ' + tn('Numbering problems found in {count} document',
+                'Numbering problems found in {count} documents', report.checked) + '</div>' +
+                report.duplicates.map(function(number) {
+                    return '<p class="verify-note">' + t('Duplicate: number {number} was issued more than once.', { number: escapeHtml(number) }) + '</p>';
+                }).join('') +
+                report.gaps.map(function(gap) {
+                    var series = t(labels[gap.series]) + (gap.period ? ' ' + escapeHtml(gap.period) : '');
+                    return '<p class="verify-note">' + (gap.from === gap.to ?
+                        t('Gap: {series} is missing number {from}.', { series: series, from: gap.from }) :
+                        t('Gap: {series} is missing numbers {from}–{to}.', { series: series, from: gap.from, to: gap.to })) + '</p>';
+                }).join('');
+        }
+        document.getElementById('chainAuditResult').innerHTML = html;
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Show numbering settings modal
+ */
+function showNumbering() {
+    document.getElementById('numberingError').textContent = '';
+    renderNumberingSettings();
+    document.getElementById('numberingModal').style.display = 'block';
+}
+
+/**
+ * Close numbering settings modal
+ */
+function closeNumbering() {
+    document.getElementById('numberingModal').style.display = 'none';
+}
+
+/* REPORT FUNCTIONS */
+
+// Number of clients and items listed in the reports
+var REPORT_TOP_COUNT = 10;
+
+/**
+ * Get the reporting period a date falls in
+ * @param {string} isoDate - ISO calendar date
+ * @param {string} grouping - 'month', 'quarter' or 'year'
+ * @returns {string} Period key, e.g. "2026-03", "2026-Q1" or "2026"
+ */
+function getReportPeriod(isoDate, grouping) {
+    if (grouping === 'year') return isoDate.substring(0, 4);
+    if (grouping === 'quarter') return isoDate.substring(0, 4) + '-Q' + Math.ceil(Number(isoDate.substring(5, 7)) / 3);
+    return isoDate.substring(0, 7);
+}
+
+/**
+ * Format a reporting period for display
+ * @param {string} period - Result of getReportPeriod()
+ * @returns {string} e.g. "Mar 2026", "Q1 2026" or "2026"
+ */
+function formatReportPeriod(period) {
+    if (period.length === 4) return period;
+    if (period.indexOf('-Q') !== -1) return t('Q{quarter} {year}', { quarter: period.substring(6), year: period.substring(0, 4) });
+    return parseISODate(period + '-01').toLocaleDateString(getLanguageLocale(uiLanguage), { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Add a document's amount to a running total; credit notes count negative
+ * @param {Array<number>|undefined} sum - Decimal running total
+ * @param {*} amount - Amount to add
+ * @param {Object} record - Document the amount belongs to
+ * @returns {Array<number>} Decimal total
+ */
+function addReportAmount(sum, amount, record) {
+    var value = toDecimal(amount || 0);
+    sum = sum || toDecimal(0);
+    return isCreditNote(record) ? decimalSubtract(sum, value) : decimalAdd(sum, value);
+}
+
+/**
+ * Aggregate issued documents into revenue and tax figures. Voided documents
+ * are left out and credit notes reduce the figures of their period.
+ * Amounts are only added up within the report currency.
+ * @param {Object} criteria - { from, to, grouping, currency }
+ * @returns {Object} Report with summary, periods, clients, currencies, items and taxes
+ */
+function buildReport(criteria) {
+    var documents = invoiceHistory.filter(function(entry) {
+        if (isChainEvent(entry) || isVoided(entry)) return false;
+        var issueDate = getRecordIssueDate(entry);
+        return (!criteria.from || issueDate >= criteria.from) && (!criteria.to || issueDate <= criteria.to);
+    });
+
+    // Every currency, with the reference totals frozen on its invoices
+    var currencyRows = {};
+    documents.forEach(function(record) {
+        var code = getRecordCurrency(record);
+        var row = currencyRows[code] = currencyRows[code] || { code: code, count: 0, gross: null, tax: null, references: {} };
+        row.count++;
+        row.gross = addReportAmount(row.gross, record.total, record);
+        row.tax = addReportAmount(row.tax, record.tax, record);
+        if (record.currency && record.currency !== code && record.convertedTotal !== null && record.convertedTotal !== undefined) {
+            row.references[record.currency] = addReportAmount(row.references[record.currency], record.convertedTotal, record);
+        }
+    });
+
+    var summary = { invoices: 0, creditNotes: 0, gross: null, tax: null, invoiced: null };
+    var periods = {};
+    var clients = {};
+    var products = {};
+    var taxes = {};
+
+    documents.filter(function(record) {
+        return getRecordCurrency(record) === criteria.currency;
+    }).forEach(function(record) {
+        if (isCreditNote(record)) {
+            summary.creditNotes++;
+        } else {
+            summary.invoices++;
+            summary.invoiced = addReportAmount(summary.invoiced, record.total, record);
+        }
+        summary.gross = addReportAmount(summary.gross, record.total, record);
+        summary.tax = addReportAmount(summary.tax, record.tax, record);
+
+        var periodKey = getReportPeriod(getRecordIssueDate(record), criteria.grouping);
+        var period = periods[periodKey] = periods[periodKey] || { key: periodKey, count: 0, gross: null, tax: null };
+        period.count++;
+        period.gross = addReportAmount(period.gross, record.total, record);
+        period.tax = addReportAmount(period.tax, record.tax, record);
+
+        var clientKey = String(record.clientName).toLowerCase();
+        var client = clients[clientKey] = clients[clientKey] || { name: record.clientName, count: 0, gross: null, tax: null };
+        client.count++;
+        client.gross = addReportAmount(client.gross, record.total, record);
+        client.tax = addReportAmount(client.tax, record.tax, record);
+
+        record.items.forEach(function(item) {
+            var key = item.sku ? 'sku:' + item.sku.toLowerCase() : 'name:' + item.name.toLowerCase();
+            var product = products[key] = products[key] || { name: item.name, sku: item.sku || '', unit: item.unit || '', quantity: null, amount: null };
+            product.quantity = addReportAmount(product.quantity, item.quantity, record);
+            product.amount = addReportAmount(product.amount, calculateLineAmount(item, criteria.currency), record);
+        });
+
+        // Records from before the tax breakdown only carry their tax total
+        var breakdown = record.taxes || [{ id: 'legacy', name: 'Tax', rate: 0, compound: false, taxableBase: null, amount: record.tax }];
+        breakdown.forEach(function(tax) {
+            var key = tax.id + '|' + tax.rate + '|' + !!tax.compound;
+            var entry = taxes[key] = taxes[key] || {
+                label: tax.id === 'legacy' ? t('Tax (no breakdown)') : formatTaxLabel(tax, uiLanguage),
+                legacy: tax.id === 'legacy',
+                rate: tax.rate,
+                taxableBase: null,
+                amount: null
+            };
+            entry.taxableBase = addReportAmount(entry.taxableBase, tax.taxableBase, record);
+            entry.amount = addReportAmount(entry.amount, tax.amount, record);
+        });
+    });
+
+    // Turn the decimal running totals into numbers for display
+    function finish(row) {
+        ['gross', 'tax', 'invoiced', 'quantity', 'amount', 'taxableBase'].forEach(function(field) {
+            if (row[field] !== undefined) row[field] = row[field] ? decimalToNumber(row[field]) : 0;
+        });
+        if (row.gross !== undefined) row.net = decimalToNumber(decimalSubtract(toDecimal(row.gross), toDecimal(row.tax)));
+        return row;
+    }
+
+    function byAmount(field) {
+        return function(a, b) { return b[field] - a[field]; };
+    }
+
+    finish(summary);
+    summary.average = summary.invoices ? decimalToNumber(roundMoney(toDecimal(summary.invoiced / summary.invoices), criteria.currency)) : 0;
+
+    return {
+        currency: criteria.currency,
+        summary: summary,
+        periods: Object.keys(periods).sort().map(function(key) { return finish(periods[key]); }),
+        clients: Object.keys(clients).map(function(key) { return finish(clients[key]); }).sort(byAmount('gross')),
+        currencies: Object.keys(currencyRows).sort().map(function(code) {
+            var row = finish(currencyRows[code]);
+            row.references = Object.keys(row.references).sort().map(function(reference) {
+                return { code: reference, amount: decimalToNumber(row.references[reference]) };
+            });
+            return row;
+        }),
+        items: Object.keys(products).map(function(key) { return finish(products[key]); }).sort(byAmount('amount')),
+        taxes: Object.keys(taxes).map(function(key) { return finish(taxes[key]); }).sort(function(a, b) {
+            return b.rate - a.rate;
+        })
+    };
+}
+
+/**
+ * Read the report criteria from the reports toolbar
+ * @returns {Object} Criteria { from, to, grouping, currency }
+ */
+function getReportCriteria() {
+    return {
+        from: document.getElementById('reportFrom').value,
+        to: document.getElementById('reportTo').value,
+        grouping: document.getElementById('reportGrouping').value,
+        currency: document.getElementById('reportCurrency').value
+    };
+}
+
+/**
+ * Draw a horizontal bar for a report table cell
+ * @param {number} value - Amount
+ * @param {number} max - Largest amount in the table
+ * @returns {string} HTML
+ */
+function formatReportBar(value, max) {
+    var width = max > 0 && value > 0 ? Math.max(1, Math.round(value / max * 100)) : 0;
+    return '<div class="report-bar"><div style="width: ' + width + '%;"></div></div>';
+}
+
+/**
+ * Render the reports for the selected period range and currency
+ */
+function renderReports() {
+    var report = buildReport(getReportCriteria());
+    var currency = report.currency;
+    var content = document.getElementById('reportContent');
+    var summary = report.summary;
+
+    if (summary.invoices + summary.creditNotes === 0) {
+        content.innerHTML = '<div class="empty-history">' +
+            '<h3 style="margin-bottom: 10px;">' + t('No documents to report') + '</h3>' +
+            '<p>' + t('No {currency} invoice was issued in the selected range', { currency: escapeHtml(currency) }) + '</p>' +
+        '</div>' + renderReportCurrencies(report);
+        return;
+    }
+
+    var html = '<div class="report-summary">' +
+        '<div><span>' + t('Revenue (excl. tax)') + '</span><strong>' + formatMoney(summary.net, currency) + '</strong></div>' +
+        '<div><span>' + t('Tax collected') + '</span><strong>' + formatMoney(summary.tax, currency) + '</strong></div>' +
+        '<div><span>' + t('Total billed') + '</span><strong>' + formatMoney(summary.gross, currency) + '</strong></div>' +
+        '<div><span>' + t('Average invoice') + '</span><strong>' + formatMoney(summary.average, currency) + '</strong></div>' +
+        '<div><span>' + t('Invoices / credit notes') + '</span><strong>' + summary.invoices + ' / ' + summary.creditNotes + '</strong></div>' +
+    '</div>';
+
+    var periodMax = Math.max.apply(null, report.periods.map(function(period) { return period.net; }));
+    html += '<h3>' + t('Revenue by Period') + '</h3>' +
+        '<table class="settings-table report-table"><thead><tr><th>' + t('Period') + '</th><th></th><th>' + t('Documents') + '</th>' +
+        '<th style="text-align: right;">' + t('Revenue') + '</th><th style="text-align: right;">' + t('Tax') + '</th>' +
+        '<th style="text-align: right;">' + t('Total') + '</th></tr></thead><tbody>' +
+        report.periods.map(function(period) {
+            return '<tr><td>' + formatReportPeriod(period.key) + '</td><td>' + formatReportBar(period.net, periodMax) + '</td>' +
+                '<td>' + period.count + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(period.net, currency) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(period.tax, currency) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(period.gross, currency) + '</td></tr>';
+        }).join('') + '</tbody></table>';
+
+    var clientRows = report.clients.slice(0, REPORT_TOP_COUNT);
+    var clientMax = clientRows.length ? clientRows[0].gross : 0;
+    html += '<h3>' + t('Top Clients') + '</h3>' +
+        '<table class="settings-table report-table"><thead><tr><th>' + t('Client') + '</th><th></th><th>' + t('Documents') + '</th>' +
+        '<th style="text-align: right;">' + t('Revenue') + '</th><th style="text-align: right;">' + t('Tax') + '</th>' +
+        '<th style="text-align: right;">' + t('Total') + '</th></tr></thead><tbody>' +
+        clientRows.map(function(client) {
+            return '<tr><td>' + escapeHtml(client.name) + '</td><td>' + formatReportBar(client.gross, clientMax) + '</td>' +
+                '<td>' + client.count + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(client.net, currency) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(client.tax, currency) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(client.gross, currency) + '</td></tr>';
+        }).join('') + '</tbody></table>';
+
+    var itemRows = report.items.slice(0, REPORT_TOP_COUNT);
+    var itemMax = itemRows.length ? itemRows[0].amount : 0;
+    html += '<h3>' + t('Top Items') + '</h3>' +
+        '<table class="settings-table report-table"><thead><tr><th>' + t('SKU') + '</th><th>' + t('Item') + '</th><th></th>' +
+        '<th style="text-align: right;">' + t('Quantity') + '</th><th style="text-align: right;">' + t('Amount') + '</th></tr></thead><tbody>' +
+        itemRows.map(function(item) {
+            return '<tr><td>' + escapeHtml(item.sku || '—') + '</td><td>' + escapeHtml(item.name) + '</td>' +
+                '<td>' + formatReportBar(item.amount, itemMax) + '</td>' +
+                '<td style="text-align: right;">' + formatQuantity(item, uiLanguage) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(item.amount, currency) + '</td></tr>';
+        }).join('') + '</tbody></table>';
+
+    html += renderReportCurrencies(report);
+
+    html += '<h3>' + t('Tax Summary') + '</h3>' +
+        '<table class="settings-table report-table"><thead><tr><th>' + t('Tax') + '</th>' +
+        '<th style="text-align: right;">' + t('Taxable Base') + '</th><th style="text-align: right;">' + t('Tax') + '</th></tr></thead><tbody>' +
+        report.taxes.map(function(tax) {
+            return '<tr><td>' + escapeHtml(tax.label) + '</td>' +
+                '<td style="text-align: right;">' + (tax.legacy ? '—' : formatMoney(tax.taxableBase, currency)) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(tax.amount, currency) + '</td></tr>';
+        }).join('') +
+        '<tr><td><strong>' + t('Total') + '</strong></td><td></td><td style="text-align: right;"><strong>' + formatMoney(summary.tax, currency) + '</strong></td></tr>' +
+        '</tbody></table>' +
+        '<div class="form-actions">' +
+            '<button class="btn btn-secondary btn-small" onclick="printTaxSummary()">' + t('Print Tax Summary') + '</button>' +
+            '<button class="btn btn-secondary btn-small" onclick="exportTaxSummary()">' + t('Export Tax Summary CSV') + '</button>' +
+        '</div>';
+
+    content.innerHTML = html;
+}
+
+/**
+ * Render the per-currency table, which covers every currency in the range
+ * @param {Object} report - Result of buildReport()
+ * @returns {string} HTML
+ */
+function renderReportCurrencies(report) {
+    if (report.currencies.length === 0) return '';
+    return '<h3>' + t('By Currency') + '</h3>' +
+        '<table class="settings-table report-table"><thead><tr><th>' + t('Currency') + '</th><th>' + t('Documents') + '</th>' +
+        '<th style="text-align: right;">' + t('Tax') + '</th><th style="text-align: right;">' + t('Total') + '</th>' +
+        '<th>' + t('Reference Totals') + '</th></tr></thead><tbody>' +
+        report.currencies.map(function(row) {
+            return '<tr><td>' + escapeHtml(row.code) + '</td><td>' + row.count + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(row.tax, row.code) + '</td>' +
+                '<td style="text-align: right;">' + formatMoney(row.gross, row.code) + '</td>' +
+                '<td>' + (row.references.map(function(reference) {
+                    return formatMoney(reference.amount, reference.code);
+                }).join(' + ') || '—') + '</td></tr>';
+        }).join('') + '</tbody></table>';
+}
+
+/**
+ * Describe the selected report range, e.g. "1/1/2026 – 3/31/2026"
+ * @param {Object} criteria - Result of getReportCriteria()
+ * @returns {string} Range description
+ */
+function describeReportRange(criteria) {
+    if (!criteria.from && !criteria.to) return t('All dates');
+    return (criteria.from ? formatDate(criteria.from, uiLanguage) : t('Start')) + ' – ' +
+        (criteria.to ? formatDate(criteria.to, uiLanguage) : t('today'));
+}
+
+/**
+ * Download the tax summary of the selected range as CSV for filing
+ */
+function exportTaxSummary() {
+    var criteria = getReportCriteria();
+    var report = buildReport(criteria);
+    var rows = [['from', 'to', 'currency', 'tax', 'rate', 'taxable_base', 'tax_amount']].concat(report.taxes.map(function(tax) {
+        return [criteria.from, criteria.to, report.currency, tax.label, tax.legacy ? '' : tax.rate, tax.legacy ? '' : tax.taxableBase, tax.amount];
+    }));
+    rows.push([criteria.from, criteria.to, report.currency, 'Total', '', '', report.summary.tax]);
+    downloadFile('nanohash_tax_summary_' + report.currency + '_' + (criteria.from || 'start') + '_' + (criteria.to || getTodayISO()) + '.csv',
+        rows.map(toCSVRow).join('\r\n') + '\r\n', 'text/csv');
+}
+
+/**
+ * Print the tax summary of the selected range in a separate window
+ */
+function printTaxSummary() {
+    var criteria = getReportCriteria();
+    var report = buildReport(criteria);
+    var issuer = getIssuerSnapshot();
+    var popup = window.open('', '_blank');
+    if (!popup) {
+        alert(t('Allow pop-ups for this page to print the tax summary'));
+        return;
+    }
+    popup.document.write('<!DOCTYPE html><html lang="' + uiLanguage + '"><head><title>' + t('Tax Summary') + '</title>' +
+        '<style>body { font-family: sans-serif; padding: 30px; } table { border-collapse: collapse; width: 100%; } ' +
+        'th, td { border-bottom: 1px solid #ccc; padding: 8px; text-align: left; } .amount { text-align: right; }</style></head><body>' +
+        '<h1>' + t('Tax Summary') + '</h1>' +
+        (issuer ? '<p><strong>' + escapeHtml(issuer.legalName) + '</strong>' +
+            (issuer.taxId ? ' · ' + t('Tax ID {taxId}', { taxId: escapeHtml(issuer.taxId) }) : '') + '</p>' : '') +
+        '<p>' + escapeHtml(describeReportRange(criteria)) + ' · ' + escapeHtml(report.currency) + ' · ' +
+            tn('{count} invoice', '{count} invoices', report.summary.invoices) + ', ' +
+            tn('{count} credit note', '{count} credit notes', report.summary.creditNotes) + '</p>' +
+        '<table><thead><tr><th>' + t('Tax') + '</th><th class="amount">' + t('Taxable Base') + '</th><th class="amount">' + t('Tax') + '</th></tr></thead><tbody>' +
+        report.taxes.map(function(tax) {
+            return '<tr><td>' + escapeHtml(tax.label) + '</td><td class="amount">' + (tax.legacy ? '—' : formatMoney(tax.taxableBase, report.currency)) + '</td>' +
+                '<td class="amount">' + formatMoney(tax.amount, report.currency) + '</td></tr>';
+        }).join('') +
+        '<tr><th>' + t('Total') + '</th><th></th><th class="amount">' + formatMoney(report.summary.tax, report.currency) + '</th></tr>' +
+        '</tbody></table><p>' + t('Generated by NanoHash Invoice on {date}', { date: formatDate(getTodayISO(), uiLanguage) }) + '</p></body></html>');
+    popup.document.close();
+    popup.print();
+}
+
+/**
+ * Show reports modal, defaulting to the current year in the invoice currency
+ * @returns {Promise} Resolves once the modal or the error is shown
+ */
+function showReports() {
+    return requireHistory().then(function() {
+        var codes = [];
+        invoiceHistory.forEach(function(entry) {
+            if (!isChainEvent(entry) && codes.indexOf(getRecordCurrency(entry)) === -1) {
+                codes.push(getRecordCurrency(entry));
+            }
+        });
+        if (codes.indexOf(getBaseCurrency()) === -1) codes.push(getBaseCurrency());
+
+        var select = document.getElementById('reportCurrency');
+        var selected = select.value || getBaseCurrency();
+        select.innerHTML = codes.sort().map(function(code) {
+            return '<option value="' + escapeHtml(code) + '">' + escapeHtml(code) + '</option>';
+        }).join('');
+        select.value = codes.indexOf(selected) === -1 ? getBaseCurrency() : selected;
+
+        if (!document.getElementById('reportFrom').value && !document.getElementById('reportTo').value) {
+            document.getElementById('reportFrom').value = getTodayISO().substring(0, 4) + '-01-01';
+            document.getElementById('reportTo').value = getTodayISO();
+        }
+        renderReports();
+        document.getElementById('reportsModal').style.display = 'block';
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Close reports modal
+ */
+function closeReports() {
+    document.getElementById('reportsModal').style.display = 'none';
+}
+
+/* VERIFICATION FUNCTIONS */
+
+// Canonical block fields compared when diffing an invoice against history
+var VERIFY_FIELDS = ['index', 'previousHash', 'issuer', 'documentType', 'creditFor', 'invoiceNumber', 'clientName', 'baseCurrency', 'total', 'discount', 'issueDate', 'dueDate', 'timestamp', 'hash', 'keyFingerprint', 'signature'];
+
+/**
+ * Extract an embedded invoice record from raw PDF file contents
+ * @param {string} pdfText - PDF file contents read as text
+ * @returns {Object|null} Decoded invoice record, or null if none is embedded
+ */
+function decodeRecordFromPDF(pdfText) {
+    var match = pdfText.match(/NHI-RECORD:([A-Za-z0-9+\/=]+)/);
+    if (!match) return null;
+    try {
+        return JSON.parse(decodeURIComponent(escape(atob(match[1]))));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse pasted verification input: a QR payload or an exported invoice record
+ * @param {string} text - Raw input
+ * @returns {Object|null} Parsed claim, or null if the input is not recognized
+ */
+function parseVerificationInput(text) {
+    text = text.trim();
+    if (!text) return null;
+
+    // QR formats: NHI|1|<number>|<timestamp>|<hash>
+    // and signed NHI|2|<number>|<timestamp>|<hash>|<key fingerprint>|<signature>
+    var parts = text.split('|');
+    if (parts[0] === 'NHI' && parts[1] === '1' && parts.length === 5) {
+        return {
+            kind: 'qr',
+            claim: { invoiceNumber: parts[2], timestamp: parts[3], hash: parts[4] }
+        };
+    }
+    if (parts[0] === 'NHI' && parts[1] === '2' && parts.length === 7) {
+        return {
+            kind: 'qr',
+            claim: {
+                invoiceNumber: parts[2],
+                timestamp: parts[3],
+                hash: parts[4],
+                keyFingerprint: parts[5],
+                signature: parts[6]
+            }
+        };
+    }
+
+    // Legacy QR format only carries a 16 character hash prefix
+    var legacy = text.match(/^INVOICE:(.+)\|HASH:([0-9a-f]+)$/);
+    if (legacy) {
+        return {
+            kind: 'legacy-qr',
+            claim: { invoiceNumber: legacy[1], hash: legacy[2] }
+        };
+    }
+
+    var record = decodeRecordFromPDF(text);
+    if (!record) {
+        try {
+            record = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!record || !record.hash || !record.timestamp || !Array.isArray(record.items)) {
+        return null;
+    }
+    return { kind: 'record', claim: record };
+}
+
+/**
+ * Find an invoice in history, preferring the entry with a matching hash
+ * @param {number|string} number - Invoice number
+ * @param {string} hash - Claimed hash or hash prefix
+ * @returns {Object|undefined} Matching history record
+ */
+function findHistoryInvoice(number, hash) {
+    var candidates = invoiceHistory.filter(function(invoice) {
+        return !isChainEvent(invoice) && String(invoice.invoiceNumber) === String(number);
+    });
+    var exact = candidates.filter(function(invoice) {
+        return invoice.hash && invoice.hash.indexOf(hash) === 0;
+    });
+    return exact[0] || candidates[0];
+}
+
+/**
+ * Rebuild the canonical block of a record and recompute its SHA-256 hash
+ * @param {Object} record - Invoice record with its original timestamp
+ * @returns {Promise<string>} Recomputed hash
+ */
+function recomputeInvoiceHash(record) {
+    return generateHash(buildBlockData(record, record.timestamp));
+}
+
+/**
+ * Compare a claimed invoice against the stored history record field by field.
+ * Only fields present in the claim are compared.
+ * @param {Object} stored - Invoice record from history
+ * @param {Object} claim - Invoice data being verified
+ * @returns {Array<Object>} Rows of { field, stored, claimed, match }
+ */
+function diffInvoiceRecords(stored, claim) {
+    var rows = [];
+
+    function normalize(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    function compare(field, storedValue, claimedValue) {
+        storedValue = normalize(storedValue);
+        claimedValue = normalize(claimedValue);
+        rows.push({
+            field: field,
+            stored: storedValue,
+            claimed: claimedValue,
+            match: String(storedValue) === String(claimedValue)
+        });
+    }
+
+    VERIFY_FIELDS.forEach(function(field) {
+        if (field in claim) compare(field, stored[field], claim[field]);
+    });
+
+    if (Array.isArray(claim.items)) {
+        var count = Math.max(stored.items.length, claim.items.length);
+        compare('items.length', stored.items.length, claim.items.length);
+        for (var i = 0; i < count; i++) {
+            var storedItem = stored.items[i] || {};
+            var claimedItem = claim.items[i] || {};
+            ['name', 'quantity', 'price', 'discount'].forEach(function(key) {
+                compare('items[' + i + '].' + key, storedItem[key], claimedItem[key]);
+            });
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Verify the invoice pasted into the verification modal
+ * @returns {Promise} Resolves once the check is started, or once the error is shown
+ */
+function verifyInvoice() {
+    return requireHistory().then(function() {
+        var parsed = parseVerificationInput(document.getElementById('verifyInput').value);
+        if (!parsed) {
+            renderVerificationResult({ error: t('Input is not a NanoHash QR payload, invoice record or invoice PDF.') });
+            return;
+        }
+
+        var claim = parsed.claim;
+        var stored = findHistoryInvoice(claim.invoiceNumber, claim.hash);
+
+        // A record carries its own block; a QR payload must be rebuilt from history
+        var source = parsed.kind === 'record' ? claim : stored;
+        if (!source) {
+            renderVerificationResult({
+                claim: claim,
+                error: t('Invoice #{number} is not in this device\'s history, so its hash cannot be recomputed.', { number: claim.invoiceNumber })
+            });
+            return;
+        }
+
+        var block = buildBlockData(source, source.timestamp);
+        var signatureCheck = claim.signature ?
+            verifyBlockSignature(block, claim.signature, claim.keyFingerprint) :
+            Promise.resolve({ status: 'unsigned', key: null });
+
+        Promise.all([generateHash(block), signatureCheck]).then(function(results) {
+            var computedHash = results[0];
+            var hashMatches = parsed.kind === 'legacy-qr' ?
+                computedHash.indexOf(claim.hash) === 0 :
+                computedHash === claim.hash;
+
+            renderVerificationResult({
+                claim: claim,
+                legacy: parsed.kind === 'legacy-qr',
+                computedHash: computedHash,
+                hashMatches: hashMatches,
+                signature: results[1],
+                diff: stored ? diffInvoiceRecords(stored, claim) : null,
+                tombstone: stored ? findTombstone(stored) : null,
+                voided: stored ? getInvoiceEvents(stored, 'void')[0] : null
+            });
+        });
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Load a PDF or JSON file into the verification input and verify it
+ * @param {HTMLInputElement} input - File input element
+ */
+function loadVerificationFile(input) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        var text = reader.result;
+        var record = decodeRecordFromPDF(text);
+        document.getElementById('verifyInput').value = record ? JSON.stringify(record, null, 2) : text;
+        input.value = '';
+        verifyInvoice();
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Describe the outcome of a signature check for the verification report
+ * @param {Object} check - Result of verifyBlockSignature()
+ * @param {string} fingerprint - Fingerprint claimed by the invoice
+ * @returns {string} HTML description
+ */
+function describeSignatureCheck(check, fingerprint) {
+    if (check.status === 'unsigned') {
+        return t('Signature: none. This invoice was issued without a digital signature.');
+    }
+    var keyLabel = '<code>' + escapeHtml(formatFingerprint(fingerprint)) + '</code>';
+    if (check.status === 'unknown-key') {
+        return '? ' + t('Signature: signed by unknown key {key}. Import the issuer\'s public key to check it.', { key: keyLabel });
+    }
+    if (check.status === 'invalid') {
+        return '✗ ' + t('Signature: does not match key {key}.', { key: keyLabel });
+    }
+    var origin = check.key.type === 'trusted' ? 'trusted issuer key' :
+        (check.key.retiredAt ? 'your retired signing key' : 'your active signing key');
+    return '✓ ' + t('Signature: valid ECDSA P-256 signature by {origin} {key}.', { origin: t(origin), key: keyLabel });
+}
+
+/**
+ * Render the verification verdict and field-by-field diff
+ * @param {Object} result - Verification outcome
+ */
+function renderVerificationResult(result) {
+    var container = document.getElementById('verifyResult');
+
+    if (!result.claim || !result.computedHash) {
+        container.innerHTML = '<div class="verify-verdict verify-mismatch">✗ ' + escapeHtml(result.error) + '</div>';
+        return;
+    }
+
+    var diffMatches = result.diff ? result.diff.every(function(row) { return row.match; }) : false;
+    var signatureStatus = result.signature.status;
+    var verdictClass = 'verify-mismatch';
+    var verdict = '✗ ' + t('Verification failed: the invoice does not match its hash or the stored record');
+    if (signatureStatus === 'invalid') {
+        verdict = '✗ ' + t('Verification failed: the issuer signature is invalid');
+    } else if (result.hashMatches && diffMatches) {
+        verdictClass = 'verify-match';
+        verdict = '✓ ' + t('Invoice verified: recomputed hash matches and all fields agree with history');
+    } else if (result.hashMatches && !result.diff && signatureStatus === 'valid') {
+        verdictClass = 'verify-match';
+        verdict = '✓ ' + t('Invoice verified: recomputed hash and issuer signature are valid');
+    } else if (result.hashMatches && !result.diff) {
+        verdictClass = 'verify-warning';
+        verdict = '⚠ ' + t('Hash is valid, but invoice #{number} is not in this device\'s history', { number: result.claim.invoiceNumber });
+    }
+
+    var locale = getLanguageLocale(uiLanguage);
+    var html = '<div class="verify-verdict ' + verdictClass + '">' + escapeHtml(verdict) + '</div>';
+    html += '<p class="verify-note">' + describeSignatureCheck(result.signature, result.claim.keyFingerprint) + '</p>';
+    if (result.claim.issuer) {
+        html += '<p class="verify-note">' + t('Issued by <strong>{name}</strong>', { name: escapeHtml(result.claim.issuer.legalName) }) +
+            (result.claim.issuer.taxId ? ' (' + t('Tax ID {taxId}', { taxId: escapeHtml(result.claim.issuer.taxId) }) + ')' : '') +
+            '. ' + t('The issuer details and payment instructions are sealed into the hash.') + '</p>';
+    }
+    if (result.tombstone) {
+        html += '<p class="verify-note">' + t('This invoice was deleted from history by tombstone block #{index} on {date}.', {
+            index: result.tombstone.index,
+            date: new Date(result.tombstone.timestamp).toLocaleDateString(locale)
+        }) + '</p>';
+    }
+    if (result.voided) {
+        html += '<p class="verify-note">' + t('This document was voided by block #{index} on {date}.', {
+            index: result.voided.index,
+            date: new Date(result.voided.timestamp).toLocaleDateString(locale)
+        }) + '</p>';
+    }
+    if (result.legacy) {
+        html += '<p class="verify-note">' + t('Legacy QR code: only the first 16 characters of the hash could be checked.') + '</p>';
+    }
+    html += '<div class="hash-display">' +
+        '<strong>' + t('Claimed hash:') + '</strong> ' + escapeHtml(result.claim.hash) + '<br>' +
+        '<strong>' + t('Recomputed hash:') + '</strong> ' + escapeHtml(result.computedHash) +
+    '</div>';
+
+    if (result.diff) {
+        html += '<table class="verify-diff">' +
+            '<thead><tr><th>' + t('Field') + '</th><th>' + t('History') + '</th><th>' + t('Provided') + '</th>' +
+            '<th style="text-align: center;">' + t('Status') + '</th></tr></thead>' +
+            '<tbody>' + result.diff.map(function(row) {
+                return '<tr class="' + (row.match ? '' : 'verify-diff-mismatch') + '">' +
+                    '<td>' + escapeHtml(row.field) + '</td>' +
+                    '<td>' + escapeHtml(row.stored === undefined ? '—' : row.stored) + '</td>' +
+                    '<td>' + escapeHtml(row.claimed === undefined ? '—' : row.claimed) + '</td>' +
+                    '<td style="text-align: center;">' + (row.match ? '✓' : '✗') + '</td>' +
+                '</tr>';
+            }).join('') + '</tbody>' +
+        '</table>';
+    }
+
+    container.innerHTML = html;
+}
+
+/**
+ * Download a history invoice as a JSON record that can be verified later
+ * @param {number} index - Index of invoice in history
+ */
+function exportInvoiceRecord(index) {
+    var invoice = invoiceHistory[index];
+    downloadFile(
+        'NanoHash_Invoice_' + invoice.invoiceNumber + '_record.json',
+        JSON.stringify(invoice, null, 2),
+        'application/json'
+    );
+}
+
+/**
+ * Show invoice verification modal
+ */
+function showVerify() {
+    document.getElementById('verifyResult').innerHTML = '';
+    document.getElementById('verifyModal').style.display = 'block';
+}
+
+/**
+ * Close invoice verification modal
+ */
+function closeVerify() {
+    document.getElementById('verifyModal').style.display = 'none';
+}
+
+/* UBL FUNCTIONS */
+
+// XML namespaces of UBL 2.1 documents
+var UBL_NAMESPACES = {
+    Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+    CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+    cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+    cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+// UN/ECE Recommendation 20 codes for common item units. Other units are
+// written as they are; lines without a unit use C62 ("one").
+var UBL_UNIT_CODES = {
+    h: 'HUR', hr: 'HUR', hour: 'HUR', hours: 'HUR',
+    day: 'DAY', days: 'DAY', month: 'MON', months: 'MON',
+    pcs: 'H87', pc: 'H87', piece: 'H87', pieces: 'H87',
+    kg: 'KGM', g: 'GRM', m: 'MTR', km: 'KMT', l: 'LTR'
+};
+
+// Child elements the UBL 2.1 schemas require, by parent element. A document
+// missing any of them would be rejected by a schema validator.
+var UBL_REQUIRED_ELEMENTS = {
+    Invoice: ['cbc:ID', 'cbc:IssueDate', 'cac:AccountingSupplierParty', 'cac:AccountingCustomerParty', 'cac:LegalMonetaryTotal', 'cac:InvoiceLine'],
+    CreditNote: ['cbc:ID', 'cbc:IssueDate', 'cac:AccountingSupplierParty', 'cac:AccountingCustomerParty', 'cac:LegalMonetaryTotal', 'cac:CreditNoteLine'],
+    'cac:InvoiceDocumentReference': ['cbc:ID'],
+    'cac:PartyTaxScheme': ['cac:TaxScheme'],
+    'cac:PaymentMeans': ['cbc:PaymentMeansCode'],
+    'cac:AllowanceCharge': ['cbc:ChargeIndicator', 'cbc:Amount'],
+    'cac:TaxTotal': ['cbc:TaxAmount'],
+    'cac:TaxSubtotal': ['cbc:TaxAmount', 'cac:TaxCategory'],
+    'cac:TaxCategory': ['cac:TaxScheme'],
+    'cac:ClassifiedTaxCategory': ['cac:TaxScheme'],
+    'cac:LegalMonetaryTotal': ['cbc:PayableAmount'],
+    'cac:InvoiceLine': ['cbc:ID', 'cbc:LineExtensionAmount', 'cac:Item'],
+    'cac:CreditNoteLine': ['cbc:ID', 'cbc:LineExtensionAmount', 'cac:Item'],
+    'cac:Price': ['cbc:PriceAmount']
+};
+
+/**
+ * Write an XML element
+ * @param {string} name - Prefixed element name, e.g. "cbc:ID"
+ * @param {string} content - Escaped child markup
+ * @param {Object} attributes - Optional attribute values
+ * @returns {string} XML
+ */
+function ublElement(name, content, attributes) {
+    var attrs = Object.keys(attributes || {}).map(function(key) {
+        return ' ' + key + '="' + escapeHtml(attributes[key]) + '"';
+    }).join('');
+    return '<' + name + attrs + '>' + content + '</' + name + '>';
+}
+
+/**
+ * Write a text element, or nothing when the value is empty
+ * @param {string} name - Prefixed element name
+ * @param {*} value - Element text
+ * @returns {string} XML
+ */
+function ublText(name, value) {
+    if (value === null || value === undefined || value === '') return '';
+    return ublElement(name, escapeHtml(value));
+}
+
+/**
+ * Write an amount element rounded to the currency
+ * @param {string} name - Prefixed element name
+ * @param {number|Object} value - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} XML
+ */
+function ublAmount(name, value, currency) {
+    return ublElement(name, decimalToString(roundMoney(toDecimal(value), currency)), { currencyID: currency });
+}
+
+/**
+ * Write a seller or buyer party
+ * @param {Object} party - { name, taxId, address, email, phone, website }
+ * @returns {string} XML
+ */
+function buildUBLParty(party) {
+    var addressLines = (party.address || '').split('\n').filter(function(line) {
+        return line.trim();
+    });
+    return ublElement('cac:Party',
+        ublText('cbc:WebsiteURI', party.website) +
+        (party.name ? ublElement('cac:PartyName', ublText('cbc:Name', party.name)) : '') +
+        (addressLines.length ? ublElement('cac:PostalAddress', addressLines.map(function(line) {
+            return ublElement('cac:AddressLine', ublText('cbc:Line', line.trim()));
+        }).join('')) : '') +
+        (party.taxId ? ublElement('cac:PartyTaxScheme',
+            ublText('cbc:CompanyID', party.taxId) +
+            ublElement('cac:TaxScheme', ublText('cbc:ID', 'VAT'))) : '') +
+        (party.name ? ublElement('cac:PartyLegalEntity', ublText('cbc:RegistrationName', party.name)) : '') +
+        (party.phone || party.email ? ublElement('cac:Contact',
+            ublText('cbc:Telephone', party.phone) +
+            ublText('cbc:ElectronicMail', party.email)) : ''));
+}
+
+/**
+ * Write a tax category: standard rated (S), zero rated (Z), or exempt (E)
+ * when the line carries no tax at all
+ * @param {string} name - "cac:TaxCategory" or "cac:ClassifiedTaxCategory"
+ * @param {Object} tax - Tax rate { name, rate }, or null when exempt
+ * @returns {string} XML
+ */
+function buildUBLTaxCategory(name, tax) {
+    return ublElement(name,
+        ublText('cbc:ID', !tax ? 'E' : tax.rate > 0 ? 'S' : 'Z') +
+        ublText('cbc:Name', tax ? tax.name : '') +
+        ublText('cbc:Percent', tax ? tax.rate : 0) +
+        ublText('cbc:TaxExemptionReason', tax ? '' : 'Exempt') +
+        ublElement('cac:TaxScheme', ublText('cbc:ID', 'VAT')));
+}
+
+/**
+ * Write the tax categories a line or charge is taxed under
+ * @param {string} name - "cac:TaxCategory" or "cac:ClassifiedTaxCategory"
+ * @param {Object} entry - Item or charge
+ * @returns {string} XML
+ */
+function buildUBLTaxCategories(name, entry) {
+    var taxes = resolveItemTaxes(entry);
+    if (taxes.length === 0) return buildUBLTaxCategory(name, null);
+    return taxes.map(function(tax) {
+        return buildUBLTaxCategory(name, tax);
+    }).join('');
+}
+
+/**
+ * Write a discount as an allowance; percentage discounts also carry the
+ * factor they were applied with
+ * @param {Object} discount - Percentage or fixed discount
+ * @param {Object} amount - Discounted amount (decimal)
+ * @param {Object} base - Amount the discount applies to (decimal)
+ * @param {string} currency - Invoice currency
+ * @returns {string} XML
+ */
+function buildUBLAllowance(discount, amount, base, currency) {
+    return ublElement('cac:AllowanceCharge',
+        ublText('cbc:ChargeIndicator', 'false') +
+        ublText('cbc:AllowanceChargeReason', 'Discount') +
+        (discount.type === 'percent' ? ublText('cbc:MultiplierFactorNumeric', decimalToString(decimalPercent(toDecimal(1), discount.value))) : '') +
+        ublAmount('cbc:Amount', amount, currency) +
+        ublAmount('cbc:BaseAmount', base, currency));
+}
+
+/**
+ * Build the UBL 2.1 XML of an invoice record. Credit notes are written as
+ * CreditNote documents referencing the invoice they credit.
+ * @param {Object} record - Invoice history record, or the editor's record
+ * @returns {string} XML document
+ */
+function buildUBLDocument(record) {
+    var credit = isCreditNote(record);
+    var root = credit ? 'CreditNote' : 'Invoice';
+    var currency = getRecordCurrency(record);
+    var issuer = record.issuer || {};
+    var details = record.clientDetails || {};
+    var dueDate = credit ? null : getInvoiceDueDate(record);
+
+    var subtotal = roundMoney(toDecimal(record.subtotal), currency);
+    var discountAmount = roundMoney(toDecimal(record.discountAmount || 0), currency);
+    var chargeTotal = (record.charges || []).reduce(function(sum, charge) {
+        return decimalAdd(sum, toDecimal(charge.amount));
+    }, toDecimal(0));
+    var taxExclusive = decimalAdd(decimalSubtract(subtotal, discountAmount), chargeTotal);
+
+    var allowanceCharges = (record.discount && compareDecimals(discountAmount, toDecimal(0)) > 0 ?
+        buildUBLAllowance(record.discount, discountAmount, subtotal, currency) : '') +
+        (record.charges || []).map(function(charge) {
+            return ublElement('cac:AllowanceCharge',
+                ublText('cbc:ChargeIndicator', 'true') +
+                ublText('cbc:AllowanceChargeReason', charge.name) +
+                ublAmount('cbc:Amount', charge.amount, currency) +
+                buildUBLTaxCategories('cac:TaxCategory', charge));
+        }).join('');
+
+    // Records from before the per-rate breakdown only carry the tax total
+    var taxTotal = ublElement('cac:TaxTotal',
+        ublAmount('cbc:TaxAmount', record.tax || 0, currency) +
+        (record.taxes || []).map(function(tax) {
+            return ublElement('cac:TaxSubtotal',
+                ublAmount('cbc:TaxableAmount', tax.taxableBase, currency) +
+                ublAmount('cbc:TaxAmount', tax.amount, currency) +
+                buildUBLTaxCategory('cac:TaxCategory', tax));
+        }).join(''));
+
+    var lines = record.items.map(function(item, index) {
+        var line = calculateLine(item, currency);
+        return ublElement(credit ? 'cac:CreditNoteLine' : 'cac:InvoiceLine',
+            ublText('cbc:ID', index + 1) +
+            ublElement(credit ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity', escapeHtml(item.quantity),
+                { unitCode: UBL_UNIT_CODES[(item.unit || '').toLowerCase()] || item.unit || 'C62' }) +
+            ublAmount('cbc:LineExtensionAmount', line.net, currency) +
+            (item.discount && compareDecimals(line.discount, toDecimal(0)) > 0 ?
+                buildUBLAllowance(item.discount, line.discount, line.gross, currency) : '') +
+            ublElement('cac:Item',
+                ublText('cbc:Description', item.description) +
+                ublText('cbc:Name', item.name) +
+                (item.sku ? ublElement('cac:SellersItemIdentification', ublText('cbc:ID', item.sku)) : '') +
+                buildUBLTaxCategories('cac:ClassifiedTaxCategory', item)) +
+            // Unit prices keep their full precision
+            ublElement('cac:Price', ublElement('cbc:PriceAmount', escapeHtml(item.price), { currencyID: currency })));
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        ublElement(root,
+            ublText('cbc:UBLVersionID', '2.1') +
+            ublText('cbc:ID', record.invoiceNumber) +
+            ublText('cbc:IssueDate', getRecordIssueDate(record)) +
+            ublText('cbc:DueDate', dueDate) +
+            ublText(credit ? 'cbc:CreditNoteTypeCode' : 'cbc:InvoiceTypeCode', credit ? '381' : '380') +
+            ublText('cbc:Note', record.hash ? 'SHA-256 ' + record.hash : '') +
+            ublText('cbc:DocumentCurrencyCode', currency) +
+            (credit ? ublElement('cac:BillingReference',
+                ublElement('cac:InvoiceDocumentReference', ublText('cbc:ID', record.creditFor.invoiceNumber))) : '') +
+            ublElement('cac:AccountingSupplierParty', buildUBLParty({
+                name: issuer.legalName,
+                taxId: issuer.taxId,
+                address: issuer.address,
+                email: issuer.email,
+                phone: issuer.phone,
+                website: issuer.website
+            })) +
+            ublElement('cac:AccountingCustomerParty', buildUBLParty({
+                name: record.clientName,
+                taxId: record.fiscalField,
+                address: details.address,
+                email: details.email
+            })) +
+            (!credit && issuer.paymentInstructions ? ublElement('cac:PaymentMeans',
+                ublText('cbc:PaymentMeansCode', '1') +
+                ublText('cbc:InstructionNote', issuer.paymentInstructions)) : '') +
+            (dueDate ? ublElement('cac:PaymentTerms',
+                ublText('cbc:Note', record.paymentTerms ? 'Net ' + record.paymentTerms + ' days' : 'Due on receipt')) : '') +
+            allowanceCharges +
+            taxTotal +
+            ublElement('cac:LegalMonetaryTotal',
+                ublAmount('cbc:LineExtensionAmount', subtotal, currency) +
+                ublAmount('cbc:TaxExclusiveAmount', taxExclusive, currency) +
+                ublAmount('cbc:TaxInclusiveAmount', record.total, currency) +
+                (record.discount ? ublAmount('cbc:AllowanceTotalAmount', discountAmount, currency) : '') +
+                ((record.charges || []).length ? ublAmount('cbc:ChargeTotalAmount', chargeTotal, currency) : '') +
+                ublAmount('cbc:PayableAmount', record.total, currency)) +
+            lines,
+            {
+                xmlns: UBL_NAMESPACES[root],
+                'xmlns:cac': UBL_NAMESPACES.cac,
+                'xmlns:cbc': UBL_NAMESPACES.cbc
+            });
+}
+
+/**
+ * Get an element's name as used in UBL_REQUIRED_ELEMENTS
+ * @param {Element} element - XML element
+ * @returns {string} e.g. "cac:TaxTotal", or the local name of a document root
+ */
+function getUBLName(element) {
+    if (element.namespaceURI === UBL_NAMESPACES.cac) return 'cac:' + element.localName;
+    if (element.namespaceURI === UBL_NAMESPACES.cbc) return 'cbc:' + element.localName;
+    return element.localName;
+}
+
+/**
+ * Find the direct children of an element by UBL name
+ * @param {Element} parent - XML element
+ * @param {string} name - e.g. "cac:InvoiceLine"
+ * @returns {Array<Element>} Matching children
+ */
+function getUBLChildren(parent, name) {
+    return Array.prototype.filter.call(parent.children, function(child) {
+        return getUBLName(child) === name;
+    });
+}
+
+/**
+ * Follow a path of child elements, e.g. "cac:Item/cbc:Name"
+ * @param {Element} parent - XML element
+ * @param {string} path - Slash-separated UBL names
+ * @returns {Element|null} First match
+ */
+function getUBLElement(parent, path) {
+    return path.split('/').reduce(function(element, name) {
+        return element ? getUBLChildren(element, name)[0] || null : null;
+    }, parent);
+}
+
+/**
+ * Read the text at a path of child elements
+ * @param {Element} parent - XML element
+ * @param {string} path - Slash-separated UBL names
+ * @returns {string} Trimmed text, or an empty string when missing
+ */
+function getUBLValue(parent, path) {
+    var element = getUBLElement(parent, path);
+    return element ? element.textContent.trim() : '';
+}
+
+/**
+ * Parse UBL XML and check it against the elements the schema requires
+ * @param {string} xml - XML text
+ * @returns {Object} { document, problems }
+ */
+function validateUBL(xml) {
+    var xmlDoc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length) {
+        return { document: null, problems: [t('The file is not well-formed XML')] };
+    }
+    var root = xmlDoc.documentElement;
+    if (UBL_NAMESPACES[root.localName] !== root.namespaceURI || ['Invoice', 'CreditNote'].indexOf(root.localName) === -1) {
+        return { document: null, problems: [t('The file is not a UBL 2.1 Invoice or CreditNote')] };
+    }
+
+    var problems = [];
+    [root].concat(Array.prototype.slice.call(root.getElementsByTagName('*'))).forEach(function(element) {
+        var name = getUBLName(element);
+        (UBL_REQUIRED_ELEMENTS[name] || []).forEach(function(required) {
+            var child = getUBLChildren(element, required)[0];
+            if (!child || (required.indexOf('cbc:') === 0 && !child.textContent.trim())) {
+                problems.push(t('{element} is missing {required}', { element: name, required: required }));
+            }
+        });
+        if (element.namespaceURI === UBL_NAMESPACES.cbc && /Amount$/.test(element.localName)) {
+            if (!element.getAttribute('currencyID')) {
+                problems.push(t('{element} has no currencyID', { element: name }));
+            }
+            if (isNaN(parseFloat(element.textContent))) {
+                problems.push(t('{element} is not a number', { element: name }));
+            }
+        }
+    });
+    return { document: xmlDoc, problems: problems };
+}
+
+/**
+ * Validate a record's UBL XML and download it
+ * @param {Object} record - Invoice history record, or the editor's record
+ */
+function downloadUBL(record) {
+    var xml = buildUBLDocument(record);
+    var problems = validateUBL(xml).problems;
+    if (problems.length) {
+        alert(t('Could not export UBL: {error}', { error: problems.join('; ') }));
+        return;
+    }
+    downloadFile(
+        'NanoHash_' + getDocumentLabel(record).replace(' ', '_') + '_' + record.invoiceNumber + '.xml',
+        xml,
+        'application/xml'
+    );
+}
+
+/**
+ * Export the invoice in the editor as UBL. It carries the number it
+ * would be issued under but is not issued, sealed or recorded.
+ */
+function exportCurrentUBL() {
+    if (items.length === 0) {
+        alert(t('Add at least one item before exporting'));
+        return;
+    }
+    var record = buildEditorRecord();
+    record.invoiceNumber = peekDocumentNumber(creditTarget ? 'credit-note' : 'invoice', record.issueDate).number;
+    downloadUBL(record);
+}
+
+/**
+ * Export an issued invoice from history as UBL
+ * @param {number} index - Index of invoice in history
+ */
+function exportInvoiceUBL(index) {
+    var invoice = invoiceHistory[index];
+    if (!currencies[getRecordCurrency(invoice)]) {
+        alert(t('Add {currency} back to the currency list to export this invoice', { currency: getRecordCurrency(invoice) }));
+        return;
+    }
+    downloadUBL(invoice);
+}
+
+/**
+ * Find the tax category applying exactly the given UBL tax categories,
+ * matched on rate and, where both have one, name
+ * @param {Array<Element>} elements - TaxCategory or ClassifiedTaxCategory elements
+ * @returns {Object} { taxCategory, taxes } where taxes is a rate snapshot
+ *     for lines no category matches, otherwise null
+ */
+function matchUBLTaxCategory(elements) {
+    var taxes = elements.filter(function(element) {
+        return getUBLValue(element, 'cbc:ID') !== 'E';
+    }).map(function(element, index) {
+        var rate = parseFloat(getUBLValue(element, 'cbc:Percent')) || 0;
+        var name = getUBLValue(element, 'cbc:Name');
+        return { id: 'ubl-' + index, name: name || 'Tax ' + rate + '%', rate: rate, compound: false, named: !!name };
+    });
+
+    var category = taxCategories.filter(function(candidate) {
+        var rates = resolveItemTaxes({ taxCategory: candidate.id });
+        return rates.length === taxes.length && rates.every(function(rate, index) {
+            return rate.rate === taxes[index].rate &&
+                (!taxes[index].named || rate.name.toLowerCase() === taxes[index].name.toLowerCase());
+        });
+    })[0];
+    if (category) return { taxCategory: category.id, taxes: null };
+
+    return {
+        taxCategory: taxCategories[0].id,
+        taxes: taxes.map(function(tax) {
+            return { id: tax.id, name: tax.name, rate: tax.rate, compound: false };
+        })
+    };
+}
+
+/**
+ * Read a discount from an allowance element
+ * @param {Element} element - AllowanceCharge element
+ * @returns {Object} Percentage or fixed discount
+ */
+function readUBLDiscount(element) {
+    var factor = getUBLValue(element, 'cbc:MultiplierFactorNumeric');
+    if (factor) {
+        return { type: 'percent', value: decimalToNumber(decimalMultiply(toDecimal(factor), toDecimal(100))) };
+    }
+    return { type: 'fixed', value: parseFloat(getUBLValue(element, 'cbc:Amount')) };
+}
+
+/**
+ * Convert a UBL Invoice into a draft
+ * @param {Element} root - Invoice element
+ * @returns {Object} { draft } or { error }
+ */
+function readUBLInvoice(root) {
+    var payable = getUBLElement(root, 'cac:LegalMonetaryTotal/cbc:PayableAmount');
+    var currency = getUBLValue(root, 'cbc:DocumentCurrencyCode') || (payable ? payable.getAttribute('currencyID') : '');
+    if (!currency) {
+        return { error: t('the file is not a valid UBL invoice') };
+    }
+    if (!currencies[currency]) {
+        return { error: t('add {currency} to the currency list first', { currency: currency }) };
+    }
+
+    var baseId = Date.now();
+    var draftItems = [];
+    var lines = getUBLChildren(root, 'cac:InvoiceLine');
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i];
+        var quantityElement = getUBLElement(line, 'cbc:InvoicedQuantity');
+        var quantity = quantityElement ? parseFloat(quantityElement.textContent) : 1;
+        var price = getUBLValue(line, 'cac:Price/cbc:PriceAmount');
+        price = price ? parseFloat(price) : parseFloat(getUBLValue(line, 'cbc:LineExtensionAmount')) / quantity;
+        // Same rule as items entered in the editor: quantity and price above zero
+        if (!(quantity > 0) || !(price > 0)) {
+            return { error: t('line {number} has an invalid quantity or price', { number: i + 1 }) };
+        }
+        var itemElement = getUBLElement(line, 'cac:Item');
+        if (!itemElement) {
+            return { error: t('the file is not a valid UBL invoice') };
+        }
+
+        var unitCode = quantityElement ? quantityElement.getAttribute('unitCode') || '' : '';
+        var unit = Object.keys(UBL_UNIT_CODES).filter(function(key) {
+            return UBL_UNIT_CODES[key] === unitCode;
+        })[0];
+        var allowance = getUBLChildren(line, 'cac:AllowanceCharge').filter(function(element) {
+            return getUBLValue(element, 'cbc:ChargeIndicator') === 'false';
+        })[0];
+        var tax = matchUBLTaxCategory(getUBLChildren(itemElement, 'cac:ClassifiedTaxCategory'));
+
+        var item = {
+            id: baseId + i,
+            sku: getUBLValue(line, 'cac:Item/cac:SellersItemIdentification/cbc:ID'),
+            name: getUBLValue(line, 'cac:Item/cbc:Name') || getUBLValue(line, 'cac:Item/cbc:Description') || 'Item ' + (i + 1),
+            description: getUBLValue(line, 'cac:Item/cbc:Name') ? getUBLValue(line, 'cac:Item/cbc:Description') : '',
+            unit: unit || (unitCode === 'C62' ? '' : unitCode),
+            quantity: quantity,
+            price: price,
+            taxCategory: tax.taxCategory
+        };
+        if (allowance) item.discount = readUBLDiscount(allowance);
+        if (tax.taxes) item.taxes = tax.taxes;
+        draftItems.push(item);
+    }
+
+    var discount = null;
+    var draftCharges = [];
+    getUBLChildren(root, 'cac:AllowanceCharge').forEach(function(element, index) {
+        if (getUBLValue(element, 'cbc:ChargeIndicator') === 'false') {
+            discount = readUBLDiscount(element);
+            return;
+        }
+        var chargeTax = matchUBLTaxCategory(getUBLChildren(element, 'cac:TaxCategory'));
+        var charge = {
+            id: baseId + lines.length + index,
+            name: getUBLValue(element, 'cbc:AllowanceChargeReason') || 'Charge',
+            amount: parseFloat(getUBLValue(element, 'cbc:Amount')),
+            taxCategory: chargeTax.taxCategory
+        };
+        if (chargeTax.taxes) charge.taxes = chargeTax.taxes;
+        draftCharges.push(charge);
+    });
+
+    var buyer = getUBLElement(root, 'cac:AccountingCustomerParty/cac:Party');
+    var clientName = buyer ? getUBLValue(buyer, 'cac:PartyLegalEntity/cbc:RegistrationName') || getUBLValue(buyer, 'cac:PartyName/cbc:Name') : '';
+    var client = findClientByName(clientName);
+    var issueDate = getUBLValue(root, 'cbc:IssueDate');
+    var dueDate = getUBLValue(root, 'cbc:DueDate');
+    var terms = issueDate && dueDate ?
+        Math.round((parseISODate(dueDate) - parseISODate(issueDate)) / 86400000) : 0;
+
+    return {
+        draft: {
+            id: 'draft-' + baseId,
+            clientName: clientName,
+            fiscalField: buyer ? getUBLValue(buyer, 'cac:PartyTaxScheme/cbc:CompanyID') : '',
+            clientId: client ? client.id : null,
+            language: client && client.language ? client.language : uiLanguage,
+            baseCurrency: currency,
+            currency: '',
+            issueDate: /^\d{4}-\d{2}-\d{2}$/.test(issueDate) ? issueDate : getTodayISO(),
+            paymentTerms: terms > 0 ? String(terms) : '',
+            items: draftItems,
+            charges: draftCharges,
+            discount: discount,
+            creditTarget: null,
+            pinnedRate: null,
+            updated: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Import a UBL 2.1 Invoice file into the editor as a new draft. The
+ * invoice is not issued: it gets a number of its own once it is.
+ * @param {HTMLInputElement} input - File input holding the XML file
+ */
+function importUBL(input) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        input.value = '';
+        var result = validateUBL(reader.result);
+        if (result.problems.length) {
+            alert(t('Could not import UBL: {error}', { error: result.problems.join('; ') }));
+            return;
+        }
+        var root = result.document.documentElement;
+        if (root.localName !== 'Invoice') {
+            alert(t('Could not import UBL: {error}', { error: t('only Invoice documents can be loaded as drafts') }));
+            return;
+        }
+        var imported = readUBLInvoice(root);
+        if (imported.error) {
+            alert(t('Could not import UBL: {error}', { error: imported.error }));
+            return;
+        }
+
+        drafts.unshift(imported.draft);
+        restoreDraft(imported.draft);
+        renderDraftCount();
+        renderDraftList();
+        document.getElementById('ublImportStatus').textContent = tn(
+            'Loaded invoice {number} as a draft with {count} line. It is numbered when issued.',
+            'Loaded invoice {number} as a draft with {count} lines. It is numbered when issued.',
+            imported.draft.items.length, { number: getUBLValue(root, 'cbc:ID') });
+    };
+    reader.readAsText(file);
+}
+
+/* TAX SETTINGS FUNCTIONS */
+
+/**
+ * Persist tax rates and categories to localStorage
+ */
+function saveTaxSettings() {
+    appStorage.setItem('taxSettings', JSON.stringify({ rates: taxRates, categories: taxCategories }));
+}
+
+/**
+ * Fill the item, charge, client and catalog tax category selects, keeping the current selection if possible
+ */
+function populateTaxCategorySelect() {
+    ['itemTaxCategory', 'chargeTaxCategory', 'clientTaxCategory', 'catalogTaxCategory'].forEach(function(id) {
+        var select = document.getElementById(id);
+        var selected = select.value;
+        select.innerHTML = taxCategories.map(function(category) {
+            return '<option value="' + escapeHtml(category.id) + '">' + escapeHtml(category.name) + '</option>';
+        }).join('');
+        if (taxCategories.some(function(category) { return category.id === selected; })) {
+            select.value = selected;
+        }
+    });
+}
+
+/**
+ * Apply a tax settings change everywhere it is shown
+ */
+function refreshTaxSettings() {
+    saveTaxSettings();
+    populateTaxCategorySelect();
+    renderTaxSettings();
+    updateDisplay();
+}
+
+/**
+ * Render the tax rates and categories editors
+ */
+function renderTaxSettings() {
+    document.getElementById('taxRatesList').innerHTML = taxRates.map(function(tax, index) {
+        return '<tr>' +
+            '<td><input type="text" value="' + escapeHtml(tax.name) + '" onchange="updateTaxRate(' + index + ', \'name\', this.value)"></td>' +
+            '<td><input type="number" value="' + tax.rate + '" min="0" max="100" step="0.01" onchange="updateTaxRate(' + index + ', \'rate\', this.value)"></td>' +
+            '<td style="text-align: center;"><input type="checkbox"' + (tax.compound ? ' checked' : '') + ' onchange="updateTaxRate(' + index + ', \'compound\', this.checked)"></td>' +
+            '<td style="text-align: center;"><button class="btn btn-danger btn-small" onclick="removeTaxRate(' + index + ')">' + t('Delete') + '</button></td>' +
+        '</tr>';
+    }).join('');
+
+    document.getElementById('taxCategoriesList').innerHTML = taxCategories.map(function(category, index) {
+        var rateToggles = taxRates.map(function(tax) {
+            return '<label class="tax-toggle">' +
+                '<input type="checkbox"' + (category.taxes.indexOf(tax.id) !== -1 ? ' checked' : '') +
+                    ' onchange="toggleCategoryTax(' + index + ', \'' + tax.id + '\', this.checked)"> ' +
+                escapeHtml(tax.name) +
+            '</label>';
+        }).join('');
+        return '<tr>' +
+            '<td><input type="text" value="' + escapeHtml(category.name) + '" onchange="renameTaxCategory(' + index + ', this.value)"></td>' +
+            '<td>' + (rateToggles || '—') + (category.taxes.length === 0 ? ' <em>' + t('(exempt)') + '</em>' : '') + '</td>' +
+            '<td style="text-align: center;">' +
+                (index === 0 ? '<em>' + t('Default') + '</em>' :
+                    '<button class="btn btn-danger btn-small" onclick="removeTaxCategory(' + index + ')">' + t('Delete') + '</button>') +
+            '</td>' +
+        '</tr>';
+    }).join('');
+}
+
+/**
+ * Add a new named tax rate
+ */
+function addTaxRate() {
+    var name = document.getElementById('newTaxName').value.trim();
+    var rate = parseFloat(document.getElementById('newTaxRate').value);
+    if (!name || isNaN(rate) || rate < 0 || rate > 100) {
+        alert(t('Enter a tax name and a rate between 0 and 100'));
+        return;
+    }
+
+    taxRates.push({
+        id: 'tax-' + Date.now(),
+        name: name,
+        rate: rate,
+        compound: document.getElementById('newTaxCompound').checked
+    });
+    document.getElementById('newTaxName').value = '';
+    document.getElementById('newTaxRate').value = '';
+    document.getElementById('newTaxCompound').checked = false;
+    refreshTaxSettings();
+}
+
+/**
+ * Update a field of an existing tax rate
+ * @param {number} index - Index in taxRates
+ * @param {string} field - 'name', 'rate' or 'compound'
+ * @param {*} value - New value
+ */
+function updateTaxRate(index, field, value) {
+    if (field === 'rate') {
+        value = parseFloat(value);
+        if (isNaN(value) || value < 0 || value > 100) {
+            renderTaxSettings();
+            return;
+        }
+    }
+    if (field === 'name' && !value.trim()) {
+        renderTaxSettings();
+        return;
+    }
+    taxRates[index][field] = value;
+    refreshTaxSettings();
+}
+
+/**
+ * Delete a tax rate and remove it from every category
+ * @param {number} index - Index in taxRates
+ */
+function removeTaxRate(index) {
+    var id = taxRates[index].id;
+    taxRates.splice(index, 1);
+    taxCategories.forEach(function(category) {
+        category.taxes = category.taxes.filter(function(rateId) {
+            return rateId !== id;
+        });
+    });
+    refreshTaxSettings();
+}
+
+/**
+ * Add a new tax category (exempt until rates are assigned)
+ */
+function addTaxCategory() {
+    var name = document.getElementById('newCategoryName').value.trim();
+    if (!name) return;
+
+    taxCategories.push({ id: 'category-' + Date.now(), name: name, taxes: [] });
+    document.getElementById('newCategoryName').value = '';
+    refreshTaxSettings();
+}
+
+/**
+ * Rename a tax category
+ * @param {number} index - Index in taxCategories
+ * @param {string} name - New name
+ */
+function renameTaxCategory(index, name) {
+    if (name.trim()) {
+        taxCategories[index].name = name.trim();
+    }
+    refreshTaxSettings();
+}
+
+/**
+ * Add or remove a tax rate from a category, keeping rate order for compounding
+ * @param {number} index - Index in taxCategories
+ * @param {string} rateId - Tax rate id
+ * @param {boolean} enabled - Whether the rate applies
+ */
+function toggleCategoryTax(index, rateId, enabled) {
+    var category = taxCategories[index];
+    var selected = category.taxes.filter(function(id) {
+        return id !== rateId;
+    });
+    if (enabled) selected.push(rateId);
+    category.taxes = taxRates.map(function(tax) {
+        return tax.id;
+    }).filter(function(id) {
+        return selected.indexOf(id) !== -1;
+    });
+    refreshTaxSettings();
+}
+
+/**
+ * Delete a tax category; its items fall back to the default category
+ * @param {number} index - Index in taxCategories
+ */
+function removeTaxCategory(index) {
+    taxCategories.splice(index, 1);
+    refreshTaxSettings();
+}
+
+/**
+ * Read the rounding selects, persist them and refresh the totals
+ */
+function updateRoundingSettings() {
+    roundingSettings = {
+        mode: document.getElementById('roundingMode').value,
+        strategy: document.getElementById('roundingStrategy').value
+    };
+    appStorage.setItem('roundingSettings', JSON.stringify(roundingSettings));
+    updateDisplay();
+}
+
+/**
+ * Show tax settings modal
+ */
+function showTaxSettings() {
+    renderTaxSettings();
+    document.getElementById('roundingMode').value = roundingSettings.mode;
+    document.getElementById('roundingStrategy').value = roundingSettings.strategy;
+    document.getElementById('taxModal').style.display = 'block';
+}
+
+/**
+ * Close tax settings modal
+ */
+function closeTaxSettings() {
+    document.getElementById('taxModal').style.display = 'none';
+}
+
+/* CURRENCY SETTINGS FUNCTIONS */
+
+/**
+ * Persist the currency registry to localStorage
+ */
+function saveCurrencies() {
+    appStorage.setItem('currencies', JSON.stringify(currencies));
+}
+
+/**
+ * Fill the invoice and reference currency selects from the registry, keeping the
+ * current selections if possible. A pinned reference currency missing from the
+ * registry is kept so a regenerated invoice still converts.
+ */
+function populateCurrencySelect() {
+    var options = Object.keys(currencies).map(function(code) {
+        return '<option value="' + code + '">' + escapeHtml(currencies[code].name) + ' (' + code + ')</option>';
+    });
+
+    var baseSelect = document.getElementById('baseCurrency');
+    if (!currencies[invoiceCurrency]) invoiceCurrency = 'USD';
+    baseSelect.innerHTML = options.join('');
+    baseSelect.value = invoiceCurrency;
+
+    var select = document.getElementById('currency');
+    var selected = select.value;
+    if (pinnedRate && !currencies[pinnedRate.currency]) {
+        options.push('<option value="' + escapeHtml(pinnedRate.currency) + '">' + escapeHtml(pinnedRate.currency) + ' ' + t('(removed)') + '</option>');
+    }
+    select.innerHTML = '<option value="">' + t('None') + '</option>' + options.join('');
+    if (Array.prototype.some.call(select.options, function(option) { return option.value === selected; })) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Show the invoice currency code on price and amount labels
+ */
+function renderCurrencyLabels() {
+    Array.prototype.forEach.call(document.querySelectorAll('.currency-code'), function(label) {
+        label.textContent = invoiceCurrency;
+    });
+}
+
+/**
+ * Switch the currency the invoice is billed in and remember it for the next invoice
+ * @param {string} code - Currency code
+ */
+function setBaseCurrency(code) {
+    invoiceCurrency = code;
+    appStorage.setItem('baseCurrency', code);
+    document.getElementById('baseCurrency').value = code;
+    renderCurrencyLabels();
+    updateDisplay();
+}
+
+/**
+ * Show the rates the summary converts with, flagging a pinned invoice rate
+ * @param {Object} totals - Result of calculateTotals()
+ */
+function renderExchangeInfo(totals) {
+    var html = '<strong>' + t('Exchange rates:') + '</strong>' + Object.keys(currencies).filter(function(code) {
+        return code !== 'USD';
+    }).map(function(code) {
+        return escapeHtml(describeRate(getRegistryRate('USD', code), uiLanguage));
+    }).join(' &nbsp;|&nbsp; ');
+
+    if (totals.rate && isPinnedRate(totals.baseCurrency, totals.currency)) {
+        html += '<div class="pinned-rate">' + t('Converting at the rate frozen on invoice #{number}: {rate}', {
+            number: escapeHtml(String(creditTarget ? creditTarget.invoiceNumber : '')),
+            rate: escapeHtml(describeRate(totals.rate, uiLanguage))
+        }) + ' <button class="btn btn-secondary btn-small" onclick="unpinRate()">' + t('Use current rate') + '</button></div>';
+    } else if (totals.rate && totals.baseCurrency !== 'USD') {
+        html += '<div>' + t('Reference conversion: {rate}', { rate: escapeHtml(describeRate(totals.rate, uiLanguage)) }) + '</div>';
+    }
+    document.getElementById('exchangeInfo').innerHTML = html;
+}
+
+/**
+ * Drop the pinned invoice rate and convert with the registry again
+ */
+function unpinRate() {
+    pinnedRate = null;
+    populateCurrencySelect();
+    updateDisplay();
+}
+
+/**
+ * Apply a currency registry change everywhere it is shown
+ */
+function refreshCurrencies() {
+    saveCurrencies();
+    populateCurrencySelect();
+    renderCurrencySettings();
+    updateDisplay();
+}
+
+/**
+ * Render the currency registry editor
+ */
+function renderCurrencySettings() {
+    document.getElementById('currencyList').innerHTML = Object.keys(currencies).map(function(code) {
+        var entry = currencies[code];
+        var isBase = code === 'USD';
+        return '<tr>' +
+            '<td><strong>' + code + '</strong></td>' +
+            '<td><input type="text" value="' + escapeHtml(entry.name) + '" onchange="updateCurrency(\'' + code + '\', \'name\', this.value)"></td>' +
+            '<td><input type="number" value="' + entry.decimals + '" min="0" max="4" step="1" onchange="updateCurrency(\'' + code + '\', \'decimals\', this.value)"></td>' +
+            '<td>' + (isBase ? '1 <em>' + t('(base)') + '</em>' :
+                '<input type="number" value="' + entry.rate + '" min="0" step="any" onchange="updateCurrency(\'' + code + '\', \'rate\', this.value)">') + '</td>' +
+            '<td>' + escapeHtml(entry.rateDate || '—') + '<br><small>' + escapeHtml(t(entry.rateSource)) + '</small></td>' +
+            '<td style="text-align: center;">' +
+                (isBase ? '<em>' + t('Base') + '</em>' :
+                    '<button class="btn btn-danger btn-small" onclick="removeCurrency(\'' + code + '\')">' + t('Delete') + '</button>') +
+            '</td>' +
+        '</tr>';
+    }).join('');
+}
+
+/**
+ * Check that a code is a well-formed ISO 4217 code that Intl can format
+ * @param {string} code - Currency code
+ * @returns {boolean} True if usable
+ */
+function isValidCurrencyCode(code) {
+    if (!/^[A-Z]{3}$/.test(code)) return false;
+    try {
+        new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Get the standard number of decimal places of a currency (e.g. 0 for JPY)
+ * @param {string} code - Currency code
+ * @returns {number} Decimal places
+ */
+function getDefaultCurrencyDecimals(code) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Add a currency from the settings form
+ */
+function addCurrency() {
+    var code = document.getElementById('newCurrencyCode').value.trim().toUpperCase();
+    var name = document.getElementById('newCurrencyName').value.trim();
+    var rate = parseFloat(document.getElementById('newCurrencyRate').value);
+    if (!isValidCurrencyCode(code) || currencies[code]) {
+        alert(t('Enter a new three-letter ISO 4217 currency code'));
+        return;
+    }
+    if (isNaN(rate) || rate <= 0) {
+        alert(t('Enter the number of {currency} per 1 USD', { currency: code }));
+        return;
+    }
+
+    currencies[code] = {
+        name: name || code,
+        decimals: getDefaultCurrencyDecimals(code),
+        rate: rate,
+        rateDate: getTodayISO(),
+        rateSource: 'Manual'
+    };
+    document.getElementById('newCurrencyCode').value = '';
+    document.getElementById('newCurrencyName').value = '';
+    document.getElementById('newCurrencyRate').value = '';
+    refreshCurrencies();
+}
+
+/**
+ * Update a field of a registered currency. A new rate is stamped with today's date.
+ * @param {string} code - Currency code
+ * @param {string} field - 'name', 'decimals' or 'rate'
+ * @param {string} value - New value from the input
+ */
+function updateCurrency(code, field, value) {
+    var entry = currencies[code];
+    if (field === 'name') {
+        if (!value.trim()) {
+            renderCurrencySettings();
+            return;
+        }
+        entry.name = value.trim();
+    } else if (field === 'decimals') {
+        var decimals = parseInt(value, 10);
+        if (isNaN(decimals) || decimals < 0 || decimals > 4) {
+            renderCurrencySettings();
+            return;
+        }
+        entry.decimals = decimals;
+    } else {
+        var rate = parseFloat(value);
+        if (isNaN(rate) || rate <= 0) {
+            renderCurrencySettings();
+            return;
+        }
+        entry.rate = rate;
+        entry.rateDate = getTodayISO();
+        entry.rateSource = 'Manual';
+    }
+    refreshCurrencies();
+}
+
+/**
+ * Remove a currency from the registry. Issued invoices keep their frozen rate.
+ * @param {string} code - Currency code
+ */
+function removeCurrency(code) {
+    if (!confirm(t('Remove {currency} from the currency list?', { currency: code }))) return;
+    delete currencies[code];
+    if (document.getElementById('currency').value === code) {
+        document.getElementById('currency').value = '';
+    }
+    if (invoiceCurrency === code) {
+        setBaseCurrency('USD');
+    }
+    refreshCurrencies();
+}
+
+/**
+ * Parse a rate table file. Accepted formats:
+ * - JSON object: { "base": "USD", "date": "2026-10-01", "source": "ECB", "rates": { "EUR": 0.92 } }
+ * - JSON array: [{ "code": "EUR", "rate": 0.92, "date": "2026-10-01" }]
+ * - CSV with a header row: code,rate and optional date,name,decimals,source columns
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Rate rows { code, rate, date, name, decimals, source }
+ */
+function parseRateTable(text) {
+    var rows;
+    var trimmed = text.trim();
+
+    if (trimmed.charAt(0) === '{' || trimmed.charAt(0) === '[') {
+        var data = JSON.parse(trimmed);
+        if (Array.isArray(data)) {
+            rows = data;
+        } else {
+            if (data.base && data.base !== 'USD') {
+                throw new Error(t('Rates must be quoted against USD, not {currency}', { currency: data.base }));
+            }
+            rows = Object.keys(data.rates || {}).map(function(code) {
+                return { code: code, rate: data.rates[code], date: data.date, source: data.source };
+            });
+        }
+    } else {
+        var table = parseCSV(trimmed);
+        var header = (table.shift() || []).map(function(name) { return name.toLowerCase(); });
+        if (header.indexOf('code') === -1 || header.indexOf('rate') === -1) {
+            throw new Error(t('CSV needs a header row with "code" and "rate" columns'));
+        }
+        rows = table.map(function(cells) {
+            var row = {};
+            header.forEach(function(name, index) {
+                if (cells[index] !== undefined && cells[index] !== '') row[name] = cells[index];
+            });
+            return row;
+        });
+    }
+
+    return rows.map(function(row, index) {
+        var code = String(row.code || '').trim().toUpperCase();
+        var rate = parseFloat(row.rate);
+        if (!isValidCurrencyCode(code)) {
+            throw new Error(t('Row {row}: "{code}" is not a currency code', { row: index + 1, code: row.code }));
+        }
+        if (isNaN(rate) || rate <= 0 || (code === 'USD' && rate !== 1)) {
+            throw new Error(t('Row {row}: invalid rate for {currency}', { row: index + 1, currency: code }));
+        }
+        if (row.date && !/^\d{4}-\d{2}-\d{2}$/.test(row.date)) {
+            throw new Error(t('Row {row}: date must be YYYY-MM-DD', { row: index + 1 }));
+        }
+        return {
+            code: code,
+            rate: rate,
+            date: row.date || null,
+            name: row.name ? String(row.name) : null,
+            decimals: row.decimals !== undefined ? parseInt(row.decimals, 10) : null,
+            source: row.source ? String(row.source) : null
+        };
+    });
+}
+
+/**
+ * Import a CSV or JSON rate table, updating known currencies and adding new ones
+ * @param {HTMLInputElement} input - File input with the rate table
+ */
+function importCurrencyRates(input) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        input.value = '';
+        var rows;
+        try {
+            rows = parseRateTable(reader.result);
+        } catch (error) {
+            alert(t('Could not import rates: {error}', { error: error.message }));
+            return;
+        }
+
+        var added = 0;
+        rows.forEach(function(row) {
+            if (row.code === 'USD') return;
+            var entry = currencies[row.code];
+            if (!entry) {
+                entry = currencies[row.code] = { name: row.code, decimals: getDefaultCurrencyDecimals(row.code) };
+                added++;
+            }
+            if (row.name) entry.name = row.name;
+            if (row.decimals !== null && row.decimals >= 0 && row.decimals <= 4) entry.decimals = row.decimals;
+            entry.rate = row.rate;
+            entry.rateDate = row.date || getTodayISO();
+            entry.rateSource = row.source || 'Import: ' + file.name;
+        });
+        refreshCurrencies();
+        document.getElementById('currencyImportStatus').textContent =
+            tn('Imported {count} rate from {file}', 'Imported {count} rates from {file}', rows.length, { file: file.name }) +
+            (added ? tn(', {count} new currency', ', {count} new currencies', added) : '') + '.';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Show currency settings modal
+ */
+function showCurrencies() {
+    document.getElementById('currencyImportStatus').textContent = '';
+    renderCurrencySettings();
+    document.getElementById('currencyModal').style.display = 'block';
+}
+
+/**
+ * Close currency settings modal
+ */
+function closeCurrencies() {
+    document.getElementById('currencyModal').style.display = 'none';
+}
+
+/* CLIENT DIRECTORY FUNCTIONS */
+
+/**
+ * Persist the client book to localStorage
+ */
+function saveClients() {
+    appStorage.setItem('clients', JSON.stringify(clients));
+}
+
+/**
+ * Find a client by id
+ * @param {string} id - Client id
+ * @returns {Object|null} Client record, or null if unknown
+ */
+function getClient(id) {
+    return clients.filter(function(client) { return client.id === id; })[0] || null;
+}
+
+/**
+ * Find a client by name, ignoring case and surrounding spaces
+ * @param {string} name - Client name
+ * @returns {Object|null} Client record, or null if none matches
+ */
+function findClientByName(name) {
+    var key = name.trim().toLowerCase();
+    if (!key) return null;
+    return clients.filter(function(client) { return client.name.toLowerCase() === key; })[0] || null;
+}
+
+/**
+ * Format a record's client, linking it to the client book when the invoice is linked
+ * @param {Object} invoice - Invoice history record
+ * @returns {string} HTML
+ */
+function formatRecordClient(invoice) {
+    if (invoice.clientId && getClient(invoice.clientId)) {
+        return '<a href="#" onclick="showClientInvoices(\'' + invoice.clientId + '\'); return false;">' + escapeHtml(invoice.clientName) + '</a>';
+    }
+    return escapeHtml(invoice.clientName);
+}
+
+/**
+ * Fill the client name autocomplete with the client book
+ */
+function populateClientSuggestions() {
+    document.getElementById('clientSuggestions').innerHTML = clients.map(function(client) {
+        return '<option value="' + escapeHtml(client.name) + '">' + escapeHtml(client.fiscalId || '') + '</option>';
+    }).join('');
+}
+
+/**
+ * Link the invoice to a client and fill the header from its defaults
+ * @param {Object} client - Client record
+ */
+function applyClient(client) {
+    currentClientId = client.id;
+    document.getElementById('clientName').value = client.name;
+    document.getElementById('fiscalField').value = client.fiscalId || '';
+    if (client.currency && currencies[client.currency]) {
+        setBaseCurrency(client.currency);
+    }
+    if (getTaxCategory(client.taxCategory).id === client.taxCategory) {
+        document.getElementById('itemTaxCategory').value = client.taxCategory;
+    }
+    if (LANGUAGES[client.language]) {
+        document.getElementById('documentLanguage').value = client.language;
+    }
+    document.getElementById('paymentTerms').value = client.paymentTerms || '';
+    renderDueDateHint();
+    renderClientInfo();
+}
+
+/**
+ * Link or unlink the client book as the client name is typed or picked
+ */
+function onClientNameInput() {
+    var client = findClientByName(document.getElementById('clientName').value);
+    if (client && client.id !== currentClientId) {
+        applyClient(client);
+    } else if (!client && currentClientId) {
+        currentClientId = null;
+        renderClientInfo();
+    }
+    updateDisplay();
+}
+
+/**
+ * Show the linked client's billing details under the invoice header
+ */
+function renderClientInfo() {
+    var client = getClient(currentClientId);
+    var info = document.getElementById('clientInfo');
+    if (!client) {
+        info.style.display = 'none';
+        info.innerHTML = '';
+        return;
+    }
+    info.style.display = 'block';
+    info.innerHTML = '<strong>' + t('Client book:') + '</strong> ' +
+        [client.address.replace(/\r?\n/g, ', '), client.email, formatPaymentTerms(client.paymentTerms, uiLanguage)].filter(Boolean).map(escapeHtml).join(' · ');
+}
+
+/**
+ * Render the client book table with each client's invoice count
+ */
+function renderClientList() {
+    var list = document.getElementById('clientList');
+    if (clients.length === 0) {
+        list.innerHTML = '<tr><td colspan="6" style="text-align: center;"><em>' + t('No clients yet') + '</em></td></tr>';
+        return;
+    }
+    list.innerHTML = clients.map(function(client) {
+        return '<tr>' +
+            '<td>' + escapeHtml(client.name) + '</td>' +
+            '<td>' + escapeHtml(client.fiscalId || '—') + '</td>' +
+            '<td>' + escapeHtml(client.email || '—') + '</td>' +
+            '<td>' + escapeHtml(client.currency) + '</td>' +
+            '<td style="text-align: center;">' + getClientInvoices(client).length + '</td>' +
+            '<td class="history-actions">' +
+                '<button class="btn btn-primary btn-small" onclick="editClient(\'' + client.id + '\')">' + t('Edit') + '</button>' +
+                '<button class="btn btn-primary btn-small" onclick="showClientInvoices(\'' + client.id + '\')">' + t('Invoices') + '</button>' +
+                '<button class="btn btn-danger btn-small" onclick="deleteClient(\'' + client.id + '\')">' + t('Delete') + '</button>' +
+            '</td>' +
+        '</tr>';
+    }).join('');
+}
+
+/**
+ * Clear the client form back to "add" mode
+ */
+function resetClientForm() {
+    document.getElementById('editingClientId').value = '';
+    document.getElementById('clientFormTitle').textContent = t('Add Client');
+    ['clientFormName', 'clientFormFiscalId', 'clientFormEmail', 'clientFormAddress'].forEach(function(id) {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('clientFormTerms').value = '0';
+    document.getElementById('clientCurrency').value = getBaseCurrency();
+    document.getElementById('clientTaxCategory').value = taxCategories[0].id;
+    document.getElementById('clientLanguage').value = '';
+    document.getElementById('clientFormError').textContent = '';
+}
+
+/**
+ * Load a client into the form for editing
+ * @param {string} id - Client id
+ */
+function editClient(id) {
+    var client = getClient(id);
+    document.getElementById('editingClientId').value = client.id;
+    document.getElementById('clientFormTitle').textContent = t('Edit Client');
+    document.getElementById('clientFormName').value = client.name;
+    document.getElementById('clientFormFiscalId').value = client.fiscalId;
+    document.getElementById('clientFormEmail').value = client.email;
+    document.getElementById('clientFormAddress').value = client.address;
+    document.getElementById('clientFormTerms').value = client.paymentTerms;
+    document.getElementById('clientCurrency').value = currencies[client.currency] ? client.currency : 'USD';
+    document.getElementById('clientTaxCategory').value = getTaxCategory(client.taxCategory).id;
+    document.getElementById('clientLanguage').value = LANGUAGES[client.language] ? client.language : '';
+    document.getElementById('clientFormError').textContent = '';
+}
+
+/**
+ * Validate the client form and create or update the client
+ */
+function saveClient() {
+    var id = document.getElementById('editingClientId').value;
+    var name = document.getElementById('clientFormName').value.trim();
+    var email = document.getElementById('clientFormEmail').value.trim();
+    var terms = document.getElementById('clientFormTerms').value.trim();
+    var error = document.getElementById('clientFormError');
+    var existing = findClientByName(name);
+
+    if (!name) {
+        error.textContent = t('Client name is required');
+        return;
+    }
+    if (existing && existing.id !== id) {
+        error.textContent = t('A client named "{name}" already exists', { name: existing.name });
+        return;
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        error.textContent = t('Enter a valid email address');
+        return;
+    }
+    if (!/^\d+$/.test(terms || '0')) {
+        error.textContent = t('Payment terms must be a whole number of days');
+        return;
+    }
+
+    var client = getClient(id);
+    if (!client) {
+        client = { id: 'client-' + Date.now() };
+        clients.push(client);
+    }
+    Object.assign(client, {
+        name: name,
+        fiscalId: document.getElementById('clientFormFiscalId').value.trim(),
+        address: document.getElementById('clientFormAddress').value.trim(),
+        email: email,
+        currency: document.getElementById('clientCurrency').value,
+        taxCategory: document.getElementById('clientTaxCategory').value,
+        paymentTerms: parseInt(terms || '0', 10),
+        // Language of documents issued to the client; empty keeps the interface language
+        language: document.getElementById('clientLanguage').value
+    });
+    clients.sort(function(a, b) { return a.name.localeCompare(b.name); });
+
+    saveClients();
+    populateClientSuggestions();
+    resetClientForm();
+    renderClientList();
+    if (client.id === currentClientId) {
+        applyClient(client);
+        updateDisplay();
+    }
+}
+
+/**
+ * Delete a client. Issued invoices keep their client name and billing details.
+ * @param {string} id - Client id
+ */
+function deleteClient(id) {
+    var client = getClient(id);
+    if (!confirm(t('Delete client "{name}"? Issued invoices are kept.', { name: client.name }))) return;
+
+    clients = clients.filter(function(candidate) { return candidate.id !== id; });
+    if (currentClientId === id) {
+        currentClientId = null;
+        renderClientInfo();
+    }
+    saveClients();
+    populateClientSuggestions();
+    resetClientForm();
+    renderClientList();
+    document.getElementById('clientInvoices').innerHTML = '';
+}
+
+/**
+ * Get the issued invoices billed to a client. Invoices issued before the
+ * client book existed are matched by client name.
+ * @param {Object} client - Client record
+ * @returns {Array<Object>} Entries { invoice, index, state }
+ */
+function getClientInvoices(client) {
+    var name = client.name.toLowerCase();
+    return invoiceHistory.map(function(invoice, index) {
+        return { invoice: invoice, index: index };
+    }).filter(function(entry) {
+        var invoice = entry.invoice;
+        if (isChainEvent(invoice)) return false;
+        return invoice.clientId ? invoice.clientId === client.id : invoice.clientName.toLowerCase() === name;
+    }).map(function(entry) {
+        entry.state = getInvoiceState(entry.invoice);
+        return entry;
+    });
+}
+
+/**
+ * Show everything billed to a client, with totals per currency
+ * @param {string} id - Client id
+ * @returns {Promise} Resolves once the invoices or the error are shown
+ */
+function showClientInvoices(id) {
+    return requireHistory().then(function() {
+        if (document.getElementById('clientModal').style.display !== 'block') {
+            closeHistory();
+            showClients();
+        }
+
+        var client = getClient(id);
+        var entries = getClientInvoices(client);
+        var totals = {};
+        var outstanding = {};
+
+        // Credit notes offset what was billed; voided documents do not count
+        entries.forEach(function(entry) {
+            if (entry.state.status === 'void') return;
+            var currency = getRecordCurrency(entry.invoice);
+            var amount = toDecimal(entry.invoice.total);
+            totals[currency] = isCreditNote(entry.invoice) ?
+                decimalSubtract(totals[currency] || toDecimal(0), amount) :
+                decimalAdd(totals[currency] || toDecimal(0), amount);
+            if (entry.state.outstanding > 0) {
+                outstanding[currency] = decimalAdd(outstanding[currency] || toDecimal(0), toDecimal(entry.state.outstanding));
+            }
+        });
+
+        function formatTotals(amounts) {
+            return Object.keys(amounts).map(function(currency) {
+                return formatMoney(decimalToNumber(amounts[currency]), currency);
+            }).join(' + ') || formatMoney(0, getBaseCurrency());
+        }
+
+        document.getElementById('clientInvoices').innerHTML =
+            '<h3>' + t('Invoices for {name}', { name: escapeHtml(client.name) }) + '</h3>' +
+            (entries.length === 0 ? '<p class="modal-hint">' + t('No invoices billed to this client yet.') + '</p>' :
+                '<p class="modal-hint"><strong>' + t('Total billed:') + '</strong> ' + formatTotals(totals) +
+                    ' · <strong>' + t('Outstanding:') + '</strong> ' + formatTotals(outstanding) + '</p>' +
+                entries.map(function(entry) {
+                    var invoice = entry.invoice;
+                    return '<div class="history-item' + (entry.state.status === 'void' ? ' history-item-void' : '') + '">' +
+                        '<div class="history-item-header">' +
+                            '<div class="history-item-title">' + getDocumentLabel(invoice, uiLanguage) + ' #' + escapeHtml(invoice.invoiceNumber) +
+                                formatStatusBadges(invoice, entry.state) +
+                            '</div>' +
+                            '<div class="history-actions">' +
+                                '<button class="btn btn-primary btn-small" onclick="openHistoryInvoice(' + entry.index + ')">' + t('View Details') + '</button>' +
+                            '</div>' +
+                        '</div>' +
+                        '<div class="history-item-details">' +
+                            '<strong>' + t('Date:') + '</strong> ' + formatDate(getRecordIssueDate(invoice), uiLanguage) + '<br>' +
+                            '<strong>' + t('Total:') + '</strong> ' + formatRecordTotal(invoice) +
+                        '</div>' +
+                    '</div>';
+                }).join(''));
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Open an invoice from the client book in the history view
+ * @param {number} index - Index of invoice in history
+ * @returns {Promise} Resolves once the details are shown
+ */
+function openHistoryInvoice(index) {
+    closeClients();
+    return showHistory().then(function() {
+        viewInvoiceDetails(index);
+    });
+}
+
+/**
+ * Show client book modal
+ * @returns {Promise} Resolves once the client list is drawn
+ */
+function showClients() {
+    document.getElementById('clientCurrency').innerHTML = Object.keys(currencies).map(function(code) {
+        return '<option value="' + code + '">' + escapeHtml(currencies[code].name) + ' (' + code + ')</option>';
+    }).join('');
+    document.getElementById('clientInvoices').innerHTML = '';
+    resetClientForm();
+    document.getElementById('clientModal').style.display = 'block';
+    // The list counts each client's invoices
+    return requireHistory().then(renderClientList).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Close client book modal
+ */
+function closeClients() {
+    document.getElementById('clientModal').style.display = 'none';
+}
+
+/* ISSUER PROFILE FUNCTIONS */
+
+// Profile text fields and the form inputs that edit them
+var ISSUER_FIELDS = {
+    legalName: 'issuerLegalName',
+    taxId: 'issuerTaxId',
+    address: 'issuerAddress',
+    email: 'issuerEmail',
+    phone: 'issuerPhone',
+    website: 'issuerWebsite',
+    paymentInstructions: 'issuerPaymentInstructions'
+};
+
+// Largest logo accepted, to keep the profile small enough for localStorage
+var MAX_LOGO_BYTES = 256 * 1024;
+
+/**
+ * Get the issuer identity sealed into invoice blocks
+ * @returns {Object|null} Identity fields, or null until a legal name is set
+ */
+function getIssuerSnapshot() {
+    return snapshotIssuer(issuerProfile);
+}
+
+/**
+ * Show the current logo, or a placeholder, in the profile form
+ */
+function renderIssuerLogo() {
+    var preview = document.getElementById('issuerLogoPreview');
+    preview.innerHTML = issuerProfile.logo ?
+        '<img src="' + issuerProfile.logo + '" alt="Logo">' :
+        '<em>' + t('No logo') + '</em>';
+    document.getElementById('removeLogoButton').style.display = issuerProfile.logo ? 'inline-block' : 'none';
+}
+
+/**
+ * Load a PNG or JPEG logo into the profile
+ * @param {HTMLInputElement} input - File input with the image
+ */
+function loadIssuerLogo(input) {
+    var file = input.files[0];
+    if (!file) return;
+    input.value = '';
+
+    if (['image/png', 'image/jpeg'].indexOf(file.type) === -1) {
+        alert(t('The logo must be a PNG or JPEG image'));
+        return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+        alert(t('The logo must be smaller than {size} KB', { size: MAX_LOGO_BYTES / 1024 }));
+        return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        issuerProfile.logo = reader.result;
+        renderIssuerLogo();
+    };
+    reader.readAsDataURL(file);
+}
+
+/**
+ * Remove the logo from the profile
+ */
+function removeIssuerLogo() {
+    issuerProfile.logo = null;
+    renderIssuerLogo();
+}
+
+/**
+ * Validate the profile form and save it
+ */
+function saveIssuerProfile() {
+    var error = document.getElementById('issuerFormError');
+    var values = {};
+    Object.keys(ISSUER_FIELDS).forEach(function(field) {
+        values[field] = document.getElementById(ISSUER_FIELDS[field]).value.trim();
+    });
+
+    if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        error.textContent = t('Enter a valid email address');
+        return;
+    }
+    if (!values.legalName && Object.keys(values).some(function(field) { return values[field]; })) {
+        error.textContent = t('A legal name is required for the issuer details to be printed and sealed');
+        return;
+    }
+
+    Object.assign(issuerProfile, values, {
+        primaryColor: document.getElementById('issuerPrimaryColor').value,
+        accentColor: document.getElementById('issuerAccentColor').value
+    });
+    try {
+        appStorage.setItem('issuerProfile', JSON.stringify(issuerProfile));
+    } catch (e) {
+        error.textContent = t('Could not save the profile: {error}', { error: e.message });
+        return;
+    }
+    closeIssuerProfile();
+    updateDisplay();
+}
+
+/**
+ * Show issuer profile modal
+ */
+function showIssuerProfile() {
+    Object.keys(ISSUER_FIELDS).forEach(function(field) {
+        document.getElementById(ISSUER_FIELDS[field]).value = issuerProfile[field];
+    });
+    document.getElementById('issuerPrimaryColor').value = issuerProfile.primaryColor;
+    document.getElementById('issuerAccentColor').value = issuerProfile.accentColor;
+    document.getElementById('issuerFormError').textContent = '';
+    renderIssuerLogo();
+    document.getElementById('issuerModal').style.display = 'block';
+}
+
+/**
+ * Close issuer profile modal, discarding unsaved logo changes
+ */
+function closeIssuerProfile() {
+    var saved = appStorage.getItem('issuerProfile');
+    issuerProfile.logo = saved ? JSON.parse(saved).logo : null;
+    document.getElementById('issuerModal').style.display = 'none';
+}
+
+/* CATALOG FUNCTIONS */
+
+// Columns of the catalog CSV format, in export order
+var CATALOG_CSV_COLUMNS = ['sku', 'name', 'description', 'unit', 'price', 'currency', 'tax_category'];
+
+/**
+ * Persist the catalog to localStorage
+ */
+function saveCatalog() {
+    appStorage.setItem('catalog', JSON.stringify(catalog));
+}
+
+/**
+ * Find a catalog entry by SKU or name, ignoring case and surrounding spaces
+ * @param {string} text - SKU or item name
+ * @returns {Object|null} Catalog entry, or null if none matches
+ */
+function findCatalogEntry(text) {
+    var key = text.trim().toLowerCase();
+    if (!key) return null;
+    return catalog.filter(function(entry) { return entry.sku.toLowerCase() === key; })[0] ||
+        catalog.filter(function(entry) { return entry.name.toLowerCase() === key; })[0] ||
+        null;
+}
+
+/**
+ * Get a catalog entry's price in the invoice currency, converted at the current rate if needed
+ * @param {Object} entry - Catalog entry
+ * @returns {number} Unit price
+ */
+function getCatalogPrice(entry) {
+    var currency = getBaseCurrency();
+    if (entry.currency === currency || !currencies[entry.currency]) return entry.price;
+    var rate = getRegistryRate(entry.currency, currency);
+    return decimalToNumber(roundMoney(decimalMultiply(toDecimal(entry.price), toDecimal(rate.rate)), currency));
+}
+
+/**
+ * Fill the item name autocomplete with catalog names
+ */
+function populateCatalogSuggestions() {
+    document.getElementById('catalogSuggestions').innerHTML = catalog.map(function(entry) {
+        return '<option value="' + escapeHtml(entry.name) + '">' +
+            escapeHtml(entry.sku + ' · ' + formatMoney(entry.price, entry.currency, true) + (entry.unit ? ' / ' + entry.unit : '')) +
+        '</option>';
+    }).join('');
+}
+
+/**
+ * Fill the item form from a catalog entry when its name or SKU is typed or picked
+ */
+function onItemNameInput() {
+    var entry = findCatalogEntry(document.getElementById('itemName').value);
+    if (!entry) return;
+
+    document.getElementById('itemName').value = entry.name;
+    document.getElementById('itemPrice').value = getCatalogPrice(entry);
+    if (!document.getElementById('itemQuantity').value) {
+        document.getElementById('itemQuantity').value = 1;
+    }
+    document.getElementById('itemTaxCategory').value = getTaxCategory(entry.taxCategory).id;
+}
+
+/**
+ * Apply a catalog change everywhere it is shown
+ */
+function refreshCatalog() {
+    catalog.sort(function(a, b) { return a.sku.localeCompare(b.sku); });
+    saveCatalog();
+    populateCatalogSuggestions();
+    renderCatalogList();
+}
+
+/**
+ * Render the catalog table
+ */
+function renderCatalogList() {
+    var list = document.getElementById('catalogList');
+    if (catalog.length === 0) {
+        list.innerHTML = '<tr><td colspan="6" style="text-align: center;"><em>' + t('No catalog entries yet') + '</em></td></tr>';
+        return;
+    }
+    list.innerHTML = catalog.map(function(entry) {
+        return '<tr>' +
+            '<td><strong>' + escapeHtml(entry.sku) + '</strong></td>' +
+            '<td>' + escapeHtml(entry.name) + (entry.description ? '<br><small>' + escapeHtml(entry.description) + '</small>' : '') + '</td>' +
+            '<td>' + escapeHtml(entry.unit || '—') + '</td>' +
+            '<td style="text-align: right;">' + formatMoney(entry.price, entry.currency, true) + '</td>' +
+            '<td>' + escapeHtml(getTaxCategory(entry.taxCategory).name) + '</td>' +
+            '<td class="history-actions">' +
+                '<button class="btn btn-primary btn-small" onclick="editCatalogEntry(\'' + entry.id + '\')">' + t('Edit') + '</button>' +
+                '<button class="btn btn-danger btn-small" onclick="deleteCatalogEntry(\'' + entry.id + '\')">' + t('Delete') + '</button>' +
+            '</td>' +
+        '</tr>';
+    }).join('');
+}
+
+/**
+ * Clear the catalog form back to "add" mode
+ */
+function resetCatalogForm() {
+    document.getElementById('editingCatalogId').value = '';
+    document.getElementById('catalogFormTitle').textContent = t('Add Catalog Entry');
+    ['catalogFormSku', 'catalogFormName', 'catalogFormDescription', 'catalogFormUnit', 'catalogFormPrice'].forEach(function(id) {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('catalogCurrency').value = getBaseCurrency();
+    document.getElementById('catalogTaxCategory').value = taxCategories[0].id;
+    document.getElementById('catalogFormError').textContent = '';
+}
+
+/**
+ * Load a catalog entry into the form for editing
+ * @param {string} id - Catalog entry id
+ */
+function editCatalogEntry(id) {
+    var entry = catalog.filter(function(candidate) { return candidate.id === id; })[0];
+    document.getElementById('editingCatalogId').value = entry.id;
+    document.getElementById('catalogFormTitle').textContent = t('Edit Catalog Entry');
+    document.getElementById('catalogFormSku').value = entry.sku;
+    document.getElementById('catalogFormName').value = entry.name;
+    document.getElementById('catalogFormDescription').value = entry.description;
+    document.getElementById('catalogFormUnit').value = entry.unit;
+    document.getElementById('catalogFormPrice').value = entry.price;
+    document.getElementById('catalogCurrency').value = currencies[entry.currency] ? entry.currency : 'USD';
+    document.getElementById('catalogTaxCategory').value = getTaxCategory(entry.taxCategory).id;
+    document.getElementById('catalogFormError').textContent = '';
+}
+
+/**
+ * Check a catalog entry against the rest of the catalog
+ * @param {Object} entry - Entry to validate
+ * @param {string} id - Id of the entry being edited, if any
+ * @returns {string} Error message, or '' if valid
+ */
+function validateCatalogEntry(entry, id) {
+    if (!entry.sku || !entry.name) return t('SKU and name are required');
+    if (isNaN(entry.price) || entry.price <= 0) return t('Price must be greater than 0');
+    if (!currencies[entry.currency]) return t('Unknown currency {currency}', { currency: entry.currency });
+
+    var clash = catalog.filter(function(other) {
+        return other.id !== id && (other.sku.toLowerCase() === entry.sku.toLowerCase() ||
+            other.name.toLowerCase() === entry.name.toLowerCase());
+    })[0];
+    if (clash) return t('Entry {sku} already uses this SKU or name', { sku: clash.sku });
+    return '';
+}
+
+/**
+ * Validate the catalog form and create or update the entry
+ */
+function saveCatalogEntry() {
+    var id = document.getElementById('editingCatalogId').value;
+    var fields = {
+        sku: document.getElementById('catalogFormSku').value.trim(),
+        name: document.getElementById('catalogFormName').value.trim(),
+        description: document.getElementById('catalogFormDescription').value.trim(),
+        unit: document.getElementById('catalogFormUnit').value.trim(),
+        price: parseFloat(document.getElementById('catalogFormPrice').value),
+        currency: document.getElementById('catalogCurrency').value,
+        taxCategory: document.getElementById('catalogTaxCategory').value
+    };
+
+    var error = validateCatalogEntry(fields, id);
+    if (error) {
+        document.getElementById('catalogFormError').textContent = error;
+        return;
+    }
+
+    var entry = catalog.filter(function(candidate) { return candidate.id === id; })[0];
+    if (!entry) {
+        entry = { id: 'sku-' + Date.now() };
+        catalog.push(entry);
+    }
+    Object.assign(entry, fields);
+    resetCatalogForm();
+    refreshCatalog();
+}
+
+/**
+ * Delete a catalog entry. Issued invoices keep the SKU on their lines.
+ * @param {string} id - Catalog entry id
+ */
+function deleteCatalogEntry(id) {
+    if (!confirm(t('Delete this catalog entry?'))) return;
+    catalog = catalog.filter(function(entry) { return entry.id !== id; });
+    resetCatalogForm();
+    refreshCatalog();
+}
+
+/**
+ * Download the catalog as CSV
+ */
+function exportCatalog() {
+    var lines = [toCSVRow(CATALOG_CSV_COLUMNS)].concat(catalog.map(function(entry) {
+        return toCSVRow([entry.sku, entry.name, entry.description, entry.unit, entry.price, entry.currency,
+            getTaxCategory(entry.taxCategory).name]);
+    }));
+    downloadFile('nanohash_catalog.csv', lines.join('\r\n') + '\r\n', 'text/csv');
+}
+
+/**
+ * Import catalog entries from CSV. Rows update the entry with the same SKU
+ * or add a new one; the whole file is rejected if any row is invalid.
+ * @param {HTMLInputElement} input - File input with the CSV
+ */
+function importCatalog(input) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        input.value = '';
+        var table = parseCSV(reader.result);
+        var header = (table.shift() || []).map(function(name) { return name.toLowerCase(); });
+        var missing = ['sku', 'name', 'price'].filter(function(name) { return header.indexOf(name) === -1; });
+        if (missing.length) {
+            alert(t('Could not import catalog: missing column(s) {columns}', { columns: missing.join(', ') }));
+            return;
+        }
+
+        var updates = [];
+        var seen = {};
+        for (var i = 0; i < table.length; i++) {
+            var row = {};
+            header.forEach(function(name, index) { row[name] = table[i][index] || ''; });
+            if (seen[row.sku.toLowerCase()]) {
+                alert(t('Could not import catalog: SKU "{sku}" appears more than once', { sku: row.sku }));
+                return;
+            }
+            seen[row.sku.toLowerCase()] = true;
+
+            var categoryKey = (row.tax_category || '').toLowerCase();
+            var category = taxCategories.filter(function(candidate) {
+                return candidate.id.toLowerCase() === categoryKey || candidate.name.toLowerCase() === categoryKey;
+            })[0];
+            if (categoryKey && !category) {
+                alert(t('Could not import catalog: row {row} has unknown tax category "{category}"', { row: i + 2, category: row.tax_category }));
+                return;
+            }
+
+            // Optional columns left out of the file keep the existing entry's values
+            var existing = catalog.filter(function(entry) { return entry.sku.toLowerCase() === row.sku.toLowerCase(); })[0];
+            var defaults = existing || { description: '', unit: '', currency: getBaseCurrency(), taxCategory: taxCategories[0].id };
+            var fields = {
+                sku: row.sku,
+                name: row.name,
+                description: 'description' in row ? row.description : defaults.description,
+                unit: 'unit' in row ? row.unit : defaults.unit,
+                price: parseFloat(row.price),
+                currency: row.currency ? row.currency.toUpperCase() : defaults.currency,
+                taxCategory: category ? category.id : defaults.taxCategory
+            };
+            var error = validateCatalogEntry(fields, existing ? existing.id : null);
+            if (error) {
+                alert(t('Could not import catalog: row {row}: {error}', { row: i + 2, error: error }));
+                return;
+            }
+            updates.push({ entry: existing, fields: fields });
+        }
+
+        updates.forEach(function(update, index) {
+            if (!update.entry) {
+                update.entry = { id: 'sku-' + Date.now() + '-' + index };
+                catalog.push(update.entry);
+            }
+            Object.assign(update.entry, update.fields);
+        });
+        refreshCatalog();
+        document.getElementById('catalogImportStatus').textContent =
+            tn('Imported {count} entry from {file}.', 'Imported {count} entries from {file}.', updates.length, { file: file.name });
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Show catalog modal
+ */
+function showCatalog() {
+    document.getElementById('catalogCurrency').innerHTML = Object.keys(currencies).map(function(code) {
+        return '<option value="' + code + '">' + escapeHtml(currencies[code].name) + ' (' + code + ')</option>';
+    }).join('');
+    document.getElementById('catalogImportStatus').textContent = '';
+    resetCatalogForm();
+    renderCatalogList();
+    document.getElementById('catalogModal').style.display = 'block';
+}
+
+/**
+ * Close catalog modal
+ */
+function closeCatalog() {
+    document.getElementById('catalogModal').style.display = 'none';
+}
+
+/* BACKUP FUNCTIONS */
+
+// Identifies backup files and the bundle layout they use
+var BACKUP_FORMAT = 'nanohash-backup';
+var BACKUP_VERSION = 1;
+
+// localStorage entries saved in a backup alongside invoice history
+var BACKUP_STORAGE_KEYS = ['theme', 'numberingSeries', 'chainHead', 'chainCheckpoint', 'taxSettings', 'roundingSettings',
+    'currencies', 'baseCurrency', 'clients', 'issuerProfile', 'catalog', 'pdfSettings', 'drafts', 'uiLanguage'];
+
+/**
+ * Download invoice history, numbering and settings as a checksummed JSON bundle
+ * @returns {Promise} Resolves once the download starts
+ */
+function exportBackup() {
+    return requireHistory().then(function() {
+        var storage = {};
+        BACKUP_STORAGE_KEYS.forEach(function(key) {
+            var value = appStorage.getItem(key);
+            if (value !== null) {
+                storage[key] = value;
+            }
+        });
+        var data = { invoiceHistory: invoiceHistory, storage: storage };
+
+        return generateHash(data).then(function(checksum) {
+            var bundle = {
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                exportedAt: new Date().toISOString(),
+                checksum: checksum,
+                data: data
+            };
+            downloadFile('nanohash_backup_' + getTodayISO() + '.json', JSON.stringify(bundle, null, 2), 'application/json');
+            document.getElementById('backupStatus').textContent =
+                tn('Exported {count} history entry', 'Exported {count} history entries', invoiceHistory.length) +
+                tn(' and {count} setting.', ' and {count} settings.', Object.keys(storage).length);
+        });
+    }).catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Check the layout of a parsed backup file
+ * @param {Object} bundle - Parsed backup file
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateBackup(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) {
+        return t('this is not a NanoHash backup file');
+    }
+    if (typeof bundle.version !== 'number' || bundle.version > BACKUP_VERSION) {
+        return t('backup version {version} is not supported by this version of the app', { version: bundle.version });
+    }
+    if (typeof bundle.checksum !== 'string' || !bundle.data || typeof bundle.data !== 'object') {
+        return t('the checksum or data section is missing');
+    }
+    var history = bundle.data.invoiceHistory;
+    if (!Array.isArray(history)) {
+        return t('the invoice history is missing');
+    }
+    for (var i = 0; i < history.length; i++) {
+        var entry = history[i];
+        if (!entry || typeof entry !== 'object' || entry.invoiceNumber === undefined || typeof entry.timestamp !== 'string') {
+            return t('history entry {number} is not a valid invoice or chain block', { number: i + 1 });
+        }
+    }
+    var storage = bundle.data.storage;
+    if (!storage || typeof storage !== 'object') {
+        return t('the settings section is missing');
+    }
+    var invalid = Object.keys(storage).filter(function(key) {
+        return typeof storage[key] !== 'string';
+    });
+    if (invalid.length) {
+        return t('setting "{key}" is not stored as text', { key: invalid[0] });
+    }
+    return null;
+}
+
+/**
+ * Compare a backup's history with the current one and re-verify every
+ * imported entry's hash. Forks are blocks at a chain position already taken
+ * here by another block, which means the backup comes from a different chain;
+ * orphans are payments and voids of documents that would not be merged.
+ * @param {Object} bundle - Validated backup file
+ * @returns {Promise<Object>} Report { entries, duplicates, conflicts: [entry],
+ *     forks: [entry], orphans: [entry], tampered: [entry] }
+ */
+function analyzeBackup(bundle) {
+    var knownHashes = {};
+    var knownNumbers = {};
+    var knownBlocks = {};
+    invoiceHistory.forEach(function(entry) {
+        if (entry.hash) knownHashes[entry.hash] = true;
+        if (!isChainEvent(entry)) knownNumbers[String(entry.invoiceNumber)] = entry.hash;
+        if (entry.previousHash !== undefined) knownBlocks[entry.index] = entry.hash;
+    });
+
+    var imported = bundle.data.invoiceHistory;
+    var report = { entries: imported.length, duplicates: 0, conflicts: [], forks: [], orphans: [], tampered: [] };
+    imported.forEach(function(entry) {
+        if (entry.hash && knownHashes[entry.hash]) {
+            report.duplicates++;
+        } else if (entry.previousHash !== undefined && knownBlocks[entry.index] !== undefined) {
+            report.forks.push(entry);
+        } else if (!isChainEvent(entry) && knownNumbers[String(entry.invoiceNumber)] !== undefined) {
+            // Same number, different document: merging it would reuse an issued number
+            report.conflicts.push(entry);
+        }
+    });
+
+    var mergedDocuments = {};
+    invoiceHistory.concat(imported).forEach(function(entry) {
+        if (!isChainEvent(entry) && entry.hash && report.conflicts.indexOf(entry) === -1) {
+            mergedDocuments[entry.hash] = true;
+        }
+    });
+    imported.forEach(function(entry) {
+        if (entry.invoiceHash && !knownHashes[entry.hash] && !mergedDocuments[entry.invoiceHash]) {
+            report.orphans.push(entry);
+        }
+    });
+
+    return Promise.all(imported.map(function(entry) {
+        if (!entry.hash) {
+            report.tampered.push(entry);
+            return null;
+        }
+        return hashChainEntry(entry).then(function(hash) {
+            if (hash !== entry.hash) {
+                report.tampered.push(entry);
+            }
+        });
+    })).then(function() {
+        return report;
+    });
+}
+
+/**
+ * Read a backup file, check its layout and checksum, and preview the import
+ * @param {HTMLInputElement} input - File input with the backup
+ */
+function importBackup(input) {
+    var file = input.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        input.value = '';
+        pendingBackup = null;
+        document.getElementById('backupPreview').innerHTML = '';
+
+        var bundle;
+        try {
+            bundle = JSON.parse(reader.result);
+        } catch (error) {
+            alert(t('Could not import backup: the file is not valid JSON'));
+            return;
+        }
+        var problem = validateBackup(bundle);
+        if (problem) {
+            alert(t('Could not import backup: {problem}', { problem: problem }));
+            return;
+        }
+
+        // The preview compares the backup with the whole history
+        requireHistory().then(function() {
+            return generateHash(bundle.data);
+        }).then(function(checksum) {
+            if (checksum !== bundle.checksum) {
+                alert(t('Could not import backup: the checksum does not match, so the file was damaged or edited after export'));
+                return;
+            }
+            return analyzeBackup(bundle).then(function(report) {
+                pendingBackup = { bundle: bundle, report: report, fileName: file.name };
+                renderBackupPreview();
+            });
+        }).catch(function(error) {
+            alert(t('Could not import backup: {problem}', { problem: error.message }));
+        });
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Describe a history entry in one line for the import preview
+ * @param {Object} entry - History entry
+ * @returns {string} HTML
+ */
+function describeBackupEntry(entry) {
+    if (isChainEvent(entry)) {
+        return t('Block #{index}: {event}', { index: escapeHtml(entry.index), event: describeChainEvent(entry) });
+    }
+    return t('{document} #{number} for {client}', {
+        document: getDocumentLabel(entry, uiLanguage),
+        number: escapeHtml(entry.invoiceNumber),
+        client: escapeHtml(entry.clientName)
+    }) + (entry.index !== undefined ? ' ' + t('(block #{index})', { index: escapeHtml(entry.index) }) : '');
+}
+
+/**
+ * Show what importing the pending backup would do, with merge and replace options
+ */
+function renderBackupPreview() {
+    var bundle = pendingBackup.bundle;
+    var report = pendingBackup.report;
+    var added = report.entries - report.duplicates - report.conflicts.length - report.orphans.length;
+    var mergeable = report.forks.length === 0;
+
+    var html = '<div class="verify-verdict ' + (report.tampered.length ? 'verify-mismatch' : 'verify-match') + '">' +
+        (report.tampered.length ? '✗ ' : '✓ ') + escapeHtml(pendingBackup.fileName) + ': ' +
+        tn('{count} history entry, exported {date}', '{count} history entries, exported {date}', report.entries, {
+            date: new Date(bundle.exportedAt).toLocaleString(getLanguageLocale(uiLanguage))
+        }) + '</div>';
+    if (!mergeable) {
+        html += '<p class="verify-note">' + tn('This backup comes from a different hash chain: {count} block takes a chain position already used here by another block. Merging two chains would fail the chain audit, so the backup can only replace the data in this browser.',
+            'This backup comes from a different hash chain: {count} blocks take chain positions already used here by other blocks. Merging two chains would fail the chain audit, so the backup can only replace the data in this browser.',
+            report.forks.length) + '</p>';
+    } else {
+        html += '<p class="verify-note">' + tn('Merging adds {count} entry', 'Merging adds {count} entries', added) +
+            tn(' and skips {count} already in this browser.', ' and skips {count} already in this browser.', report.duplicates) + ' ' +
+            t('Settings already set here are kept; numbering counters take the higher value.') + '</p>';
+    }
+    if (mergeable && report.conflicts.length) {
+        html += '<p class="verify-note">' + tn('{count} document uses a number already issued here with different contents and will not be merged:',
+            '{count} documents use numbers already issued here with different contents and will not be merged:', report.conflicts.length) + '</p>' +
+            '<div class="payment-list">' + report.conflicts.map(function(entry) {
+                return '<div><span>' + describeBackupEntry(entry) + '</span></div>';
+            }).join('') + '</div>';
+    }
+    if (mergeable && report.orphans.length) {
+        html += '<p class="verify-note">' + tn('{count} payment or void refers to a document that is not merged and will be skipped:',
+            '{count} payments or voids refer to documents that are not merged and will be skipped:', report.orphans.length) + '</p>' +
+            '<div class="payment-list">' + report.orphans.map(function(entry) {
+                return '<div><span>' + describeBackupEntry(entry) + '</span></div>';
+            }).join('') + '</div>';
+    }
+    if (report.tampered.length) {
+        html += '<p class="verify-note">' + tn('{count} entry does not match its stored hash and will fail the chain audit after import:',
+            '{count} entries do not match their stored hash and will fail the chain audit after import:', report.tampered.length) + '</p>' +
+            '<div class="payment-list">' + report.tampered.map(function(entry) {
+                return '<div><span>' + describeBackupEntry(entry) + '</span><span>⚠ ' + t('Hash mismatch') + '</span></div>';
+            }).join('') + '</div>';
+    }
+    html += '<div class="history-actions">' +
+        (mergeable ? '<button class="btn btn-primary btn-small" onclick="applyBackup(\'merge\')">' + t('Merge') + '</button>' : '') +
+        '<button class="btn btn-danger btn-small" onclick="applyBackup(\'replace\')">' + t('Replace All Data') + '</button>' +
+        '<button class="btn btn-secondary btn-small" onclick="cancelBackup()">' + t('Cancel') + '</button>' +
+    '</div>';
+    document.getElementById('backupPreview').innerHTML = html;
+}
+
+/**
+ * Merge two lists of objects with ids, keeping the current entry on a clash
+ * @param {Array<Object>} current - Entries in this browser
+ * @param {Array<Object>} imported - Entries from the backup
+ * @returns {Array<Object>} Merged entries
+ */
+function mergeById(current, imported) {
+    var ids = current.map(function(entry) { return entry.id; });
+    return current.concat(imported.filter(function(entry) {
+        return ids.indexOf(entry.id) === -1;
+    }));
+}
+
+/**
+ * Parse a backup setting stored as JSON, rejecting values of the wrong shape
+ * @param {Object} storage - Backup settings by localStorage key
+ * @param {string} key - Setting key
+ * @param {Function} isValid - Returns whether the parsed value can be used
+ * @returns {*} Parsed value
+ */
+function parseBackupSetting(storage, key, isValid) {
+    var value;
+    try {
+        value = JSON.parse(storage[key]);
+    } catch (error) {
+        value = undefined;
+    }
+    if (value === undefined || !isValid(value)) {
+        throw new Error(t('setting "{key}" is not valid', { key: key }));
+    }
+    return value;
+}
+
+/**
+ * Merge the backup's settings into the current ones: settings set here are
+ * kept, client and catalog entries are combined, and each numbering counter
+ * takes the higher value so no issued number comes round again
+ * @param {Object} storage - Backup settings by localStorage key
+ * @returns {Object} Settings to write, by localStorage key
+ */
+function mergeBackupStorage(storage) {
+    var merged = {};
+    Object.keys(storage).forEach(function(key) {
+        var current = appStorage.getItem(key);
+        if (current === null) {
+            merged[key] = storage[key];
+        } else if (key === 'clients' || key === 'catalog') {
+            merged[key] = JSON.stringify(mergeById(JSON.parse(current), parseBackupSetting(storage, key, Array.isArray)));
+        } else if (key === 'numberingSeries') {
+            var series = JSON.parse(current);
+            var importedSeries = parseBackupSetting(storage, key, function(value) {
+                return value !== null && typeof value === 'object' && Object.keys(value).every(function(type) {
+                    var next = value[type] && value[type].next;
+                    return next !== null && typeof next === 'object' && Object.keys(next).every(function(period) {
+                        return typeof next[period] === 'number';
+                    });
+                });
+            });
+            Object.keys(importedSeries).forEach(function(type) {
+                if (!series[type]) return;
+                Object.keys(importedSeries[type].next).forEach(function(period) {
+                    series[type].next[period] = Math.max(series[type].next[period] || 0, importedSeries[type].next[period]);
+                });
+            });
+            merged[key] = JSON.stringify(series);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Order history newest first by chain position, using the timestamp for
+ * invoices issued before hash chaining
+ * @param {Object} a - History entry
+ * @param {Object} b - History entry
+ * @returns {number} Sort order
+ */
+function compareHistoryEntries(a, b) {
+    if (a.index !== undefined && b.index !== undefined) {
+        return b.index - a.index;
+    }
+    return b.timestamp < a.timestamp ? -1 : b.timestamp > a.timestamp ? 1 : 0;
+}
+
+/**
+ * Import the pending backup by merging it into the current data or replacing it,
+ * then reload the app with the result
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise} Resolves once the data is written
+ */
+function applyBackup(mode) {
+    var bundle = pendingBackup.bundle;
+    var report = pendingBackup.report;
+    var storage;
+
+    if (mode === 'replace') {
+        if (!confirm(t('Replace all invoices and settings in this browser with the backup? This cannot be undone.'))) {
+            return Promise.resolve();
+        }
+    } else if (report.forks.length) {
+        // Blocks of another chain would interleave with this one's; the preview offers only replacing
+        return Promise.resolve();
+    }
+
+    // Merging parses the backup's settings, so it runs in the chain to report bad ones
+    return Promise.resolve().then(function() {
+        var history;
+        if (mode === 'replace') {
+            history = bundle.data.invoiceHistory;
+            storage = bundle.data.storage;
+        } else {
+            var known = {};
+            invoiceHistory.forEach(function(entry) {
+                if (entry.hash) known[entry.hash] = true;
+            });
+            history = invoiceHistory.concat(bundle.data.invoiceHistory.filter(function(entry) {
+                return !(entry.hash && known[entry.hash]) && report.conflicts.indexOf(entry) === -1 &&
+                    report.orphans.indexOf(entry) === -1;
+            })).sort(compareHistoryEntries);
+            storage = mergeBackupStorage(bundle.data.storage);
+
+            // The newest chained block becomes the head
+            var head = history.filter(function(entry) {
+                return entry.previousHash !== undefined;
+            })[0];
+            if (head) {
+                storage.chainHead = JSON.stringify({ index: head.index, hash: head.hash });
+            }
+        }
+
+        invoiceHistory = history;
+        historyReferences = null;
+        return queueStorage(function() {
+            return putHistoryEntries(invoiceHistory, true);
+        });
+    }).then(function() {
+        // Replacing resets settings the backup does not have to their defaults
+        BACKUP_STORAGE_KEYS.forEach(function(key) {
+            if (storage[key] !== undefined) {
+                appStorage.setItem(key, storage[key]);
+            } else if (mode === 'replace') {
+                appStorage.removeItem(key);
+            }
+        });
+        appStorage.removeItem('currentDraftId');
+        pendingBackup = null;
+        alert(tn('Backup imported: {count} history entry in this browser now', 'Backup imported: {count} history entries in this browser now',
+            invoiceHistory.length));
+        return waitForStorage();
+    }).then(function() {
+        location.reload();
+    }).catch(function(error) {
+        alert(t('Could not import backup: {problem}', { problem: error.message }));
+    });
+}
+
+/**
+ * Discard the backup read for import
+ */
+function cancelBackup() {
+    pendingBackup = null;
+    document.getElementById('backupPreview').innerHTML = '';
+}
+
+/**
+ * Show backup modal
+ */
+function showBackup() {
+    document.getElementById('backupStatus').textContent = '';
+    if (!pendingBackup) {
+        document.getElementById('backupPreview').innerHTML = '';
+    }
+    document.getElementById('backupModal').style.display = 'block';
+}
+
+/**
+ * Close backup modal
+ */
+function closeBackup() {
+    document.getElementById('backupModal').style.display = 'none';
+}
+
+/* APP LOCK FUNCTIONS */
+
+// PBKDF2 rounds for new passphrases; each lock keeps the count it was set up with
+var LOCK_ITERATIONS = 600000;
+
+// Shortest passphrase accepted
+var MIN_PASSPHRASE_LENGTH = 8;
+
+// localStorage entries kept readable under the lock, since the unlock prompt needs
+// them; the 'Next' entries hold a lock change until history has been rewritten
+var UNLOCKED_STORAGE_KEYS = ['theme', 'uiLanguage', 'appLock', 'vault', 'appLockNext', 'vaultNext'];
+
+// Events that count as activity and postpone the automatic lock
+var ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel'];
+
+// Timer that locks the app after the chosen period of inactivity
+var autoLockTimer = null;
+
+// Queue of storage steps (vault writes, history writes and lock changes), run one at a time
+var storageQueue = Promise.resolve();
+
+// Vault write queued but not started yet; later changes are saved by it too
+var vaultWrite = null;
+
+/**
+ * Find where a storage entry lives under the current lock state
+ * @param {string} key - Storage key
+ * @returns {string} 'plain' for localStorage, 'vault' for the decrypted vault,
+ *     or 'locked' while the passphrase has not been entered
+ */
+function storageTarget(key) {
+    if (UNLOCKED_STORAGE_KEYS.indexOf(key) !== -1) return 'plain';
+    if (vaultData) return 'vault';
+    return lockSettings ? 'locked' : 'plain';
+}
+
+/**
+ * Storage the app uses in place of localStorage. With the lock on, entries
+ * other than UNLOCKED_STORAGE_KEYS are kept decrypted in vaultData and every
+ * change is saved back encrypted; with the lock off it is localStorage itself.
+ * Until the app is unlocked they read as empty and writes are dropped, so
+ * nothing is ever stored unencrypted.
+ */
+var appStorage = {
+    getItem: function(key) {
+        var target = storageTarget(key);
+        if (target === 'plain') return localStorage.getItem(key);
+        if (target === 'locked') return null;
+        return vaultData.hasOwnProperty(key) ? vaultData[key] : null;
+    },
+    setItem: function(key, value) {
+        var target = storageTarget(key);
+        if (target === 'plain') {
+            localStorage.setItem(key, value);
+        } else if (target === 'vault') {
+            vaultData[key] = String(value);
+            autosaveVault();
+        }
+    },
+    removeItem: function(key) {
+        var target = storageTarget(key);
+        if (target === 'plain') {
+            localStorage.removeItem(key);
+        } else if (target === 'vault') {
+            delete vaultData[key];
+            autosaveVault();
+        }
+    }
+};
+
+/**
+ * Derive the encryption key of a passphrase with PBKDF2-SHA-256
+ * @param {string} passphrase - Passphrase
+ * @param {Object} settings - Lock settings with the salt and iteration count
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+function deriveLockKey(passphrase, settings) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']).then(function(material) {
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: base64ToBuffer(settings.salt), iterations: settings.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    });
+}
+
+/**
+ * Encrypt a JSON value with AES-GCM under a fresh random IV
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} Sealed value { iv, data }, both base64
+ */
+function sealValue(key, value) {
+    var iv = crypto.getRandomValues(new Uint8Array(12));
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value))).then(function(data) {
+        return { iv: bufferToBase64(iv), data: bufferToBase64(data) };
+    });
+}
+
+/**
+ * Decrypt a value sealed by sealValue(). Fails with the wrong key or if the
+ * data was altered, since AES-GCM authenticates what it encrypts.
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} sealed - Sealed value { iv, data }
+ * @returns {Promise<*>} Decrypted value
+ */
+function openSealedValue(key, sealed) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBuffer(sealed.iv) }, key, base64ToBuffer(sealed.data)).then(function(data) {
+        return JSON.parse(new TextDecoder().decode(data));
+    });
+}
+
+/**
+ * Run a storage step after the ones already queued
+ * @param {Function} step - Returns a Promise, or nothing
+ * @returns {Promise} Result of the step; a failure does not stop later steps
+ */
+function queueStorage(step) {
+    var result = storageQueue.then(step);
+    storageQueue = result.catch(function() {});
+    return result;
+}
+
+/**
+ * Wait until every change made so far is written to storage
+ * @returns {Promise} Resolves once queued storage steps are done
+ */
+function waitForStorage() {
+    return storageQueue;
+}
+
+/**
+ * Save vaultData to localStorage encrypted. Changes made while a write is
+ * queued are picked up by that write.
+ * @returns {Promise} Resolves once the vault is written, rejects if it is not
+ */
+function saveVault() {
+    if (!vaultWrite) {
+        vaultWrite = queueStorage(function() {
+            vaultWrite = null;
+            if (!vaultData || !lockKey) return;
+            return sealValue(lockKey, vaultData).then(function(sealed) {
+                storeConfirmed('vault', JSON.stringify(sealed));
+            });
+        });
+    }
+    return vaultWrite;
+}
+
+/**
+ * Save a change to the vault made by the app, telling the user if it is lost
+ */
+function autosaveVault() {
+    // A queued write picks this change up and already reports its failure
+    if (vaultWrite) return;
+    saveVault().catch(function(error) {
+        alert(t('Could not save encrypted data: {error}', { error: error.message }));
+    });
+}
+
+/**
+ * Write a localStorage entry and read it back, so nothing that depends on
+ * it is changed after a write the browser refused
+ * @param {string} name - Storage key
+ * @param {string} value - Value to store
+ */
+function storeConfirmed(name, value) {
+    localStorage.setItem(name, value);
+    if (localStorage.getItem(name) !== value) {
+        throw new Error(t('The browser did not keep {name}', { name: name }));
+    }
+}
+
+/**
+ * Put localStorage entries back as they were
+ * @param {Object} saved - Values by key, null for entries that did not exist
+ */
+function restoreStorage(saved) {
+    Object.keys(saved).forEach(function(name) {
+        if (saved[name] === null) {
+            localStorage.removeItem(name);
+        } else {
+            localStorage.setItem(name, saved[name]);
+        }
+    });
+}
+
+/**
+ * Read the app's localStorage entries that the lock encrypts
+ * @returns {Object} Values by key
+ */
+function readPlainStorage() {
+    var data = {};
+    for (var i = 0; i < localStorage.length; i++) {
+        var name = localStorage.key(i);
+        if (UNLOCKED_STORAGE_KEYS.indexOf(name) === -1) {
+            data[name] = localStorage.getItem(name);
+        }
+    }
+    return data;
+}
+
+/**
+ * Write entries to localStorage unencrypted
+ * @param {Object} data - Values by key
+ */
+function writePlainStorage(data) {
+    Object.keys(data).forEach(function(name) {
+        localStorage.setItem(name, data[name]);
+    });
+}
+
+/**
+ * Remove the localStorage entries that the lock encrypts
+ */
+function removePlainStorage() {
+    Object.keys(readPlainStorage()).forEach(function(name) {
+        localStorage.removeItem(name);
+    });
+}
+
+/**
+ * Get the key history rows are sealed with now
+ * @returns {Object|null} { key, salt }, or null while the lock is off
+ */
+function getHistoryLock() {
+    return lockKey ? { key: lockKey, salt: lockSettings.salt } : null;
+}
+
+/**
+ * Read the salt of the key stored history rows are sealed with
+ * @returns {Promise<string|null|undefined>} Salt, null for plain rows, or
+ *     undefined when no history is stored
+ */
+function readHistorySalt() {
+    return storeRequest('invoiceHistory', 'readonly', function(store) {
+        return store.openCursor();
+    }).then(function(cursor) {
+        if (!cursor) return undefined;
+        return cursor.value.sealed ? cursor.value.salt : null;
+    });
+}
+
+/**
+ * Finish or roll back a lock change cut short, e.g. by closing the tab.
+ * History rows carry the salt of their key, which tells whether the change
+ * got as far as rewriting history, the step that decides it.
+ * @returns {Promise} Resolves once storage is consistent
  */
-function removeItem(id) {
-    items = items.filter(function(item) {
-        return item.id !== id;
+function recoverAppLock() {
+    var staged = localStorage.getItem('appLockNext');
+    return readHistorySalt().then(function(salt) {
+        if (staged) {
+            if (salt === undefined || salt === JSON.parse(staged).salt) {
+                localStorage.setItem('vault', localStorage.getItem('vaultNext'));
+                localStorage.setItem('appLock', staged);
+                removePlainStorage();
+            }
+            localStorage.removeItem('vaultNext');
+            localStorage.removeItem('appLockNext');
+        } else if (salt === null) {
+            // Turning the lock off had rewritten history in plain text, and
+            // had written the plain settings before that
+            localStorage.removeItem('vault');
+            localStorage.removeItem('appLock');
+        }
     });
-    updateDisplay();
 }
 
-/* CALCULATION FUNCTIONS*/
-
 /**
- * Get tax rate from input, validated between 0-100
- * @returns {number} Tax rate as decimal (0-1)
+ * Ask for the passphrase before any stored data is loaded
  */
-function getTaxRate() {
-    var taxRateInput = document.getElementById('taxRate').value;
-    var taxRate = parseFloat(taxRateInput) || 13;
-    // Ensure tax rate is between 0 and 100
-    if (taxRate < 0) taxRate = 0;
-    if (taxRate > 100) taxRate = 100;
-    return taxRate / 100; // Convert percentage to decimal
+function showUnlock() {
+    document.getElementById('unlockPassphrase').value = '';
+    document.getElementById('unlockError').textContent = '';
+    document.getElementById('unlockModal').style.display = 'block';
+    document.getElementById('unlockPassphrase').focus();
 }
 
 /**
- * Calculate invoice totals including subtotal, tax, and converted total
- * @returns {Object} Calculation results with all financial data
+ * Check the passphrase by decrypting the vault, then load the app's data
+ * @returns {Promise} Resolves once unlocked, or once the error is shown
  */
-function calculateTotals() {
-    var subtotal = items.reduce(function(sum, item) {
-        return sum + (item.quantity * item.price);
-    }, 0);
-    var taxRate = getTaxRate();
-    var tax = subtotal * taxRate;
-    var total = subtotal + tax;
-    
-    var currency = document.getElementById('currency').value;
-    var convertedTotal = total * exchangeRates[currency];
+function unlockApp() {
+    var passphrase = document.getElementById('unlockPassphrase').value;
+    var error = document.getElementById('unlockError');
+    error.textContent = '';
 
-    return { 
-        subtotal: subtotal, 
-        tax: tax, 
-        total: total, 
-        convertedTotal: convertedTotal, 
-        currency: currency,
-        taxRate: taxRate * 100 // Return as percentage for display
-    };
+    return deriveLockKey(passphrase, lockSettings).then(function(key) {
+        return openSealedValue(key, JSON.parse(localStorage.getItem('vault'))).then(function(data) {
+            lockKey = key;
+            vaultData = data;
+        });
+    }).then(function() {
+        // Plain copies left by turning the lock off when it was cut short
+        removePlainStorage();
+        document.getElementById('unlockModal').style.display = 'none';
+        document.getElementById('unlockPassphrase').value = '';
+        loadSavedData();
+        resetAutoLock();
+    }, function() {
+        error.textContent = t('Wrong passphrase');
+    });
 }
 
-/* DISPLAY UPDATE FUNCTIONS */
-
 /**
- * Update the invoice display including items table and totals
+ * Restart the inactivity countdown; called on every user action
  */
-function updateDisplay() {
-    var tbody = document.getElementById('itemsTable');
-    tbody.innerHTML = '';
-
-    // Show empty state if no items
-    if (items.length === 0) {
-        document.getElementById('itemsCard').style.display = 'none';
-        document.getElementById('summaryCard').style.display = 'none';
-        document.getElementById('emptyState').style.display = 'block';
-        document.getElementById('qrSection').style.display = 'none';
-        return;
+function resetAutoLock() {
+    clearTimeout(autoLockTimer);
+    if (lockKey && lockSettings.autoLockMinutes > 0) {
+        autoLockTimer = setTimeout(lockApp, lockSettings.autoLockMinutes * 60000);
     }
+}
 
-    // Show items and summary cards
-    document.getElementById('itemsCard').style.display = 'block';
-    document.getElementById('summaryCard').style.display = 'block';
-    document.getElementById('emptyState').style.display = 'none';
-
-    // Render items in table
-    items.forEach(function(item) {
-        var row = tbody.insertRow();
-        row.innerHTML = 
-            '<td>' + item.name + '</td>' +
-            '<td style="text-align: center;">' + item.quantity + '</td>' +
-            '<td style="text-align: right;">$' + item.price.toFixed(2) + '</td>' +
-            '<td style="text-align: right; font-weight: 600;">$' + (item.quantity * item.price).toFixed(2) + '</td>' +
-            '<td style="text-align: center;">' +
-                '<button class="btn-delete-item" onclick="removeItem(' + item.id + ')" title="Delete item">' +
-                    '<svg class="icon-delete-x" width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">' +
-                        '<path d="M12 4L4 12M4 4L12 12" stroke="#e74c3c" stroke-width="2" stroke-linecap="round"/>' +
-                    '</svg>' +
-                '</button>' +
-            '</td>';
+/**
+ * Lock the app. Once pending changes are encrypted the page reloads, so no
+ * decrypted data stays in memory, and asks for the passphrase again.
+ * @returns {Promise} Resolves once the reload starts
+ */
+function lockApp() {
+    return waitForStorage().then(function() {
+        location.reload();
     });
+}
 
-    // Update totals display
-    var totals = calculateTotals();
-    document.getElementById('subtotalAmount').textContent = '$' + totals.subtotal.toFixed(2);
-    document.getElementById('taxAmount').textContent = '$' + totals.tax.toFixed(2);
-    document.getElementById('totalAmount').textContent = '$' + totals.total.toFixed(2);
-    document.getElementById('selectedCurrency').textContent = totals.currency;
-    document.getElementById('convertedAmount').textContent = 
-        currencySymbols[totals.currency] + totals.convertedTotal.toFixed(2);
-    document.getElementById('taxRateDisplay').textContent = totals.taxRate.toFixed(2);
+/**
+ * Turn the lock on, or move it to a new key, so stored data can be opened at
+ * every moment. The new vault and settings are staged first, then history is
+ * rewritten under the new key in one transaction; only once that commits do
+ * the staged entries replace the current ones. If a step fails, history is
+ * rewritten under the previous key again, and a change cut short by closing
+ * the tab is finished or rolled back by recoverAppLock().
+ * @param {CryptoKey} key - New key
+ * @param {Object} settings - Lock settings of the new key
+ * @returns {Promise} Resolves once everything is encrypted under the new key
+ */
+function rekeyStorage(key, settings) {
+    var lock = { key: key, salt: settings.salt };
+    var enabling = !vaultData;
+    var previousLock;
+    var historyRewritten = false;
 
-    // Generate blockchain verification
-    var clientName = document.getElementById('clientName').value || 'General Client';
-    var invoiceData = {
-        invoiceNumber: invoiceNumber,
-        clientName: clientName,
-        total: totals.total,
-        items: items
-    };
+    // Loaded first, as loading may queue a rewrite of outdated rows that would wait behind this change
+    return requireHistory().then(function() {
+        return queueStorage(function() {
+            previousLock = getHistoryLock();
+            if (enabling) {
+                // From here changes go to the vault in memory, saved once the lock is on
+                vaultData = readPlainStorage();
+            }
+            return sealValue(key, vaultData).then(function(sealed) {
+                storeConfirmed('vaultNext', JSON.stringify(sealed));
+                storeConfirmed('appLockNext', JSON.stringify(settings));
+                return putHistoryEntries(invoiceHistory, true, lock);
+            }).then(function() {
+                historyRewritten = true;
+                // Seal again, with any changes made while history was rewritten
+                return sealValue(key, vaultData);
+            }).then(function(sealed) {
+                var vault = JSON.stringify(sealed);
+                var previous = { vault: localStorage.getItem('vault'), appLock: localStorage.getItem('appLock') };
+                storeConfirmed('vaultNext', vault);
+                try {
+                    storeConfirmed('vault', vault);
+                    storeConfirmed('appLock', JSON.stringify(settings));
+                } catch (error) {
+                    restoreStorage(previous);
+                    throw error;
+                }
+                localStorage.removeItem('vaultNext');
+                localStorage.removeItem('appLockNext');
+                if (enabling) {
+                    removePlainStorage();
+                }
+                lockKey = key;
+                lockSettings = settings;
+            }).catch(function(error) {
+                var undo = historyRewritten ? putHistoryEntries(invoiceHistory, true, previousLock) : Promise.resolve();
+                return undo.then(function() {
+                    localStorage.removeItem('vaultNext');
+                    localStorage.removeItem('appLockNext');
+                }, function() {
+                    // History stays under the new key: keep the staged entries for recoverAppLock()
+                }).then(function() {
+                    if (enabling) {
+                        writePlainStorage(vaultData);
+                        vaultData = null;
+                    }
+                    throw error;
+                });
+            });
+        });
+    }).then(function() {
+        resetAutoLock();
+    });
+}
 
-    generateBlockchainData(invoiceData).then(function(blockData) {
-        document.getElementById('hashDisplay').textContent = blockData.hash;
-        
-        // Generate QR Code
-        document.getElementById('qrcode').innerHTML = '';
-        var qrData = 'INVOICE:' + invoiceNumber + '|HASH:' + blockData.hash.substring(0, 16);
-        
-        new QRCode(document.getElementById('qrcode'), {
-            text: qrData,
-            width: 180,
-            height: 180,
-            colorDark: '#667eea',
-            colorLight: '#ffffff'
+/**
+ * Turn the lock off, storing history, drafts and settings in plain text again.
+ * Plain settings are written before history, so whichever step a closed tab
+ * cuts short, recoverAppLock() or the next unlock leaves consistent data.
+ * @returns {Promise} Resolves once everything is decrypted
+ */
+function decryptStorage() {
+    var previousLock;
+
+    // Loaded first, like in rekeyStorage()
+    return requireHistory().then(function() {
+        return queueStorage(function() {
+            previousLock = getHistoryLock();
+            return Promise.resolve().then(function() {
+                writePlainStorage(vaultData);
+                return putHistoryEntries(invoiceHistory, true, null);
+            }).catch(function(error) {
+                removePlainStorage();
+                throw error;
+            }).then(function() {
+                try {
+                    // Again, with any changes made while history was rewritten
+                    writePlainStorage(vaultData);
+                    localStorage.removeItem('vault');
+                    localStorage.removeItem('appLock');
+                } catch (error) {
+                    return putHistoryEntries(invoiceHistory, true, previousLock).then(function() {
+                        removePlainStorage();
+                        throw error;
+                    });
+                }
+                vaultData = null;
+                lockKey = null;
+                lockSettings = null;
+            });
         });
-        
-        document.getElementById('qrSection').style.display = 'block';
-        
-        // Store for PDF generation
-        window.currentInvoiceHash = blockData.hash;
-        window.currentInvoiceTimestamp = blockData.timestamp;
     });
 }
 
-/* PDF GENERATION FUNCTIONS */
+/**
+ * Read a new passphrase and its confirmation from the lock form
+ * @param {string} inputId - Passphrase input id
+ * @param {string} confirmId - Confirmation input id
+ * @returns {string|null} Passphrase, or null after showing the problem
+ */
+function readNewPassphrase(inputId, confirmId) {
+    var passphrase = document.getElementById(inputId).value;
+    var error = document.getElementById('appLockError');
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        error.textContent = t('The passphrase must be at least {count} characters long', { count: MIN_PASSPHRASE_LENGTH });
+        return null;
+    }
+    if (passphrase !== document.getElementById(confirmId).value) {
+        error.textContent = t('The passphrases do not match');
+        return null;
+    }
+    return passphrase;
+}
 
 /**
- * Generate PDF invoice using jsPDF library
+ * Create lock settings with a fresh salt
+ * @returns {Object} Lock settings { salt, iterations, autoLockMinutes }
  */
-function generatePDF() {
-    var jsPDF = window.jspdf.jsPDF;
-    var doc = new jsPDF();
-    
-    var clientName = document.getElementById('clientName').value || 'General Client';
-    var fiscalField = document.getElementById('fiscalField').value || '';
-    var totals = calculateTotals();
-    var currentDate = new Date().toLocaleDateString('en-US');
+function createLockSettings() {
+    return {
+        salt: bufferToBase64(crypto.getRandomValues(new Uint8Array(16))),
+        iterations: LOCK_ITERATIONS,
+        autoLockMinutes: parseInt(document.getElementById('autoLockMinutes').value, 10)
+    };
+}
 
-    // PDF Header - Rounded gradient banner
-    doc.setFillColor(102, 126, 234);
-    doc.roundedRect(10, 10, 190, 35, 5, 5, 'F');
-    
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(28);
-    doc.setFont(undefined, 'bold');
-    doc.text('NanoHash Invoice', 105, 25, { align: 'center' });
-    
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'normal');
-    doc.text('Invoice #' + invoiceNumber, 105, 35, { align: 'center' });
-
-    // Client Information Section with rounded container
-    var yPos = 55;
-    doc.setFillColor(248, 249, 250);
-    doc.roundedRect(15, yPos - 5, 180, fiscalField ? 35 : 25, 3, 3, 'F');
-    
-    doc.setTextColor(0, 0, 0);
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'bold');
-    doc.text('Client Information:', 20, yPos + 3);
-    doc.setFont(undefined, 'normal');
-    doc.text(clientName, 60, yPos + 3);
-    
-    yPos += 8;
-    if (fiscalField) {
-        doc.setFont(undefined, 'bold');
-        doc.text('Fiscal Field:', 20, yPos + 3);
-        doc.setFont(undefined, 'normal');
-        doc.text(fiscalField, 60, yPos + 3);
-        yPos += 8;
-    }
-    
-    doc.setFont(undefined, 'bold');
-    doc.text('Date:', 20, yPos + 3);
-    doc.setFont(undefined, 'normal');
-    doc.text(currentDate, 60, yPos + 3);
-
-    // Security Badge - Rounded box
-    yPos += 15;
-    doc.setFillColor(17, 153, 142);
-    doc.roundedRect(15, yPos, 180, 20, 3, 3, 'F');
-    
-    doc.setFontSize(10);
-    doc.setTextColor(255, 255, 255);
-    doc.setFont(undefined, 'bold');
-    doc.text('Blockchain Verified | SHA-256 Hash:', 20, yPos + 7);
-    
-    doc.setFontSize(8);
-    doc.setFont(undefined, 'normal');
-    var hash = window.currentInvoiceHash || 'N/A';
-    doc.text(hash.substring(0, 65), 20, yPos + 13);
-    doc.text(hash.substring(65), 20, yPos + 17);
-
-    // Items Table with rounded header
-    yPos += 30;
-    doc.setFillColor(102, 126, 234);
-    doc.roundedRect(15, yPos, 180, 10, 2, 2, 'F');
-    
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'bold');
-    doc.text('Item', 20, yPos + 7);
-    doc.text('Quantity ', 110, yPos + 7);
-    doc.text('Price', 135, yPos + 7);
-    doc.text('Subtotal', 170, yPos + 7);
-
-    // Items Body with alternating background
-    yPos += 15;
-    doc.setTextColor(0, 0, 0);
-    doc.setFont(undefined, 'normal');
-    
-    items.forEach(function(item, index) {
-        if (index % 2 === 0) {
-            doc.setFillColor(248, 249, 250);
-            doc.roundedRect(15, yPos - 4, 180, 8, 1, 1, 'F');
-        }
-        
-        doc.text(item.name.substring(0, 40), 20, yPos);
-        doc.text(item.quantity.toString(), 110, yPos);
-        doc.text('$' + item.price.toFixed(2), 135, yPos);
-        doc.text('$' + (item.quantity * item.price).toFixed(2), 170, yPos);
-        yPos += 10;
+/**
+ * Check the current passphrase against the stored vault
+ * @returns {Promise} Resolves if it is right, rejects with a message otherwise
+ */
+function checkCurrentPassphrase() {
+    var passphrase = document.getElementById('currentPassphrase').value;
+    return deriveLockKey(passphrase, lockSettings).then(function(key) {
+        return openSealedValue(key, JSON.parse(localStorage.getItem('vault')));
+    }).catch(function() {
+        throw new Error(t('The current passphrase is wrong'));
     });
+}
 
-    // Summary Section with rounded container
-    yPos += 10;
-    doc.setFillColor(248, 249, 250);
-    doc.roundedRect(15, yPos, 180, 40, 3, 3, 'F');
-    
-    yPos += 10;
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(0, 0, 0);
-    
-    doc.text('Subtotal:', 120, yPos);
-    doc.text('$' + totals.subtotal.toFixed(2), 170, yPos);
-    yPos += 8;
-
-    doc.text('Tax (' + totals.taxRate.toFixed(2) + '%):', 120, yPos);
-    doc.text('$' + totals.tax.toFixed(2), 170, yPos);
-    yPos += 12;
-
-    doc.setFont(undefined, 'bold');
-    doc.setFontSize(13);
-    doc.setTextColor(102, 126, 234);
-    doc.text('TOTAL (USD):', 120, yPos);
-    doc.text('$' + totals.total.toFixed(2), 170, yPos);
-    yPos += 8;
-
-    doc.setTextColor(17, 153, 142);
-    doc.text('TOTAL (' + totals.currency + '):', 120, yPos);
-    doc.text(currencySymbols[totals.currency] + totals.convertedTotal.toFixed(2), 170, yPos);
-
-    // QR Code Section
-    yPos += 20;
-    doc.setFillColor(255, 255, 255);
-    doc.roundedRect(15, yPos, 50, 50, 3, 3, 'F');
-    
-    var qrCanvas = document.querySelector('#qrcode canvas');
-    if (qrCanvas) {
-        var qrImage = qrCanvas.toDataURL('image/png');
-        doc.addImage(qrImage, 'PNG', 18, yPos + 3, 44, 44);
-    }
-
-    doc.setFontSize(9);
-    doc.setTextColor(102, 126, 234);
-    doc.setFont(undefined, 'bold');
-    doc.text('Scan to Verify', 70, yPos + 15);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(100, 100, 100);
-    doc.text('Blockchain verification ensures', 70, yPos + 22);
-    doc.text('invoice authenticity and prevents', 70, yPos + 27);
-    doc.text('tampering or duplication.', 70, yPos + 32);
-
-    // Footer
-    doc.setTextColor(150, 150, 150);
-    doc.setFontSize(9);
-    doc.setFont(undefined, 'italic');
-    doc.text('NanoHash Invoice - Blockchain Verified & Cryptographically Secured', 105, 285, { align: 'center' });
+/**
+ * Turn the lock on, encrypting history, drafts and settings
+ * @returns {Promise} Resolves once the data is encrypted
+ */
+function enableAppLock() {
+    var passphrase = readNewPassphrase('lockPassphrase', 'lockPassphraseConfirm');
+    if (passphrase === null) return Promise.resolve();
 
-    // Save to history
-    saveToHistory({
-        invoiceNumber: invoiceNumber,
-        clientName: clientName,
-        fiscalField: fiscalField,
-        total: totals.total,
-        currency: totals.currency,
-        convertedTotal: totals.convertedTotal,
-        date: currentDate,
-        hash: window.currentInvoiceHash,
-        timestamp: window.currentInvoiceTimestamp,
-        items: JSON.parse(JSON.stringify(items))
+    var settings = createLockSettings();
+    document.getElementById('appLockError').textContent = '';
+    document.getElementById('appLockStatus').textContent = t('Encrypting...');
+    return deriveLockKey(passphrase, settings).then(function(key) {
+        return rekeyStorage(key, settings);
+    }).then(function() {
+        renderAppLock();
+    }).catch(function(error) {
+        showAppLockError(t('Could not turn on the app lock: {error}', { error: error.message }));
     });
-
-    // Save PDF
-    doc.save('NanoHash_Invoice_' + invoiceNumber + '_' + Date.now() + '.pdf');
-    
-    // Increment invoice number
-    invoiceNumber++;
-    localStorage.setItem('invoiceNumber', invoiceNumber);
-    document.getElementById('invoiceNumber').textContent = invoiceNumber;
-    
-    // Clear items
-    items = [];
-    updateDisplay();
 }
-/* HISTORY FUNCTIONS */
 
 /**
- * Save invoice to history
- * @param {Object} invoiceData - Invoice data to save
+ * Change the passphrase, re-encrypting everything under a key with a new salt
+ * @returns {Promise} Resolves once the data is re-encrypted
  */
-function saveToHistory(invoiceData) {
-    invoiceHistory.unshift(invoiceData);
-    if (invoiceHistory.length > 50) {
-        invoiceHistory = invoiceHistory.slice(0, 50);
-    }
-    localStorage.setItem('invoiceHistory', JSON.stringify(invoiceHistory));
+function changePassphrase() {
+    var passphrase = readNewPassphrase('changedPassphrase', 'changedPassphraseConfirm');
+    if (passphrase === null) return Promise.resolve();
+
+    var settings = createLockSettings();
+    document.getElementById('appLockError').textContent = '';
+    document.getElementById('appLockStatus').textContent = t('Encrypting...');
+    return checkCurrentPassphrase().then(function() {
+        return deriveLockKey(passphrase, settings);
+    }).then(function(key) {
+        return rekeyStorage(key, settings);
+    }).then(function() {
+        renderAppLock();
+        document.getElementById('appLockStatus').textContent = t('Passphrase changed. Everything was re-encrypted with the new passphrase.');
+    }).catch(function(error) {
+        showAppLockError(error.message);
+    });
 }
 
 /**
- * Show invoice history modal
+ * Turn the lock off, storing history, drafts and settings in plain text again
+ * @returns {Promise} Resolves once the data is decrypted
  */
-function showHistory() {
-    var historyList = document.getElementById('historyList');
-    
-    if (invoiceHistory.length === 0) {
-        historyList.innerHTML = '<div class="empty-history">' +
-            '<div class="icon">$</div>' +
-            '<h3 style="margin-bottom: 10px;">No invoices in history</h3>' +
-            '<p>Generated invoices will appear here</p>' +
-        '</div>';
-    } else {
-        historyList.innerHTML = invoiceHistory.map(function(invoice, index) {
-            return '<div class="history-item">' +
-                '<div class="history-item-header">' +
-                    '<div class="history-item-title">Invoice #' + invoice.invoiceNumber + '</div>' +
-                    '<div class="history-actions">' +
-                        '<button class="btn btn-primary btn-small" onclick="viewInvoiceDetails(' + index + ')">View Details</button>' +
-                        '<button class="btn btn-danger btn-small" onclick="deleteInvoice(' + index + ')">Delete</button>' +
-                    '</div>' +
-                '</div>' +
-                '<div class="history-item-details">' +
-                    '<strong>Client:</strong> ' + invoice.clientName + '<br>' +
-                    '<strong>Date:</strong> ' + invoice.date + '<br>' +
-                    '<strong>Total:</strong> $' + invoice.total.toFixed(2) + ' (' + currencySymbols[invoice.currency] + invoice.convertedTotal.toFixed(2) + ' ' + invoice.currency + ')' +
-                '</div>' +
-                '<div class="history-item-hash">' +
-                    '✓ Hash: ' + (invoice.hash ? invoice.hash.substring(0, 32) + '...' : 'N/A') +
-                '</div>' +
-            '</div>';
-        }).join('');
+function disableAppLock() {
+    if (!confirm(t('Turn off the app lock? Invoices and settings will be stored unencrypted in this browser.'))) {
+        return Promise.resolve();
     }
-    
-    document.getElementById('historyModal').style.display = 'block';
+    document.getElementById('appLockError').textContent = '';
+    document.getElementById('appLockStatus').textContent = t('Decrypting...');
+    return checkCurrentPassphrase().then(function() {
+        clearTimeout(autoLockTimer);
+        return decryptStorage();
+    }).then(function() {
+        renderAppLock();
+    }).catch(function(error) {
+        showAppLockError(error.message);
+    });
 }
 
 /**
- * Close history modal
+ * Save the inactivity period when the lock is on
  */
-function closeHistory() {
-    document.getElementById('historyModal').style.display = 'none';
+function updateAutoLock() {
+    if (!lockSettings) return;
+    lockSettings.autoLockMinutes = parseInt(document.getElementById('autoLockMinutes').value, 10);
+    localStorage.setItem('appLock', JSON.stringify(lockSettings));
+    resetAutoLock();
 }
 
 /**
- * View detailed invoice information
- * @param {number} index - Index of invoice in history
+ * Describe whether the lock is on
  */
-function viewInvoiceDetails(index) {
-    var invoice = invoiceHistory[index];
-    var itemsList = invoice.items.map(function(item, i) {
-        return '<div style="display: flex; justify-content: space-between; padding: 5px 0; border-bottom: 1px solid #eee;">' +
-            '<span>' + (i + 1) + '. ' + item.name + '</span>' +
-            '<span>' + item.quantity + ' x $' + item.price.toFixed(2) + ' = $' + (item.quantity * item.price).toFixed(2) + '</span>' +
-        '</div>';
-    }).join('');
+function renderAppLockStatus() {
+    document.getElementById('appLockStatus').textContent = lockSettings ?
+        t('The app lock is on. Stored data is encrypted with your passphrase.') :
+        t('The app lock is off. Stored data can be read by anyone with access to this browser.');
+}
 
-    var detailsHtml = '<div class="history-item" style="text-align: left;">' +
-        '<div class="history-item-header">' +
-            '<div class="history-item-title">Invoice #' + invoice.invoiceNumber + '</div>' +
-        '</div>' +
-        '<div class="history-item-details">' +
-            '<strong>Client:</strong> ' + invoice.clientName + '<br>' +
-            (invoice.fiscalField ? '<strong>Fiscal Field:</strong> ' + invoice.fiscalField + '<br>' : '') +
-            '<strong>Date:</strong> ' + invoice.date + '<br>' +
-            '<strong>Total:</strong> $' + invoice.total.toFixed(2) + ' (' + currencySymbols[invoice.currency] + invoice.convertedTotal.toFixed(2) + ' ' + invoice.currency + ')' +
-        '</div>' +
-        '<div style="margin: 15px 0;">' +
-            '<strong>Items:</strong>' +
-            '<div style="margin-top: 10px;">' + itemsList + '</div>' +
-        '</div>' +
-        '<div class="history-item-hash">' +
-            '✓ SHA-256 Hash:<br>' + (invoice.hash || 'N/A') +
-        '</div>' +
-        '<div style="margin-top: 15px;">' +
-            '<button class="btn btn-primary btn-small" onclick="regenerateInvoice(' + index + ')">Regenerate PDF</button>' +
-        '</div>' +
-    '</div>';
+/**
+ * Show why a lock change failed
+ * @param {string} message - Problem to show
+ */
+function showAppLockError(message) {
+    renderAppLockStatus();
+    document.getElementById('appLockError').textContent = message;
+}
 
-    document.getElementById('historyList').innerHTML = detailsHtml;
+/**
+ * Show the lock form for the current state and clear its inputs
+ */
+function renderAppLock() {
+    var enabled = lockSettings !== null;
+    renderAppLockStatus();
+    document.getElementById('appLockOff').style.display = enabled ? 'none' : 'block';
+    document.getElementById('appLockOn').style.display = enabled ? 'block' : 'none';
+    document.getElementById('autoLockMinutes').value = String(enabled ? lockSettings.autoLockMinutes : 10);
+    ['lockPassphrase', 'lockPassphraseConfirm', 'currentPassphrase', 'changedPassphrase', 'changedPassphraseConfirm'].forEach(function(id) {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('appLockError').textContent = '';
 }
 
 /**
- * Delete invoice from history
- * @param {number} index - Index of invoice to delete
+ * Show app lock modal
  */
-function deleteInvoice(index) {
-    if (confirm('Are you sure you want to delete this invoice from history?')) {
-        invoiceHistory.splice(index, 1);
-        localStorage.setItem('invoiceHistory', JSON.stringify(invoiceHistory));
-        showHistory();
-    }
+function showAppLock() {
+    renderAppLock();
+    document.getElementById('appLockModal').style.display = 'block';
 }
 
 /**
- * Regenerate PDF from history
- * @param {number} index - Index of invoice in history
+ * Close app lock modal
  */
-function regenerateInvoice(index) {
-    var invoice = invoiceHistory[index];
-    items = invoice.items;
-    invoiceNumber = invoice.invoiceNumber;
-    
-    document.getElementById('clientName').value = invoice.clientName;
-    document.getElementById('fiscalField').value = invoice.fiscalField || '';
-    document.getElementById('invoiceNumber').textContent = invoiceNumber;
-    
-    updateDisplay();
-    closeHistory();
+function closeAppLock() {
+    document.getElementById('appLockModal').style.display = 'none';
 }
 
 /* EVENT LISTENERS */
@@ -587,8 +7178,38 @@ function regenerateInvoice(index) {
 // Currency change listener - refreshes display when currency changes
 document.getElementById('currency').addEventListener('change', updateDisplay);
 
-// Tax rate input listener - updates display in real-time
-document.getElementById('taxRate').addEventListener('input', updateDisplay);
+// Invoice currency change listener - reprices the invoice in the selected currency
+document.getElementById('baseCurrency').addEventListener('change', function() {
+    setBaseCurrency(this.value);
+});
+
+// Item name listener - fills catalog defaults when a catalog name or SKU is entered
+document.getElementById('itemName').addEventListener('input', onItemNameInput);
+
+// Client name listener - links known clients and keeps the displayed hash in sync with the header
+document.getElementById('clientName').addEventListener('input', onClientNameInput);
+
+// Fiscal field listener - the only header input that does not redraw, so autosave it directly
+document.getElementById('fiscalField').addEventListener('input', autosaveDraft);
+
+// Date listeners - recompute the due date and keep the displayed hash in sync with the header
+document.getElementById('issueDate').addEventListener('change', function() {
+    renderDueDateHint();
+    updateDisplay();
+});
+document.getElementById('paymentTerms').addEventListener('input', function() {
+    renderDueDateHint();
+    updateDisplay();
+});
+
+// Invoice discount listeners - apply the discount as it is typed
+document.getElementById('invoiceDiscountValue').addEventListener('input', updateInvoiceDiscount);
+document.getElementById('invoiceDiscountType').addEventListener('change', updateInvoiceDiscount);
+
+// Activity listeners - postpone the automatic app lock while the page is in use
+ACTIVITY_EVENTS.forEach(function(type) {
+    document.addEventListener(type, resetAutoLock, true);
+});
 
 /* THEME MANAGEMENT */
 
@@ -603,42 +7224,291 @@ function setTheme(theme) {
     
     if (theme === 'dark') {
         body.classList.add('dark-mode');
-        localStorage.setItem('theme', 'dark');
+        appStorage.setItem('theme', 'dark');
         btnDark.classList.add('active');
         btnLight.classList.remove('active');
     } else {
         body.classList.remove('dark-mode');
-        localStorage.setItem('theme', 'light');
+        appStorage.setItem('theme', 'light');
         btnLight.classList.add('active');
         btnDark.classList.remove('active');
     }
 }
 
+/* LANGUAGE FUNCTIONS */
+
+/**
+ * Translate interface text into the interface language
+ * @param {string} text - English text
+ * @param {Object} params - Values for {name} placeholders (optional)
+ * @returns {string} Translated text
+ */
+function t(text, params) {
+    return translate(uiLanguage, text, params);
+}
+
+/**
+ * Translate interface text that depends on a count
+ * @param {string} one - English text for a count of one
+ * @param {string} other - English text for other counts
+ * @param {number} count - Count, available as {count}
+ * @param {Object} params - Values for other placeholders (optional)
+ * @returns {string} Translated text
+ */
+function tn(one, other, count, params) {
+    return translatePlural(uiLanguage, one, other, count, params);
+}
+
+/**
+ * Record the English text of the page as loaded: text nodes, placeholders and
+ * tooltips, and whole hints marked data-i18n-html whose text has markup in it
+ */
+function captureStaticTexts() {
+    var walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: function(node) {
+            var parent = node.parentNode;
+            if (!node.nodeValue.trim() || parent.closest('script, style, [data-i18n-html]')) {
+                return NodeFilter.FILTER_REJECT;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        }
+    });
+    while (walker.nextNode()) {
+        staticTexts.push({ node: walker.currentNode, text: walker.currentNode.nodeValue });
+    }
+
+    Array.prototype.forEach.call(document.querySelectorAll('[placeholder], [title]'), function(element) {
+        ['placeholder', 'title'].forEach(function(attribute) {
+            if (element.hasAttribute(attribute)) {
+                staticTexts.push({ element: element, attribute: attribute, text: element.getAttribute(attribute) });
+            }
+        });
+    });
+    Array.prototype.forEach.call(document.querySelectorAll('[data-i18n-html]'), function(element) {
+        staticTexts.push({ element: element, html: true, text: element.innerHTML.replace(/\s+/g, ' ').trim() });
+    });
+}
+
+/**
+ * Put the static page text into the interface language, keeping the spacing
+ * around each text node
+ */
+function applyLanguage() {
+    staticTexts.forEach(function(entry) {
+        if (entry.node) {
+            var parts = entry.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            entry.node.nodeValue = parts[1] + t(parts[2]) + parts[3];
+        } else if (entry.html) {
+            entry.element.innerHTML = t(entry.text);
+        } else {
+            entry.element.setAttribute(entry.attribute, t(entry.text));
+        }
+    });
+    document.documentElement.lang = uiLanguage;
+    document.getElementById('uiLanguage').value = uiLanguage;
+}
+
+/**
+ * Fill the interface, document and client language selects
+ */
+function populateLanguageSelects() {
+    var options = Object.keys(LANGUAGES).map(function(code) {
+        return '<option value="' + code + '">' + escapeHtml(LANGUAGES[code].name) + '</option>';
+    }).join('');
+    ['uiLanguage', 'documentLanguage', 'clientLanguage'].forEach(function(id) {
+        var select = document.getElementById(id);
+        var selected = select.value;
+        select.innerHTML = (id === 'clientLanguage' ? '<option value="">' + t('Interface language') + '</option>' : '') + options;
+        select.value = selected;
+    });
+}
+
+/**
+ * Switch the interface language and redraw the text built by script.
+ * Documents keep their own language, chosen per invoice.
+ * @param {string} language - Language code
+ */
+function setLanguage(language) {
+    uiLanguage = LANGUAGES[language] ? language : 'en';
+    appStorage.setItem('uiLanguage', uiLanguage);
+    applyLanguage();
+    populateLanguageSelects();
+    populateCurrencySelect();
+    populatePdfSettings();
+    renderDocumentMode();
+    renderDueDateHint();
+    renderClientInfo();
+    updateDisplay();
+}
+
 /* INITIALIZATION */
 
 // Initialize theme on DOM ready
 window.addEventListener('DOMContentLoaded', function() {
-    var savedTheme = localStorage.getItem('theme') || 'light';
+    var savedTheme = appStorage.getItem('theme') || 'light';
     setTheme(savedTheme);
+
+    // Translate the page before anything is drawn into it
+    var savedLanguage = appStorage.getItem('uiLanguage');
+    if (LANGUAGES[savedLanguage]) {
+        uiLanguage = savedLanguage;
+    }
+    captureStaticTexts();
+    populateLanguageSelects();
+    applyLanguage();
+    document.getElementById('documentLanguage').value = uiLanguage;
+
+    // With the app lock on, stored data can only be read after unlocking
+    if (localStorage.getItem('appLock') === null && localStorage.getItem('appLockNext') === null) {
+        loadSavedData();
+    } else {
+        recoverAppLock().catch(function(error) {
+            alert(t('Could not check the app lock: {error}', { error: error.message }));
+        }).then(function() {
+            lockSettings = JSON.parse(localStorage.getItem('appLock'));
+            if (lockSettings) {
+                showUnlock();
+            } else {
+                loadSavedData();
+            }
+        });
+    }
+
+    // Cache the app for offline use and installation; service workers only
+    // run when the page is served over http(s), not opened from disk
+    if ('serviceWorker' in navigator && /^https?:$/.test(location.protocol)) {
+        navigator.serviceWorker.register('service-worker.js').catch(function() {
+            // Without the worker the app still runs; it just is not cached for offline use
+        });
+    }
+});
+
+/**
+ * Load settings, drafts and invoice history from storage into the page
+ */
+function loadSavedData() {
+    resetInvoiceDates();
     
-    // Load invoice number from localStorage
-    var savedInvoiceNumber = localStorage.getItem('invoiceNumber');
-    if (savedInvoiceNumber) {
-        invoiceNumber = parseInt(savedInvoiceNumber);
-        document.getElementById('invoiceNumber').textContent = invoiceNumber;
+    // Load numbering series; the counter saved before series existed
+    // becomes the next number of the invoice series
+    var savedNumbering = appStorage.getItem('numberingSeries');
+    if (savedNumbering) {
+        numberingSeries = JSON.parse(savedNumbering);
+    } else if (appStorage.getItem('invoiceNumber')) {
+        numberingSeries.invoice.next[''] = parseInt(appStorage.getItem('invoiceNumber'), 10);
+        saveNumberingSeries();
+        appStorage.removeItem('invoiceNumber');
     }
     
-    // Load invoice history from localStorage
-    var savedHistory = localStorage.getItem('invoiceHistory');
-    if (savedHistory) {
-        invoiceHistory = JSON.parse(savedHistory);
+    // Load tax settings from localStorage
+    var savedTaxSettings = appStorage.getItem('taxSettings');
+    if (savedTaxSettings) {
+        savedTaxSettings = JSON.parse(savedTaxSettings);
+        taxRates = savedTaxSettings.rates;
+        taxCategories = savedTaxSettings.categories;
     }
-});
+    populateTaxCategorySelect();
+
+    // Load the currency registry and the last invoice currency from localStorage
+    var savedCurrencies = appStorage.getItem('currencies');
+    if (savedCurrencies) {
+        currencies = JSON.parse(savedCurrencies);
+    }
+    invoiceCurrency = appStorage.getItem('baseCurrency') || 'USD';
+    populateCurrencySelect();
+    renderCurrencyLabels();
+
+    // Load the client book from localStorage
+    var savedClients = appStorage.getItem('clients');
+    if (savedClients) {
+        clients = JSON.parse(savedClients);
+    }
+    populateClientSuggestions();
+
+    // Load the issuer profile from localStorage
+    var savedIssuer = appStorage.getItem('issuerProfile');
+    if (savedIssuer) {
+        issuerProfile = Object.assign(issuerProfile, JSON.parse(savedIssuer));
+    }
+
+    // Load the product catalog from localStorage
+    var savedCatalog = appStorage.getItem('catalog');
+    if (savedCatalog) {
+        catalog = JSON.parse(savedCatalog);
+    }
+    populateCatalogSuggestions();
+
+    // Load rounding settings from localStorage
+    var savedRounding = appStorage.getItem('roundingSettings');
+    if (savedRounding) {
+        roundingSettings = JSON.parse(savedRounding);
+    }
+
+    // Load PDF layout options from localStorage
+    var savedPdfSettings = appStorage.getItem('pdfSettings');
+    if (savedPdfSettings) {
+        pdfSettings = JSON.parse(savedPdfSettings);
+    }
+    populatePdfSettings();
+
+    // Load hash chain state from localStorage
+    var savedChainHead = appStorage.getItem('chainHead');
+    if (savedChainHead) {
+        chainHead = JSON.parse(savedChainHead);
+    }
+    var savedCheckpoint = appStorage.getItem('chainCheckpoint');
+    if (savedCheckpoint) {
+        chainCheckpoint = JSON.parse(savedCheckpoint);
+    }
+
+    var savedDrafts = appStorage.getItem('drafts');
+    if (savedDrafts) {
+        drafts = JSON.parse(savedDrafts);
+    }
+
+    // Load the issued numbers from IndexedDB, then restore the invoice that was
+    // open when the page was last closed. The rest of history is read when needed.
+    loadIssuedNumbers().catch(function(error) {
+        alert(t('Could not load invoice history: {error}', { error: error.message }));
+    }).then(function() {
+        renderDocumentNumber();
+        var openDraftEntry = getDraft(appStorage.getItem('currentDraftId'));
+        if (openDraftEntry) {
+            restoreDraft(openDraftEntry);
+        }
+        renderDraftCount();
+    });
+}
 
 // Close modal when clicking outside
 window.addEventListener('click', function(event) {
-    var modal = document.getElementById('historyModal');
-    if (event.target === modal) {
+    if (event.target === document.getElementById('historyModal')) {
         closeHistory();
+    } else if (event.target === document.getElementById('verifyModal')) {
+        closeVerify();
+    } else if (event.target === document.getElementById('keysModal')) {
+        closeKeys();
+    } else if (event.target === document.getElementById('taxModal')) {
+        closeTaxSettings();
+    } else if (event.target === document.getElementById('currencyModal')) {
+        closeCurrencies();
+    } else if (event.target === document.getElementById('clientModal')) {
+        closeClients();
+    } else if (event.target === document.getElementById('catalogModal')) {
+        closeCatalog();
+    } else if (event.target === document.getElementById('issuerModal')) {
+        closeIssuerProfile();
+    } else if (event.target === document.getElementById('draftModal')) {
+        closeDrafts();
+    } else if (event.target === document.getElementById('numberingModal')) {
+        closeNumbering();
+    } else if (event.target === document.getElementById('backupModal')) {
+        closeBackup();
+    } else if (event.target === document.getElementById('reportsModal')) {
+        closeReports();
+    } else if (event.target === document.getElementById('itemImportModal')) {
+        closeItemImport();
+    } else if (event.target === document.getElementById('appLockModal')) {
+        closeAppLock();
     }
 });
@@ -0,0 +1,65 @@
+/* NANOHASH INVOICE SERVICE WORKER */
+
+/* Caches the app and its bundled libraries when the page is served over
+ * http(s), so it keeps working and can be installed without a connection.
+ * Opened from disk (file://) the page needs no worker: everything it loads
+ * is already local. */
+
+// Bump when the file list changes so old caches are dropped on activation
+var CACHE_NAME = 'nanohash-invoice-v2';
+
+// Everything the page loads
+var APP_FILES = [
+    'NanoHash_Invoice.html',
+    'styles.css',
+    'nanohash-locales.js',
+    'nanohash-core.js',
+    'script.js',
+    'lib/jspdf.umd.min.js',
+    'lib/qrcode.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(caches.open(CACHE_NAME).then(function(cache) {
+        return cache.addAll(APP_FILES);
+    }).then(function() {
+        return self.skipWaiting();
+    }));
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return name !== CACHE_NAME;
+        }).map(function(name) {
+            return caches.delete(name);
+        }));
+    }).then(function() {
+        return self.clients.claim();
+    }));
+});
+
+// Answer from the cache at once and refresh it in the background, so an
+// updated app is picked up on the next load without ever waiting on the network
+self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(function(cache) {
+        return cache.match(request, { ignoreSearch: true }).then(function(cached) {
+            var refresh = fetch(request).then(function(response) {
+                if (response.ok) {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            });
+            if (cached) {
+                refresh.catch(function() {});
+                return cached;
+            }
+            return refresh;
+        });
+    }));
+});